@@ -1,4 +1,43 @@
-const { calculateScore } = require('./utils');
+const fs = require('fs');
+const path = require('path');
+const { calculateScore, createRng, deriveSeed } = require('./utils');
+const EventEngine = require('./eventEngine');
+const BotPlanner = require('./botPlanner');
+const RoomSettings = require('./roomSettings');
+const TeamManager = require('./teamManager');
+
+// easy = สุ่ม, normal = heuristic เดิม, hard = จำลองเทิร์น (BotPlanner)
+const DIFFICULTIES = ['easy', 'normal', 'hard'];
+const DEFAULT_DIFFICULTY = 'normal';
+
+/**
+ * รูปแบบบุคลิกบอทใน data/botPersonalities.json:
+ * {
+ *   "id": "turtle",
+ *   "name": "Shiho",                            // ชื่อบอทในห้อง
+ *   "avatarCardId": "030",                      // รูปการ์ดที่แสดงใน lobby
+ *   "label": { "th": "...", "en": "...", "ja": "..." },
+ *   "weights": {                                // ทุกช่องไม่บังคับ (1 = ตาม heuristic ปกติ)
+ *     "useSkill": 1.3,                          // ใช้สกิล (shouldUseSkill)
+ *     "flee": 1.6,                              // ถอยหนี (shouldFlee)
+ *     "gacha": 0.6,                             // สุ่มกาชา (shouldGacha)
+ *     "skills": { "leek shield": 3 }            // แทน useSkill สำหรับสกิลนี้ + ชอบเลือกการ์ดสกิลนี้
+ *   }
+ * }
+ * > 1 = มีโอกาสทำแม้ heuristic ไม่แนะนำ (3 ขึ้นไปทำทุกครั้งที่ทำได้), < 1 = มีโอกาสไม่ทำแม้ heuristic แนะนำ (0 = ไม่ทำเลย)
+ */
+const WEIGHT_KEYS = ['useSkill', 'flee', 'gacha'];
+const DEFAULT_PERSONALITY = 'balanced';
+// บอทระดับยาก: น้ำหนัก 2 = ให้ action นั้นได้เปรียบเท่านี้ในค่าประเมินของ BotPlanner
+const PERSONALITY_BIAS = 4;
+
+let PERSONALITIES = [];
+
+try {
+  PERSONALITIES = JSON.parse(fs.readFileSync(path.join(__dirname, 'data', 'botPersonalities.json'), 'utf8'));
+} catch (err) {
+  console.error('โหลด botPersonalities.json ไม่ได้!', err);
+}
 
 class BotManager {
   constructor(io, hooks = {}) {
@@ -19,36 +58,64 @@ class BotManager {
     if (!room || !room.started || room.phase !== 'playCard') return;
     this.handleRoomReset(room.code); // clear lingering timers/state each turn
     const bots = this.getActiveBots(room).filter(bot => !bot.hasDecided);
-    bots.forEach(bot => {
-      const delay = this.randomDelay(800, 2200);
-      const timerId = setTimeout(() => {
-        this.cardTimers.delete(this.timerKey(room.code, bot.playerId));
-        const decision = this.chooseCard(bot, room);
-        if (!decision) return;
-        if (typeof this.hooks.playCard === 'function') {
-          this.hooks.playCard(room, bot, decision.card, decision.skip, decision.projectedScore);
-        }
-      }, delay);
-      this.cardTimers.set(this.timerKey(room.code, bot.playerId), timerId);
-    });
+    bots.forEach(bot => this.scheduleCard(room, bot, this.randomDelay(800, 2200)));
   }
 
   handleActionPhase(room) {
     if (!room || !room.started || room.phase !== 'action') return;
     const bots = this.getActiveBots(room).filter(bot => bot.playedCard && !bot.action);
-    bots.forEach(bot => {
-      const delay = this.randomDelay(900, 2000);
-      const timerId = setTimeout(() => {
-        this.actionTimers.delete(this.timerKey(room.code, bot.playerId));
-        const action = this.decideAction(bot, room);
-        if (typeof this.hooks.chooseAction === 'function') {
-          this.hooks.chooseAction(room, bot, action);
-        }
-      }, delay);
-      this.actionTimers.set(this.timerKey(room.code, bot.playerId), timerId);
+    bots.forEach(bot => this.scheduleAction(room, bot, this.randomDelay(900, 2000)));
+  }
+
+  // ✅ ผู้เล่นที่หลุดเกินเวลา: ตัดสินใจเฟสที่ค้างอยู่แทน (เทิร์นถัดไปเล่นแทนผ่าน getActiveBots ตามปกติ)
+  handleTakeover(room, player) {
+    if (!room || !room.started || !this.getActiveBots(room).includes(player)) return;
+    if (room.phase === 'playCard' && !player.hasDecided) {
+      this.scheduleCard(room, player, this.randomDelay(800, 2200));
+    } else if (room.phase === 'action' && player.playedCard && !player.action) {
+      this.scheduleAction(room, player, this.randomDelay(900, 2000));
+    }
+  }
+
+  // ผู้เล่นกลับมาแล้ว: ยกเลิกการตัดสินใจที่บอทนัดไว้แทน
+  releaseSeat(room, player) {
+    if (!room || !player) return;
+    const key = this.timerKey(room.code, player.playerId);
+    [this.cardTimers, this.actionTimers].forEach(map => {
+      if (map.has(key)) {
+        clearTimeout(map.get(key));
+        map.delete(key);
+      }
     });
   }
 
+  scheduleCard(room, bot, delay) {
+    const key = this.timerKey(room.code, bot.playerId);
+    clearTimeout(this.cardTimers.get(key));
+    const timerId = setTimeout(() => {
+      this.cardTimers.delete(key);
+      const decision = this.chooseCard(bot, room);
+      if (!decision) return;
+      if (typeof this.hooks.playCard === 'function') {
+        this.hooks.playCard(room, bot, decision.card, decision.skip, decision.projectedScore);
+      }
+    }, delay);
+    this.cardTimers.set(key, timerId);
+  }
+
+  scheduleAction(room, bot, delay) {
+    const key = this.timerKey(room.code, bot.playerId);
+    clearTimeout(this.actionTimers.get(key));
+    const timerId = setTimeout(() => {
+      this.actionTimers.delete(key);
+      const action = this.decideAction(bot, room);
+      if (typeof this.hooks.chooseAction === 'function') {
+        this.hooks.chooseAction(room, bot, action);
+      }
+    }, delay);
+    this.actionTimers.set(key, timerId);
+  }
+
   notifyTurnResolution(room) {
     if (!room) return;
     this.clearTimersForRoom(this.cardTimers, room.code);
@@ -57,7 +124,53 @@ class BotManager {
   }
 
   getActiveBots(room) {
-    return room.players.filter(p => p.isBot && p.heart > 0 && p.hand.length > 0 && !p.isDead);
+    // autoPilot = ผู้เล่นที่หลุดเกินเวลารอ บอทเล่นแทนจนกว่าจะกลับมา
+    return room.players.filter(p => (p.isBot || p.autoPilot) && p.heart > 0 && p.hand.length > 0 && !p.isDead);
+  }
+
+  /**
+   * บุคลิกจาก id (null = ไม่มีบุคลิก ใช้ heuristic ปกติ)
+   * @param {string} id - personality id
+   * @returns {object|null}
+   */
+  static getPersonality(id) {
+    return PERSONALITIES.find(p => p.id === id) || null;
+  }
+
+  // รายการบุคลิกที่ส่งให้ client (ไม่รวมน้ำหนัก)
+  static listPersonalities() {
+    return PERSONALITIES.map(({ id, name, avatarCardId, label }) => ({ id, name, avatarCardId, label }));
+  }
+
+  /**
+   * ตรวจสอบนิยามบุคลิก
+   * @param {object} personality - จาก botPersonalities.json
+   * @returns {Array<string>} รายการข้อผิดพลาด
+   */
+  static validatePersonality(personality) {
+    const errors = [];
+    const where = `personality ${personality.id}`;
+    const weights = personality.weights || {};
+    const isWeight = (value) => Number.isFinite(value) && value >= 0;
+
+    if (!personality.id || !personality.name) errors.push(`${where}: id and name are required`);
+    Object.entries(weights).forEach(([key, value]) => {
+      if (key === 'skills') {
+        Object.entries(value || {}).forEach(([skill, weight]) => {
+          if (!isWeight(weight)) errors.push(`${where}: skills["${skill}"] must be a number >= 0`);
+        });
+      } else if (!WEIGHT_KEYS.includes(key)) {
+        errors.push(`${where}: unknown weight "${key}"`);
+      } else if (!isWeight(value)) {
+        errors.push(`${where}: ${key} must be a number >= 0`);
+      }
+    });
+    return errors;
+  }
+
+  // ผู้เล่นที่บอทเล่นแทน (autoPilot) ไม่มี difficulty → ใช้ระดับปกติ
+  getDifficulty(bot) {
+    return DIFFICULTIES.includes(bot.difficulty) ? bot.difficulty : DEFAULT_DIFFICULTY;
   }
 
   chooseCard(bot, room) {
@@ -65,11 +178,17 @@ class BotManager {
       return { card: null, skip: true, projectedScore: 0 };
     }
 
+    const difficulty = this.getDifficulty(bot);
+    if (difficulty === 'easy') return this.chooseCardEasy(bot, room);
+    if (difficulty === 'hard') return this.chooseCardHard(bot, room);
+
     const competition = room.competition || 'vocal';
     const event = room.event || null;
     const evaluations = bot.hand.map(card => {
       const baseScore = this.safeScore(card, competition, event);
-      const weight = baseScore + this.skillPreference(card, bot, room) + this.rarityWeight(card.rarity);
+      const weight = baseScore
+        + this.skillPreference(card, bot, room) * this.personalityWeight(bot, 'useSkill', card.skill)
+        + this.rarityWeight(card.rarity);
       return { card, value: weight, baseScore };
     });
 
@@ -81,41 +200,111 @@ class BotManager {
 
     const runnerUp = evaluations[1];
     let finalPick = best;
-    if (runnerUp && best.value - runnerUp.value <= 8 && Math.random() < 0.25) {
+    if (runnerUp && best.value - runnerUp.value <= 8 && this.botRng(room, bot, 'card')() < 0.25) {
       finalPick = runnerUp;
     }
 
-    const stateKey = this.timerKey(room.code, bot.playerId);
-    this.botState.set(stateKey, {
-      projectedScore: Math.max(0, Math.round(finalPick.baseScore)),
-      lastCardId: finalPick.card.id,
+    this.rememberPick(room, bot, finalPick.card, finalPick.baseScore);
+    return { card: finalPick.card, skip: false, projectedScore: finalPick.baseScore };
+  }
+
+  // ระดับง่าย: สุ่มการ์ดจากมือ
+  chooseCardEasy(bot, room) {
+    const rng = this.botRng(room, bot, 'card');
+    const card = bot.hand[Math.floor(rng() * bot.hand.length)];
+    const projectedScore = this.safeScore(card, room.competition || 'vocal', room.event || null);
+    this.rememberPick(room, bot, card, projectedScore);
+    return { card, skip: false, projectedScore };
+  }
+
+  // ระดับยาก: จำลองเทิร์นกับมือคู่แข่งที่สุ่มจากการ์ดที่ยังไม่เห็น
+  chooseCardHard(bot, room) {
+    const plan = BotPlanner.plan(room, bot, this.botRng(room, bot, 'plan'), { bias: this.personalityBias(bot) });
+    if (!plan) {
+      return { card: null, skip: true, projectedScore: 0 };
+    }
+    const projectedScore = calculateScore(plan.card, room.competition || 'vocal', room.event || null, { silent: true });
+    this.rememberPick(room, bot, plan.card, projectedScore);
+    return { card: plan.card, skip: false, projectedScore };
+  }
+
+  rememberPick(room, bot, card, projectedScore) {
+    this.botState.set(this.timerKey(room.code, bot.playerId), {
+      projectedScore: Math.max(0, Math.round(projectedScore)),
+      lastCardId: card.id,
       updatedAt: Date.now()
     });
-
-    return { card: finalPick.card, skip: false, projectedScore: finalPick.baseScore };
   }
 
   decideAction(bot, room) {
+    const difficulty = this.getDifficulty(bot);
+    if (difficulty === 'easy') {
+      const actions = BotPlanner.legalActions(bot, bot.playedCard);
+      return actions[Math.floor(this.botRng(room, bot, 'action')() * actions.length)];
+    }
+    if (difficulty === 'hard') {
+      // เฟส action รู้ข้อมูลมากขึ้น (ใครลง/ข้าม การ์ดที่หงาย) → วางแผนใหม่เฉพาะ action ของการ์ดที่ลงไปแล้ว
+      const plan = BotPlanner.plan(room, bot, this.botRng(room, bot, 'action'), { card: bot.playedCard, bias: this.personalityBias(bot) });
+      return plan ? plan.action : '3';
+    }
+
     const competition = room.competition || 'vocal';
     const event = room.event || null;
     const state = this.botState.get(this.timerKey(room.code, bot.playerId));
     const projectedScore = state?.projectedScore ?? this.safeScore(bot.playedCard, competition, event);
 
-    if (this.shouldUseSkill(bot, room, projectedScore)) {
+    // ✅ heuristic เดิมปรับด้วยน้ำหนักบุคลิก (ไม่เลือก action ที่ทำไม่ได้ เช่น สกิลติดคูลดาวน์)
+    const legalActions = BotPlanner.legalActions(bot, bot.playedCard);
+    const rng = this.botRng(room, bot, 'personality');
+    const wants = (action, suggested, weight) => legalActions.includes(action) && this.weighDecision(suggested, weight, rng);
+
+    if (wants('2', this.shouldUseSkill(bot, room, projectedScore), this.personalityWeight(bot, 'useSkill', bot.playedCard?.skill))) {
       return '2';
     }
 
-    if (this.shouldFlee(bot, room, projectedScore)) {
+    if (wants('4', this.shouldFlee(bot, room, projectedScore), this.personalityWeight(bot, 'flee'))) {
       return '4';
     }
 
-    if (this.shouldGacha(bot, room, projectedScore)) {
+    if (wants('1', this.shouldGacha(bot, room, projectedScore), this.personalityWeight(bot, 'gacha'))) {
       return '1';
     }
 
     return '3';
   }
 
+  /**
+   * น้ำหนักจากบุคลิกของบอท (1 = ตาม heuristic ปกติ)
+   * @param {object} bot - player object
+   * @param {string} key - 'useSkill' | 'flee' | 'gacha'
+   * @param {string} skill - สกิลของการ์ด (ใช้กับ useSkill)
+   * @returns {number}
+   */
+  personalityWeight(bot, key, skill = null) {
+    const weights = BotManager.getPersonality(bot.personality)?.weights || {};
+    if (key === 'useSkill' && skill && weights.skills && weights.skills[skill] !== undefined) {
+      return weights.skills[skill];
+    }
+    return weights[key] ?? 1;
+  }
+
+  // > 1 มีโอกาสทำแม้ heuristic ไม่แนะนำ, < 1 มีโอกาสไม่ทำแม้ heuristic แนะนำ
+  weighDecision(suggested, weight, rng) {
+    if (weight === 1) return suggested;
+    if (suggested) return weight >= 1 || rng() < weight;
+    return weight > 1 && rng() < Math.min(1, (weight - 1) / 2);
+  }
+
+  // บอทระดับยาก: บุคลิกเป็นค่าเอียงเพิ่มในค่าประเมินของแต่ละ action
+  personalityBias(bot) {
+    const actionKeys = { '1': 'gacha', '2': 'useSkill', '4': 'flee' };
+    return (card, action) => {
+      const key = actionKeys[action];
+      if (!key) return 0;
+      return (this.personalityWeight(bot, key, card?.skill) - 1) * PERSONALITY_BIAS;
+    };
+  }
+
   shouldUseSkill(bot, room, projectedScore) {
     if (!bot.playedCard || !bot.playedCard.skill) return false;
     if (bot.playedCard.skill === 'salt') return false;
@@ -125,15 +314,14 @@ class BotManager {
     const lowHeart = bot.heart <= 2;
     const midHeart = bot.heart <= 4;
     const competition = room.competition;
-    const hostileEvents = ['shrimp_curse', 'stat_minus_2', 'max_stat_zero'];
-    const eventEffect = room.event?.effect;
-    const opponents = room.players.filter(p => p !== bot && p.heart > 0 && p.hand.length > 0);
+    const opponents = room.players.filter(p => p !== bot && p.heart > 0 && p.hand.length > 0
+      && !TeamManager.areAllies(room, bot, p));
 
     switch (skill) {
       case 'leek shield':
         return midHeart;
       case 'never give up':
-        return bot.heart < 6 && (midHeart || room.turn >= 5);
+        return bot.heart < RoomSettings.of(room).startingHearts && (midHeart || room.turn >= 5);
       case 'divine card':
         return lowHeart || (bot.heart <= 3 && room.turn >= 4);
       case 'gacha god':
@@ -149,9 +337,9 @@ class BotManager {
       case 'banana slip':
         return opponents.length >= 2;
       case 'fate control':
-        return hostileEvents.includes(eventEffect);
+        return this.isHostileEvent(room.event);
       case 'hidden skill':
-        return opponents.length >= 2 && Math.random() < 0.6;
+        return opponents.length >= 2 && this.botRng(room, bot, 'skill')() < 0.6;
       default:
         return false;
     }
@@ -160,7 +348,7 @@ class BotManager {
   shouldGacha(bot, room, projectedScore) {
     if (bot.hand.length <= 2) return true;
     if (projectedScore <= 35 && bot.heart > 2 && room.turn <= 8) return true;
-    if (room.event?.effect === 'special_battle' && projectedScore < 60) return true;
+    if (EventEngine.getScoring(room.event) === 'sum' && projectedScore < 60) return true;
     return false;
   }
 
@@ -169,7 +357,7 @@ class BotManager {
     const activeOpponents = room.players.filter(p => p !== bot && p.heart > 0 && p.hand.length > 0);
     if (activeOpponents.length < 2) return false;
     if (projectedScore < 20 && room.turn >= 4) return true;
-    if (room.event?.effect === 'shrimp_curse' && projectedScore < 25) return true;
+    if (EventEngine.heartDelta(room.event, 'start') < 0 && projectedScore < 25) return true;
     return false;
   }
 
@@ -181,7 +369,7 @@ class BotManager {
       case 'leek shield':
         return lowHeart ? 35 : 18;
       case 'never give up':
-        return bot.heart < 6 ? 25 : 10;
+        return bot.heart < RoomSettings.of(room).startingHearts ? 25 : 10;
       case 'divine card':
         return lowHeart ? 40 : 12;
       case 'gacha god':
@@ -207,7 +395,7 @@ class BotManager {
 
   isHostileEvent(event) {
     if (!event) return false;
-    return ['shrimp_curse', 'stat_minus_2', 'max_stat_zero'].includes(event.effect);
+    return EventEngine.isHostile(event);
   }
 
   rarityWeight(rarity = '') {
@@ -228,6 +416,12 @@ class BotManager {
     }
   }
 
+  // ตัวสุ่มของบอทผูกกับ seed ห้อง + เทิร์น + ช่องบอท (ไม่ขึ้นกับว่าบอทตัวไหนตัดสินใจก่อน)
+  botRng(room, bot, label) {
+    if (room.seed === undefined || room.seed === null) return Math.random;
+    return createRng(deriveSeed(room.seed, 'bot', bot.botSlot || bot.playerId, room.turn, label));
+  }
+
   timerKey(code, playerId) {
     return `${code}:${playerId}`;
   }
@@ -254,4 +448,14 @@ class BotManager {
   }
 }
 
+PERSONALITIES.forEach(personality => {
+  BotManager.validatePersonality(personality).forEach(err => {
+    console.error(`[BotManager] Invalid bot personality: ${err}`);
+  });
+});
+
+BotManager.DIFFICULTIES = DIFFICULTIES;
+BotManager.DEFAULT_DIFFICULTY = DEFAULT_DIFFICULTY;
+BotManager.DEFAULT_PERSONALITY = DEFAULT_PERSONALITY;
+
 module.exports = BotManager;
@@ -0,0 +1,179 @@
+// server/botPlanner.js - วางแผนของบอทระดับยาก: สุ่มมือคู่แข่งจากการ์ดที่ยังไม่เห็น แล้วจำลองเทิร์นด้วย RulesEngine (pure)
+const RulesEngine = require('./rulesEngine');
+const EventEngine = require('./eventEngine');
+const EventPoolManager = require('./eventPoolManager');
+const TeamManager = require('./teamManager');
+const { calculateScore, getAllCards, shuffle } = require('./utils');
+
+// จำนวนสถานการณ์ที่สุ่มต่อการตัดสินใจ (ทุกตัวเลือกเจอสถานการณ์ชุดเดียวกัน เทียบกันได้ตรง ๆ)
+const SAMPLE_COUNT = 40;
+// โอกาสที่คู่แข่งใช้สกิล ถ้าการ์ดที่ลงมีสกิลและไม่ติดคูลดาวน์
+const OPPONENT_SKILL_RATE = 0.35;
+// การ์ดบนมือเกินนี้ไม่ได้ช่วยให้รอดมากขึ้น
+const MAX_VALUED_HAND = 5;
+
+const getPlayerKey = (player) => player?.playerId || player?.id;
+
+class BotPlanner {
+  /**
+   * action ที่เลือกได้กับการ์ดใบนี้ (ไม่ใช้สกิลตอนติดคูลดาวน์ ไม่หนีตอนพลังใจเหลือ 1)
+   * @param {object} player - player object
+   * @param {object} card - การ์ดที่ลง
+   * @returns {Array<string>}
+   */
+  static legalActions(player, card) {
+    const actions = ['3', '1'];
+    if (card && card.skill && card.skill !== 'salt' && !(player.actionCooldown > 0)) actions.push('2');
+    if (player.heart > 1) actions.push('4');
+    return actions;
+  }
+
+  /**
+   * การ์ดที่บอทยังไม่เห็น: การ์ดทั้งหมด - มือตัวเอง - การ์ดที่หงายอยู่บนโต๊ะ
+   * (ไม่อ่านมือคู่แข่งหรือลำดับการ์ดในกอง)
+   * @param {object} room - room object
+   * @param {object} bot - player object ของบอท
+   * @returns {Array}
+   */
+  static unseenCards(room, bot) {
+    const seen = new Set(bot.hand.map(c => c.id));
+    if (bot.playedCard) seen.add(bot.playedCard.id);
+    if (EventEngine.revealsCards(room.event)) {
+      room.players.forEach(p => {
+        if (p.playedCard) seen.add(p.playedCard.id);
+      });
+    }
+    return getAllCards().filter(c => !seen.has(c.id));
+  }
+
+  /**
+   * สุ่มสถานการณ์ที่เป็นไปได้ 1 แบบ: มือของคู่แข่งแต่ละคน และการ์ด/action ที่น่าจะลง
+   * คู่แข่งถูกมองว่าลงการ์ดคะแนนสูงสุดในมือที่สุ่มได้ (ใช้แค่ข้อมูลที่ทุกคนเห็น: จำนวนการ์ด ใครลง/ข้าม การ์ดที่หงาย)
+   * @returns {object} { hands: { [playerKey]: cards }, decisions: { [playerKey]: { card, action } } }
+   */
+  static sampleWorld(room, bot, pool, rng) {
+    const deck = shuffle(pool, rng);
+    const revealed = EventEngine.revealsCards(room.event);
+    const world = { hands: {}, decisions: {} };
+
+    room.players.forEach(p => {
+      if (p === bot) return;
+      const key = getPlayerKey(p);
+      const handSize = (p.hand || []).length;
+
+      // ลงการ์ดแล้ว: มือที่เหลือไม่รวมใบที่ลง / ยังไม่ลง: ใบที่จะลงอยู่ในมือ
+      if (p.playedCard) {
+        world.hands[key] = deck.splice(0, handSize);
+        const card = revealed ? p.playedCard : this.likelyCard(deck.splice(0, handSize + 1), room);
+        world.decisions[key] = { card, action: this.likelyAction(p, card, rng) };
+        return;
+      }
+
+      const hand = deck.splice(0, handSize);
+      if (p.hasDecided || p.isDead || p.heart <= 0 || hand.length === 0) {
+        world.hands[key] = hand;
+        if (p.hasDecided) world.decisions[key] = { card: null, action: null };
+        return;
+      }
+
+      const card = this.likelyCard(hand, room);
+      world.hands[key] = hand.filter(c => c !== card);
+      world.decisions[key] = { card, action: this.likelyAction(p, card, rng) };
+    });
+
+    return world;
+  }
+
+  static likelyCard(hand, room) {
+    return hand.reduce((best, card) => {
+      const score = calculateScore(card, room.competition, room.event, { silent: true });
+      return !best || score > best.score ? { card, score } : best;
+    }, null)?.card || null;
+  }
+
+  static likelyAction(player, card, rng) {
+    const canSkill = card && card.skill && card.skill !== 'salt' && !(player.actionCooldown > 0);
+    return canSkill && rng() < OPPONENT_SKILL_RATE ? '2' : '3';
+  }
+
+  /**
+   * ให้คะแนนผลลัพธ์ของเทิร์นจากมุมมองบอท: พลังใจ > การ์ดบนมือ > คู่แข่งเสียพลังใจ
+   * @param {object} state - state หลัง RulesEngine.resolve()
+   * @param {object} outcomes - outcomes จาก RulesEngine.resolve()
+   * @param {string} botKey - playerKey ของบอท
+   * @returns {number}
+   */
+  static evaluate(state, outcomes, botKey) {
+    const me = state.players.find(p => getPlayerKey(p) === botKey);
+    if (!me) return 0;
+
+    const drawn = outcomes.draws
+      .filter(d => d.playerKey === botKey)
+      .reduce((sum, d) => sum + d.count, 0);
+    let value = me.heart * 10 + Math.min(me.hand.length + drawn, MAX_VALUED_HAND) * 3 - me.actionCooldown;
+
+    // โหมดทีม: พลังใจเพื่อนร่วมทีมนับเป็นของเรา
+    state.players.forEach(p => {
+      if (getPlayerKey(p) === botKey || p.isDead) return;
+      value += TeamManager.areAllies(state, me, p) ? p.heart * 2 : -p.heart * 2;
+    });
+    if (me.isDead) value -= 100;
+    const won = outcomes.winningTeam ? outcomes.winningTeam === me.team : outcomes.finalWinner === me.name;
+    if (outcomes.gameOver && won) value += 100;
+
+    return value;
+  }
+
+  /**
+   * เลือกการ์ด + action ที่ได้ค่าเฉลี่ยดีที่สุดจากการจำลอง
+   * @param {object} room - room object
+   * @param {object} bot - player object ของบอท
+   * @param {Function} rng - ตัวสุ่มของบอท
+   * @param {object} options - { card: การ์ดที่ลงไปแล้ว (เฟส action), samples, bias: (card, action) => ค่าที่บวกเพิ่ม }
+   * @returns {object|null} { card, action, value }
+   */
+  static plan(room, bot, rng, options = {}) {
+    const cards = options.card ? [options.card] : bot.hand;
+    if (!cards || cards.length === 0) return null;
+
+    const candidates = [];
+    cards.forEach(card => {
+      this.legalActions(bot, card).forEach(action => candidates.push({ card, action, total: 0 }));
+    });
+
+    const botKey = getPlayerKey(bot);
+    const base = RulesEngine.snapshot(room);
+    const pool = this.unseenCards(room, bot);
+    const samples = options.samples || SAMPLE_COUNT;
+    // fate control สุ่มอีเวนต์ใหม่จากกองอีเวนต์ตามน้ำหนัก (ไม่ดูลำดับจริง)
+    const drawEvent = () => EventPoolManager.pickWeighted(room.eventPool, EventPoolManager.of(room), rng) || base.event;
+
+    for (let i = 0; i < samples; i++) {
+      const world = this.sampleWorld(room, bot, pool, rng);
+      candidates.forEach(c => {
+        const state = {
+          ...base,
+          players: base.players.map(p => {
+            const key = getPlayerKey(p);
+            if (key === botKey) {
+              return { ...p, hand: options.card ? p.hand : p.hand.filter(card => card !== c.card) };
+            }
+            return world.hands[key] ? { ...p, hand: world.hands[key] } : p;
+          })
+        };
+        const decisions = { ...world.decisions, [botKey]: { card: c.card, action: c.action } };
+        const { state: next, outcomes } = RulesEngine.resolve(state, decisions, { drawEvent, silent: true });
+        c.total += this.evaluate(next, outcomes, botKey);
+      });
+    }
+
+    const bias = typeof options.bias === 'function' ? options.bias : () => 0;
+    candidates.forEach(c => {
+      c.value = c.total / samples + bias(c.card, c.action);
+    });
+    const best = candidates.reduce((a, b) => (b.value > a.value ? b : a));
+    return { card: best.card, action: best.action, value: best.value };
+  }
+}
+
+module.exports = BotPlanner;
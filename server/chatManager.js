@@ -0,0 +1,162 @@
+// server/chatManager.js - แชทในห้อง: ข้อความ/สแตมป์, จำกัดความถี่และความยาว, กรองคำ, โฮสต์ปิดแชทผู้เล่น, ประวัติแชท
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+const MAX_MESSAGE_LENGTH = 120;
+// เก็บประวัติในห้องกี่ข้อความ (ส่งให้คนที่ rejoin / เข้าห้องทีหลัง)
+const HISTORY_SIZE = 50;
+// ส่งได้ไม่เกิน RATE_LIMIT_COUNT ข้อความ (รวมสแตมป์) ในทุก ๆ RATE_LIMIT_WINDOW_MS
+const RATE_LIMIT_COUNT = 5;
+const RATE_LIMIT_WINDOW_MS = 10000;
+
+/**
+ * สแตมป์ใน data/chatStamps.json:
+ * { "id": "miku_yay", "character": "Miku", "emoji": "🎵", "label": { "th": "...", "en": "...", "ja": "..." } }
+ */
+let STAMPS = [];
+
+try {
+  STAMPS = JSON.parse(fs.readFileSync(path.join(__dirname, 'data', 'chatStamps.json'), 'utf8'));
+} catch (err) {
+  console.error('โหลด chatStamps.json ไม่ได้!', err);
+}
+
+/**
+ * ข้อความในห้อง (room.chatHistory):
+ * { id, seatId, name, text, at }              // ข้อความที่ผู้เล่นพิมพ์ (ผ่านตัวกรองแล้ว)
+ * { id, seatId, name, stampId, at }           // สแตมป์
+ * { id, system: 'muted' | 'unmuted', name, at } // ประกาศจากระบบ (client แปลเอง)
+ * อ้างถึงผู้ส่งด้วย seatId ไม่ส่ง playerId
+ */
+class ChatManager {
+  /**
+   * @param {object} hooks - { filterMessage(text, { room, player }) → ข้อความที่กรองแล้ว | null (ห้ามส่ง) }
+   * @param {object} options - { blockedWords } (ค่าเริ่มต้นจาก CHAT_BLOCKED_WORDS คั่นด้วย ,)
+   */
+  constructor(hooks = {}, options = {}) {
+    this.hooks = hooks;
+    const blockedWords = options.blockedWords ?? String(process.env.CHAT_BLOCKED_WORDS || '').split(',');
+    this.blockedWords = blockedWords.map(w => String(w).trim()).filter(Boolean);
+    this.sentAt = new Map();
+  }
+
+  static listStamps() {
+    return STAMPS.map(({ id, character, emoji, label }) => ({ id, character, emoji, label }));
+  }
+
+  static getStamp(id) {
+    return STAMPS.find(s => s.id === id) || null;
+  }
+
+  static history(room) {
+    return room?.chatHistory || [];
+  }
+
+  /**
+   * แทนคำต้องห้ามด้วย * (ไม่สนตัวพิมพ์เล็กใหญ่)
+   * @param {string} text
+   * @param {Array<string>} words
+   * @returns {string}
+   */
+  static maskWords(text, words = []) {
+    return words.reduce((masked, word) => {
+      const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      return masked.replace(new RegExp(escaped, 'gi'), match => '*'.repeat(match.length));
+    }, text);
+  }
+
+  /**
+   * ตัวกรองคำหยาบ: ใช้ hooks.filterMessage ถ้ามี ไม่งั้นแทนคำใน blockedWords ด้วย *
+   * @returns {string|null}
+   */
+  filter(text, context) {
+    if (typeof this.hooks.filterMessage === 'function') {
+      return this.hooks.filterMessage(text, context);
+    }
+    return ChatManager.maskWords(text, this.blockedWords);
+  }
+
+  /**
+   * ส่งเกินความถี่หรือยัง (นับเฉพาะข้อความที่ส่งสำเร็จ)
+   * @param {string} key - `${code}:${playerId}`
+   * @param {number} now
+   * @returns {boolean}
+   */
+  isRateLimited(key, now) {
+    const recent = (this.sentAt.get(key) || []).filter(at => now - at < RATE_LIMIT_WINDOW_MS);
+    this.sentAt.set(key, recent);
+    return recent.length >= RATE_LIMIT_COUNT;
+  }
+
+  /**
+   * ผู้เล่นส่งข้อความหรือสแตมป์
+   * @param {object} room - room object
+   * @param {object} player - ผู้ส่ง (ต้องเป็นผู้เล่นในห้อง)
+   * @param {object} input - { text } หรือ { stampId }
+   * @returns {object} { message } หรือ { error }
+   */
+  send(room, player, { text, stampId } = {}) {
+    if (player.chatMuted) return { error: 'โฮสต์ปิดแชทของคุณไว้' };
+
+    let content;
+    if (stampId !== undefined && stampId !== null) {
+      if (!ChatManager.getStamp(stampId)) return { error: 'ไม่พบสแตมป์นี้' };
+      content = { stampId };
+    } else {
+      const normalized = String(text || '').replace(/\s+/g, ' ').trim();
+      if (!normalized) return { error: 'กรุณาพิมพ์ข้อความ' };
+      if (normalized.length > MAX_MESSAGE_LENGTH) return { error: `ข้อความต้องไม่เกิน ${MAX_MESSAGE_LENGTH} ตัวอักษร` };
+      const filtered = this.filter(normalized, { room, player });
+      if (!filtered) return { error: 'ส่งข้อความนี้ไม่ได้' };
+      content = { text: filtered };
+    }
+
+    const key = `${room.code}:${player.playerId}`;
+    const now = Date.now();
+    if (this.isRateLimited(key, now)) return { error: 'ส่งข้อความเร็วเกินไป รอสักครู่' };
+    this.sentAt.get(key).push(now);
+
+    return { message: ChatManager.append(room, { seatId: player.seatId, name: player.name, ...content }) };
+  }
+
+  /**
+   * โฮสต์ปิด/เปิดแชทของผู้เล่น
+   * @param {object} room - room object
+   * @param {string} seatId
+   * @param {boolean} muted
+   * @returns {object} { player, message } หรือ { error }
+   */
+  static setMuted(room, seatId, muted) {
+    const player = room.players.find(p => p.seatId === seatId);
+    if (!player) return { error: 'ไม่พบผู้เล่นนี้' };
+    if (player.isBot) return { error: 'บอทไม่ได้ใช้แชท' };
+    if (player.playerId === room.hostPlayerId) return { error: 'ปิดแชทของโฮสต์ไม่ได้' };
+
+    player.chatMuted = !!muted;
+    const message = this.append(room, { system: player.chatMuted ? 'muted' : 'unmuted', name: player.name });
+    return { player, message };
+  }
+
+  /**
+   * เพิ่มข้อความลงประวัติของห้อง (เก็บแค่ HISTORY_SIZE ข้อความล่าสุด)
+   * @returns {object} ข้อความที่เพิ่ม
+   */
+  static append(room, content) {
+    const message = { id: uuidv4().slice(0, 8), ...content, at: Date.now() };
+    room.chatHistory = [...this.history(room), message].slice(-HISTORY_SIZE);
+    return message;
+  }
+
+  clearRoom(code) {
+    for (const key of Array.from(this.sentAt.keys())) {
+      if (key.startsWith(`${code}:`)) {
+        this.sentAt.delete(key);
+      }
+    }
+  }
+}
+
+ChatManager.MAX_MESSAGE_LENGTH = MAX_MESSAGE_LENGTH;
+
+module.exports = ChatManager;
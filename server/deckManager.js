@@ -0,0 +1,116 @@
+// server/deckManager.js - โหมดจัดเด็ค: ตรวจเด็คที่ผู้เล่นส่งมา แปลงเป็นโค้ดสั้น และสร้างกองการ์ดของแต่ละคน
+const { CardDeck, getAllCards, shuffle } = require('./utils');
+
+const DECK_MODES = ['shared', 'custom'];
+const DEFAULT_DECK_MODE = 'shared';
+
+// กติกาเด็ค: จำนวนการ์ด, ใบซ้ำได้สูงสุดต่อการ์ด, จำนวนสูงสุดต่อความหายาก (ไม่อยู่ในรายการ = ไม่จำกัด)
+const DECK_RULES = {
+  size: 20,
+  maxCopies: 2,
+  maxPerRarity: { Fes: 4, Limit: 8 }
+};
+
+// โค้ดเด็ค: base64url ของ [เวอร์ชัน, เลขการ์ด...] (การ์ด 1 ใบ = 1 byte)
+const CODE_VERSION = 1;
+
+class DeckManager {
+  static getRules() {
+    return { ...DECK_RULES, maxPerRarity: { ...DECK_RULES.maxPerRarity } };
+  }
+
+  /**
+   * ตรวจเด็คตามกติกา
+   * @param {Array<string>} cardIds - id การ์ด (ซ้ำได้ตาม maxCopies)
+   * @param {object|null} owned - คลังการ์ดของผู้เล่น { [cardId]: จำนวน } (null = ไม่จำกัด)
+   * @returns {object} { cardIds } (เรียงตาม id) หรือ { error }
+   */
+  static validate(cardIds, owned = null) {
+    if (!Array.isArray(cardIds)) return { error: 'เด็คไม่ถูกต้อง' };
+    if (cardIds.length !== DECK_RULES.size) {
+      return { error: `เด็คต้องมีการ์ด ${DECK_RULES.size} ใบพอดี (ตอนนี้ ${cardIds.length} ใบ)` };
+    }
+
+    const allCards = getAllCards();
+    const copies = {};
+    const rarities = {};
+    for (const rawId of cardIds) {
+      const id = String(rawId).padStart(3, '0');
+      const card = allCards.find(c => c.id === id);
+      if (!card) return { error: `ไม่พบการ์ด ${rawId}` };
+
+      copies[id] = (copies[id] || 0) + 1;
+      if (copies[id] > DECK_RULES.maxCopies) {
+        return { error: `การ์ด ${id} ใส่ได้ไม่เกิน ${DECK_RULES.maxCopies} ใบ` };
+      }
+      if (owned && copies[id] > (owned[id] || 0)) {
+        return { error: `คุณมีการ์ด ${id} ไม่พอ (มี ${owned[id] || 0} ใบ)` };
+      }
+
+      rarities[card.rarity] = (rarities[card.rarity] || 0) + 1;
+      const rarityLimit = DECK_RULES.maxPerRarity[card.rarity];
+      if (rarityLimit !== undefined && rarities[card.rarity] > rarityLimit) {
+        return { error: `การ์ด ${card.rarity} ใส่ได้ไม่เกิน ${rarityLimit} ใบ` };
+      }
+    }
+
+    return { cardIds: Object.keys(copies).sort().flatMap(id => Array(copies[id]).fill(id)) };
+  }
+
+  /**
+   * แปลงเด็คเป็นโค้ดสั้นสำหรับแชร์
+   * @param {Array<string>} cardIds
+   * @returns {string}
+   */
+  static encode(cardIds) {
+    const numbers = [...cardIds].map(id => Number(id)).sort((a, b) => a - b);
+    return Buffer.from([CODE_VERSION, ...numbers]).toString('base64url');
+  }
+
+  /**
+   * แปลงโค้ดกลับเป็นรายการ id (ยังไม่ตรวจกติกา - ใช้ validate() ต่อ)
+   * @param {string} code
+   * @returns {Array<string>|null} null ถ้าโค้ดไม่ถูกต้อง
+   */
+  static decode(code) {
+    if (typeof code !== 'string' || !/^[A-Za-z0-9_-]+$/.test(code.trim())) return null;
+    const bytes = [...Buffer.from(code.trim(), 'base64url')];
+    if (bytes[0] !== CODE_VERSION || bytes.length < 2) return null;
+    return bytes.slice(1).map(n => String(n).padStart(3, '0'));
+  }
+
+  /**
+   * เด็คสุ่มที่ผ่านกติกา (บอท / ผู้เล่นที่ไม่ได้ส่งเด็คเมื่อโฮสต์กดเริ่มเกม)
+   * @param {Function} rng - ตัวสุ่มของห้อง
+   * @returns {Array<string>}
+   */
+  static randomDeck(rng = Math.random) {
+    const rarities = {};
+    const cardIds = [];
+    for (const card of shuffle(getAllCards().sort((a, b) => a.id.localeCompare(b.id)), rng)) {
+      if (cardIds.length >= DECK_RULES.size) break;
+      const rarityLimit = DECK_RULES.maxPerRarity[card.rarity];
+      if (rarityLimit !== undefined && (rarities[card.rarity] || 0) >= rarityLimit) continue;
+      rarities[card.rarity] = (rarities[card.rarity] || 0) + 1;
+      cardIds.push(card.id);
+    }
+    return cardIds.sort();
+  }
+
+  /**
+   * สร้างกองการ์ดของผู้เล่นจากเด็ค (การ์ดซ้ำเป็นคนละ object กัน)
+   * @param {Array<string>} cardIds - เด็คที่ผ่าน validate() แล้ว
+   * @param {Function} rng - ตัวสุ่มของห้อง
+   * @returns {CardDeck}
+   */
+  static createDeck(cardIds, rng) {
+    const allCards = getAllCards();
+    const cards = cardIds.map(id => ({ ...allCards.find(c => c.id === id) }));
+    return new CardDeck(rng, cards);
+  }
+}
+
+DeckManager.DECK_MODES = DECK_MODES;
+DeckManager.DEFAULT_DECK_MODE = DEFAULT_DECK_MODE;
+
+module.exports = DeckManager;
@@ -0,0 +1,203 @@
+// server/eventEngine.js - ตีความเอฟเฟกต์อีเวนต์จาก events.json (rules DSL)
+
+/**
+ * รูปแบบ rules ของแต่ละอีเวนต์ใน events.json (ทุกช่องไม่บังคับ):
+ * "rules": {
+ *   "statTransforms": [                         // แปลงค่าพลังการ์ด (ทำตามลำดับ)
+ *     { "op": "add", "stats": ["vocal"], "value": -2, "min": 1 },
+ *     { "op": "multiply", "stats": ["dance"], "value": 2 },
+ *     { "op": "swap", "stats": ["vocal", "dance"] },
+ *     { "op": "zeroMax" }                       // ค่าพลังที่สูงที่สุดเป็น 0
+ *   ],
+ *   "scoreBonuses": [                           // โบนัสคะแนนหลังคำนวณ (ตรงทุกเงื่อนไขที่ระบุ)
+ *     { "group": ["VS", "LN"], "type": "love", "rarity": ["Fes"], "character": "Kohane", "bonus": 5 }
+ *   ],
+ *   "competition": "รายการปริศนา",              // บังคับการแข่งขัน (ข้ามสลอต)
+ *   "scoring": "sum",                           // "weighted" (ปกติ) | "sum" (บวกค่าพลัง ไม่มีตัวคูณ)
+ *   "heart": { "start": 1, "end": 0 },          // พลังใจทุกคน ตอนเริ่ม/จบเทิร์น
+ *   "draw": { "start": 3, "end": 0 },           // จั่วการ์ดทุกคน ตอนเริ่ม/จบเทิร์น
+ *   "revealCards": true                         // หงายการ์ดทุกใบทันทีที่ลง
+ * }
+ */
+
+const STATS = ['vocal', 'dance', 'visual'];
+const STAT_OPS = ['add', 'multiply', 'swap', 'zeroMax'];
+const BONUS_FIELDS = ['group', 'type', 'rarity', 'character'];
+const SCORING_MODES = ['weighted', 'sum'];
+const MAX_HEART = 6;
+
+const toList = (value) => (Array.isArray(value) ? value : [value]);
+
+class EventEngine {
+  /**
+   * rules ของอีเวนต์ (อีเวนต์ที่ไม่มี rules = ไม่มีผล)
+   * @param {object} event - event object
+   * @returns {object} rules
+   */
+  static getRules(event) {
+    return (event && event.rules) || {};
+  }
+
+  /**
+   * แปลงค่าพลังการ์ดตาม statTransforms
+   * @param {object} event - event object
+   * @param {object} stats - { vocal, dance, visual }
+   * @returns {object} ค่าพลังใหม่ (ไม่แก้ object เดิม)
+   */
+  static transformStats(event, stats) {
+    const result = { vocal: stats.vocal || 0, dance: stats.dance || 0, visual: stats.visual || 0 };
+
+    (this.getRules(event).statTransforms || []).forEach(t => {
+      const targets = t.stats || STATS;
+      switch (t.op) {
+        case 'add':
+          targets.forEach(s => {
+            result[s] = Math.max(t.min ?? 0, result[s] + t.value);
+          });
+          break;
+        case 'multiply':
+          targets.forEach(s => {
+            result[s] = Math.max(t.min ?? 0, Math.round(result[s] * t.value * 10) / 10);
+          });
+          break;
+        case 'swap': {
+          const [a, b] = targets;
+          [result[a], result[b]] = [result[b], result[a]];
+          break;
+        }
+        case 'zeroMax': {
+          const maxStat = Math.max(...targets.map(s => result[s]));
+          targets.forEach(s => {
+            if (result[s] === maxStat) result[s] = 0;
+          });
+          break;
+        }
+        default:
+          break;
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * รวมโบนัสคะแนนที่การ์ดใบนี้ได้จากอีเวนต์
+   * @param {object} event - event object
+   * @param {object} card - card object
+   * @returns {number} bonus
+   */
+  static scoreBonus(event, card) {
+    const cardValues = {
+      group: card.group,
+      type: card.type,
+      rarity: card.rarity,
+      character: card.characterBase || card.character
+    };
+
+    return (this.getRules(event).scoreBonuses || []).reduce((sum, rule) => {
+      const matches = BONUS_FIELDS.every(field => rule[field] === undefined || toList(rule[field]).includes(cardValues[field]));
+      return matches ? sum + (rule.bonus || 0) : sum;
+    }, 0);
+  }
+
+  static getScoring(event) {
+    return this.getRules(event).scoring || 'weighted';
+  }
+
+  /**
+   * การแข่งขันที่อีเวนต์บังคับ (null = สุ่มตามปกติ)
+   */
+  static getCompetitionOverride(event) {
+    return this.getRules(event).competition || null;
+  }
+
+  /**
+   * @param {object} event - event object
+   * @param {string} timing - 'start' | 'end'
+   * @returns {number} พลังใจที่เพิ่ม/ลด
+   */
+  static heartDelta(event, timing) {
+    return (this.getRules(event).heart || {})[timing] || 0;
+  }
+
+  /**
+   * @param {object} event - event object
+   * @param {string} timing - 'start' | 'end'
+   * @returns {number} จำนวนการ์ดที่ทุกคนจั่ว
+   */
+  static drawCount(event, timing) {
+    return (this.getRules(event).draw || {})[timing] || 0;
+  }
+
+  static revealsCards(event) {
+    return !!this.getRules(event).revealCards;
+  }
+
+  /**
+   * อีเวนต์ที่ทำให้ผู้เล่นเสียเปรียบ (บอทใช้ตัดสินใจ fate control)
+   */
+  static isHostile(event) {
+    const rules = this.getRules(event);
+    if (this.heartDelta(event, 'start') < 0 || this.heartDelta(event, 'end') < 0) return true;
+    return (rules.statTransforms || []).some(t => t.op === 'zeroMax' || (t.op === 'add' && t.value < 0) || (t.op === 'multiply' && t.value < 1));
+  }
+
+  /**
+   * เปลี่ยนพลังใจผู้เล่นที่ยังอยู่ในเกมตามอีเวนต์
+   * @param {object} event - event object
+   * @param {string} timing - 'start' | 'end'
+   * @param {Array} players - ผู้เล่นทั้งหมด (ถูกแก้ heart)
+   * @param {number} maxHeart - เพดานพลังใจ (พลังใจเริ่มต้นของห้อง)
+   * @returns {Array} [{ player, from, to }]
+   */
+  static applyHeart(event, timing, players, maxHeart = MAX_HEART) {
+    const delta = this.heartDelta(event, timing);
+    if (!delta) return [];
+
+    return players
+      .filter(p => !p.isDead)
+      .map(p => {
+        const from = p.heart;
+        p.heart = Math.max(0, Math.min(maxHeart, p.heart + delta));
+        return { player: p.name, from, to: p.heart };
+      });
+  }
+
+  /**
+   * ตรวจสอบ rules ของอีเวนต์
+   * @param {object} event - event object
+   * @returns {Array<string>} รายการข้อผิดพลาด
+   */
+  static validate(event) {
+    const errors = [];
+    const rules = this.getRules(event);
+    const where = `event ${event.id}`;
+
+    (rules.statTransforms || []).forEach((t, idx) => {
+      if (!STAT_OPS.includes(t.op)) errors.push(`${where}: statTransforms[${idx}].op must be one of ${STAT_OPS.join(', ')}`);
+      if (t.stats && !t.stats.every(s => STATS.includes(s))) errors.push(`${where}: statTransforms[${idx}] has unknown stat`);
+      if (t.op === 'swap' && (!t.stats || t.stats.length !== 2)) errors.push(`${where}: statTransforms[${idx}] swap needs exactly 2 stats`);
+      if ((t.op === 'add' || t.op === 'multiply') && !Number.isFinite(t.value)) errors.push(`${where}: statTransforms[${idx}].value must be a number`);
+    });
+    (rules.scoreBonuses || []).forEach((b, idx) => {
+      if (!Number.isFinite(b.bonus)) errors.push(`${where}: scoreBonuses[${idx}].bonus must be a number`);
+    });
+    if (rules.scoring && !SCORING_MODES.includes(rules.scoring)) {
+      errors.push(`${where}: scoring must be one of ${SCORING_MODES.join(', ')}`);
+    }
+    if (rules.competition && !STATS.includes(rules.competition) && rules.scoring !== 'sum') {
+      errors.push(`${where}: custom competition "${rules.competition}" needs scoring "sum"`);
+    }
+    ['heart', 'draw'].forEach(key => {
+      Object.entries(rules[key] || {}).forEach(([timing, value]) => {
+        if (!['start', 'end'].includes(timing) || !Number.isInteger(value)) {
+          errors.push(`${where}: ${key}.${timing} must be an integer (start/end)`);
+        }
+      });
+    });
+
+    return errors;
+  }
+}
+
+module.exports = EventEngine;
@@ -0,0 +1,144 @@
+// server/eventPoolManager.js - กองอีเวนต์ของแต่ละห้อง: เปิด/ปิดอีเวนต์, น้ำหนักการสุ่ม, ลำดับอีเวนต์ตายตัว (ทัวร์นาเมนต์)
+const { shuffle } = require('./utils');
+
+const DEFAULT_WEIGHT = 1;
+const MIN_WEIGHT = 0.1;
+const MAX_WEIGHT = 10;
+const MAX_SEQUENCE_LENGTH = 100;
+
+/**
+ * การตั้งค่ากองอีเวนต์ของห้อง (room.eventSettings):
+ * {
+ *   disabled: [16],              // id อีเวนต์ที่ไม่ใช้
+ *   weights: { "16": 0.3 },      // น้ำหนักการสุ่ม (ไม่ระบุ = 1) - ถ้ามีน้ำหนักไม่เท่ากัน สุ่มตามน้ำหนักทุกเทิร์น
+ *   sequence: [2, 5, 9]          // ลำดับอีเวนต์ตายตัว (วนซ้ำเมื่อครบ) - ใช้แทนการสุ่มทั้งหมด
+ * }
+ */
+class EventPoolManager {
+  static defaults() {
+    return { disabled: [], weights: {}, sequence: [] };
+  }
+
+  static of(room) {
+    return { ...this.defaults(), ...(room?.eventSettings || {}) };
+  }
+
+  /**
+   * ตรวจค่าที่โฮสต์ส่งมา (ส่งมาเฉพาะบางช่องได้ ช่องที่ไม่ส่งใช้ค่าเดิม)
+   * @param {object} input - { disabled, weights, sequence }
+   * @param {Array} events - อีเวนต์ทั้งหมดจาก events.json
+   * @param {object} current - การตั้งค่าปัจจุบันของห้อง
+   * @returns {object} { eventSettings } (ค่าเต็มหลังรวม) หรือ { error }
+   */
+  static validate(input = {}, events = [], current = this.defaults()) {
+    const ids = new Set(events.map(e => e.id));
+    const eventSettings = { ...this.defaults(), ...current };
+
+    if (input.disabled !== undefined) {
+      if (!Array.isArray(input.disabled)) return { error: 'รายการอีเวนต์ที่ปิดไม่ถูกต้อง' };
+      const disabled = [...new Set(input.disabled.map(Number))];
+      const unknown = disabled.find(id => !ids.has(id));
+      if (unknown !== undefined) return { error: `ไม่พบอีเวนต์ ${unknown}` };
+      if (disabled.length >= ids.size) return { error: 'ต้องเปิดอีเวนต์ไว้อย่างน้อย 1 อย่าง' };
+      eventSettings.disabled = disabled.sort((a, b) => a - b);
+    }
+
+    if (input.weights !== undefined) {
+      if (!input.weights || typeof input.weights !== 'object' || Array.isArray(input.weights)) {
+        return { error: 'น้ำหนักอีเวนต์ไม่ถูกต้อง' };
+      }
+      const weights = {};
+      for (const [rawId, rawWeight] of Object.entries(input.weights)) {
+        const id = Number(rawId);
+        if (!ids.has(id)) return { error: `ไม่พบอีเวนต์ ${rawId}` };
+        const weight = Number(rawWeight);
+        if (!Number.isFinite(weight) || weight < MIN_WEIGHT || weight > MAX_WEIGHT) {
+          return { error: `น้ำหนักอีเวนต์ต้องอยู่ระหว่าง ${MIN_WEIGHT}-${MAX_WEIGHT}` };
+        }
+        // น้ำหนักปกติไม่ต้องเก็บ
+        if (weight !== DEFAULT_WEIGHT) weights[id] = Math.round(weight * 10) / 10;
+      }
+      eventSettings.weights = weights;
+    }
+
+    if (input.sequence !== undefined) {
+      if (!Array.isArray(input.sequence) || input.sequence.length > MAX_SEQUENCE_LENGTH) {
+        return { error: `ลำดับอีเวนต์ต้องมีไม่เกิน ${MAX_SEQUENCE_LENGTH} อย่าง` };
+      }
+      const sequence = input.sequence.map(Number);
+      const unknown = sequence.find(id => !ids.has(id));
+      if (unknown !== undefined) return { error: `ไม่พบอีเวนต์ ${unknown}` };
+      eventSettings.sequence = sequence;
+    }
+
+    // ลำดับตายตัวใช้ได้เฉพาะอีเวนต์ที่เปิดอยู่
+    const disabledInSequence = eventSettings.sequence.find(id => eventSettings.disabled.includes(id));
+    if (disabledInSequence !== undefined) {
+      return { error: `อีเวนต์ ${disabledInSequence} อยู่ในลำดับอีเวนต์แต่ถูกปิดไว้` };
+    }
+
+    return { eventSettings };
+  }
+
+  /**
+   * กองอีเวนต์ที่เปิดอยู่ (สับแล้ว)
+   * @param {Array} events - อีเวนต์ทั้งหมด
+   * @param {object} eventSettings - จาก of()
+   * @param {Function} rng - ตัวสุ่มของห้อง
+   * @returns {Array}
+   */
+  static buildPool(events, eventSettings, rng = Math.random) {
+    const disabled = new Set(eventSettings.disabled || []);
+    return shuffle(events.filter(e => !disabled.has(e.id)), rng);
+  }
+
+  static weightOf(eventSettings, event) {
+    return eventSettings.weights?.[event.id] ?? DEFAULT_WEIGHT;
+  }
+
+  static isWeighted(eventSettings) {
+    return Object.keys(eventSettings.weights || {}).length > 0;
+  }
+
+  /**
+   * สุ่มอีเวนต์ 1 อย่างตามน้ำหนัก (สุ่มซ้ำได้ - ไม่แตะลำดับกอง)
+   * @param {Array} pool - กองอีเวนต์ที่เปิดอยู่
+   * @param {object} eventSettings
+   * @param {Function} rng
+   * @returns {object|null}
+   */
+  static pickWeighted(pool, eventSettings, rng = Math.random) {
+    if (!pool || pool.length === 0) return null;
+    const sorted = [...pool].sort((a, b) => a.id - b.id);
+    const total = sorted.reduce((sum, e) => sum + this.weightOf(eventSettings, e), 0);
+    let roll = rng() * total;
+    for (const event of sorted) {
+      roll -= this.weightOf(eventSettings, event);
+      if (roll < 0) return event;
+    }
+    return sorted[sorted.length - 1];
+  }
+
+  /**
+   * สรุปกองอีเวนต์สำหรับ lobby / หน้าต่างอีเวนต์
+   * @param {Array} events - อีเวนต์ทั้งหมด
+   * @param {object} eventSettings
+   * @returns {object} { disabled, weights, sequence, activeCount, totalCount }
+   */
+  static describe(events, eventSettings) {
+    const disabled = new Set(eventSettings.disabled || []);
+    return {
+      disabled: [...disabled],
+      weights: { ...(eventSettings.weights || {}) },
+      sequence: [...(eventSettings.sequence || [])],
+      activeCount: events.filter(e => !disabled.has(e.id)).length,
+      totalCount: events.length
+    };
+  }
+}
+
+EventPoolManager.DEFAULT_WEIGHT = DEFAULT_WEIGHT;
+EventPoolManager.MIN_WEIGHT = MIN_WEIGHT;
+EventPoolManager.MAX_WEIGHT = MAX_WEIGHT;
+
+module.exports = EventPoolManager;
@@ -0,0 +1,197 @@
+// server/gachaEngine.js - กาชานอกเกม: ตู้กาชา (data/banners.json), อัตราออก, การันตี (pity) และเหรียญรางวัลหลังจบเกม
+const fs = require('fs');
+const path = require('path');
+const { getAllCards } = require('./utils');
+
+/**
+ * รูปแบบตู้กาชาใน data/banners.json:
+ * {
+ *   "id": "ln-2026-10",
+ *   "name": { "th": "...", "en": "...", "ja": "..." },
+ *   "group": "LN",                                  // ไม่บังคับ: วงที่ rate up (ตู้จำกัดเวลา)
+ *   "featuredRate": 0.5,                            // โอกาสที่การ์ดที่ออกเป็นของวงนั้น (ในความหายากเดียวกัน)
+ *   "startsAt": "2026-10-01T00:00:00Z",             // ไม่บังคับ: ช่วงเวลาที่เปิดตู้
+ *   "endsAt": "2026-11-01T00:00:00Z",
+ *   "cost": 100,                                    // เหรียญต่อ 1 ครั้ง
+ *   "rates": { "Fes": 0.03, "Limit": 0.12, "Normal": 0.85 },  // รวมกันต้องได้ 1
+ *   "pity": { "Fes": 80, "Limit": 10 }              // สุ่มครบกี่ครั้งแล้วการันตีความหายากนี้ขึ้นไป
+ * }
+ */
+// ความหายากจากต่ำไปสูง (ได้ใบสูงกว่า = นับเป็นได้ใบที่ต่ำกว่าด้วย)
+const RARITIES = ['Normal', 'Limit', 'Fes'];
+const PULL_COUNTS = [1, 10];
+
+// ✅ เหรียญหลังจบเกม: ทุกคนได้ขั้นต่ำ + ส่วนตามอันดับ (ที่ 1 ได้เต็ม ที่สุดท้ายได้แค่ขั้นต่ำ)
+const MATCH_REWARD = { base: 30, placement: 70 };
+// ผู้เล่นใหม่: เหรียญพอสุ่ม 10 ครั้ง + การ์ด Normal ทุกใบอย่างละ 1 ใบ
+const STARTER_CURRENCY = 1000;
+
+let BANNERS = [];
+
+try {
+  BANNERS = JSON.parse(fs.readFileSync(path.join(__dirname, 'data', 'banners.json'), 'utf8'));
+} catch (err) {
+  console.error('โหลด banners.json ไม่ได้!', err);
+}
+
+class GachaEngine {
+  /**
+   * ตรวจรูปแบบตู้กาชา
+   * @param {object} banner - จาก banners.json
+   * @returns {Array<string>} ข้อผิดพลาด (ว่าง = ใช้ได้)
+   */
+  static validateBanner(banner) {
+    const errors = [];
+    const label = banner?.id || '(no id)';
+    if (!banner || typeof banner.id !== 'string') errors.push(`${label}: missing id`);
+    if (!(banner?.cost > 0)) errors.push(`${label}: cost must be > 0`);
+
+    const rates = banner?.rates || {};
+    Object.keys(rates).forEach(rarity => {
+      if (!RARITIES.includes(rarity)) errors.push(`${label}: unknown rarity "${rarity}"`);
+    });
+    const total = Object.values(rates).reduce((sum, r) => sum + r, 0);
+    if (Math.abs(total - 1) > 1e-9) errors.push(`${label}: rates must sum to 1 (got ${total})`);
+
+    Object.entries(banner?.pity || {}).forEach(([rarity, count]) => {
+      if (!RARITIES.includes(rarity)) errors.push(`${label}: unknown pity rarity "${rarity}"`);
+      if (!Number.isInteger(count) || count < 1) errors.push(`${label}: pity for ${rarity} must be a positive integer`);
+    });
+
+    if (banner?.group && !getAllCards().some(c => c.group === banner.group)) {
+      errors.push(`${label}: no cards in group "${banner.group}"`);
+    }
+    if (banner?.featuredRate !== undefined && !(banner.featuredRate >= 0 && banner.featuredRate <= 1)) {
+      errors.push(`${label}: featuredRate must be between 0 and 1`);
+    }
+    ['startsAt', 'endsAt'].forEach(key => {
+      if (banner?.[key] && Number.isNaN(Date.parse(banner[key]))) errors.push(`${label}: invalid ${key}`);
+    });
+    return errors;
+  }
+
+  static isActive(banner, now = Date.now()) {
+    if (banner.startsAt && now < Date.parse(banner.startsAt)) return false;
+    if (banner.endsAt && now >= Date.parse(banner.endsAt)) return false;
+    return true;
+  }
+
+  /**
+   * ตู้ที่เปิดอยู่ตอนนี้ (ไม่รวมตู้ที่ตรวจไม่ผ่าน)
+   * @param {number} now - timestamp
+   * @returns {Array}
+   */
+  static activeBanners(now = Date.now()) {
+    return BANNERS.filter(b => this.validateBanner(b).length === 0 && this.isActive(b, now));
+  }
+
+  /**
+   * หาตู้ที่เปิดอยู่ด้วย id
+   * @returns {object|null}
+   */
+  static getBanner(id, now = Date.now()) {
+    return this.activeBanners(now).find(b => b.id === id) || null;
+  }
+
+  /**
+   * ข้อมูลตู้สำหรับแสดงผลฝั่ง client (อัตราออกต้องเปิดเผย)
+   */
+  static describe(banner) {
+    return {
+      id: banner.id,
+      name: banner.name,
+      group: banner.group || null,
+      featuredRate: banner.group ? banner.featuredRate ?? 0 : 0,
+      startsAt: banner.startsAt || null,
+      endsAt: banner.endsAt || null,
+      cost: banner.cost,
+      rates: { ...banner.rates },
+      pity: { ...(banner.pity || {}) }
+    };
+  }
+
+  /**
+   * สุ่ม 1 ครั้ง (pure - ไม่แตะ state ภายนอก)
+   * @param {object} banner - ตู้กาชา
+   * @param {object} pity - ตัวนับการันตีของผู้เล่นในตู้นี้ { [rarity]: จำนวนครั้งที่ยังไม่ได้ความหายากนั้นขึ้นไป }
+   * @param {Function} rng - ตัวสุ่ม
+   * @returns {object} { card, featured, pity } (pity = ตัวนับหลังสุ่ม)
+   */
+  static pull(banner, pity = {}, rng = Math.random) {
+    const guarantees = banner.pity || {};
+    const counters = {};
+    Object.keys(guarantees).forEach(rarity => {
+      counters[rarity] = (pity[rarity] || 0) + 1;
+    });
+
+    let rarity = this.rollRarity(banner.rates, rng);
+    // ✅ การันตี: ครบจำนวนแล้วยังไม่ได้ → ยกระดับขึ้นเป็นความหายากนั้น (เช็คจากสูงไปต่ำ)
+    for (const guaranteed of [...RARITIES].reverse()) {
+      if (guarantees[guaranteed] && counters[guaranteed] >= guarantees[guaranteed]
+        && RARITIES.indexOf(rarity) < RARITIES.indexOf(guaranteed)) {
+        rarity = guaranteed;
+        break;
+      }
+    }
+
+    // ได้ความหายากไหน ตัวนับของความหายากนั้นและที่ต่ำกว่ารีเซ็ต
+    Object.keys(counters).forEach(r => {
+      if (RARITIES.indexOf(r) <= RARITIES.indexOf(rarity)) counters[r] = 0;
+    });
+
+    const pool = getAllCards()
+      .filter(c => c.rarity === rarity)
+      .sort((a, b) => a.id.localeCompare(b.id));
+    const featuredPool = banner.group ? pool.filter(c => c.group === banner.group) : [];
+    const featured = featuredPool.length > 0 && rng() < (banner.featuredRate ?? 0);
+    const from = featured ? featuredPool : pool;
+    const card = from[Math.floor(rng() * from.length)];
+
+    return { card, featured, pity: counters };
+  }
+
+  static rollRarity(rates, rng) {
+    let roll = rng();
+    // เรียงจากสูงไปต่ำ ให้ความหายากสูงได้ช่วงแรกของตัวสุ่ม
+    for (const rarity of [...RARITIES].reverse()) {
+      roll -= rates[rarity] || 0;
+      if (roll < 0) return rarity;
+    }
+    return RARITIES.find(r => rates[r] > 0) || RARITIES[0];
+  }
+
+  /**
+   * เหรียญที่ได้หลังจบเกม
+   * @param {number} placement - อันดับ (1 = ชนะ)
+   * @param {number} playerCount - จำนวนผู้เล่นในเกม
+   * @returns {number}
+   */
+  static matchReward(placement, playerCount) {
+    if (playerCount <= 1) return MATCH_REWARD.base;
+    const share = Math.max(0, playerCount - placement) / (playerCount - 1);
+    return MATCH_REWARD.base + Math.round(MATCH_REWARD.placement * share);
+  }
+
+  /**
+   * การ์ดเริ่มต้นของผู้เล่นใหม่ (Normal ทุกใบอย่างละ 1 ใบ - จัดเด็ค 20 ใบได้ตั้งแต่แรก)
+   * @returns {Array<string>} id การ์ด
+   */
+  static starterCards() {
+    return getAllCards()
+      .filter(c => c.rarity === 'Normal')
+      .map(c => c.id)
+      .sort();
+  }
+}
+
+BANNERS.forEach(banner => {
+  GachaEngine.validateBanner(banner).forEach(err => {
+    console.error(`[GachaEngine] Invalid banner: ${err}`);
+  });
+});
+
+GachaEngine.RARITIES = RARITIES;
+GachaEngine.PULL_COUNTS = PULL_COUNTS;
+GachaEngine.STARTER_CURRENCY = STARTER_CURRENCY;
+
+module.exports = GachaEngine;
@@ -1,5 +1,10 @@
 // server/gameManager.js - จัดการ game state: turn, event, competition, phase
-const { getRandomCompetition, shuffle } = require('./utils');
+const { CardDeck, getRandomCompetition, shuffle, createRng, generateSeed } = require('./utils');
+const DeckManager = require('./deckManager');
+const RoomSettings = require('./roomSettings');
+const EventPoolManager = require('./eventPoolManager');
+
+const getPlayerKey = (player) => player?.playerId || player?.id;
 
 class GameStateManager {
   /**
@@ -19,17 +24,34 @@ class GameStateManager {
     room.playersToDraw = [];
     room.usedEvents = 0;
     room.divineCardActive = {};
+    room.eliminations = [];
+    room.departedPlayers = [];
+    room.startedAt = new Date().toISOString();
+
+    // ✅ seed ใหม่ทุกเกม (หรือ seed ที่โฮสต์กำหนด) ใช้สุ่มกอง อีเวนต์ การแข่ง - เล่นซ้ำได้จาก seed
+    room.seed = room.fixedSeed ?? generateSeed();
+    room.rng = createRng(room.seed);
+    room.deck = new CardDeck(room.rng);
+    console.log(`[GameStateManager] Room ${room.code} seed: ${room.seed}`);
 
-    // รีเฟรชลำดับอีเวนต์ทุกครั้งที่เริ่มเกมใหม่ เพื่อไม่ให้วนชุดเดิม
+    // ✅ โหมดจัดเด็ค: แต่ละคนจั่วจากเด็คของตัวเอง (คนที่ไม่ได้ส่งเด็ค เช่น บอท ได้เด็คสุ่มตามกติกา)
+    room.players.forEach(p => {
+      p.deck = room.deckMode === 'custom'
+        ? DeckManager.createDeck(p.deckList || DeckManager.randomDeck(room.rng), room.rng)
+        : null;
+    });
+
+    // รีเฟรชลำดับอีเวนต์ทุกครั้งที่เริ่มเกมใหม่ (เรียงตาม id ก่อนสับ ให้ผลขึ้นกับ seed อย่างเดียว)
     if (room.eventPool && room.eventPool.length > 0) {
-      room.eventPool = shuffle([...room.eventPool]);
+      room.eventPool = shuffle([...room.eventPool].sort((a, b) => a.id - b.id), room.rng);
       console.log(`[GameStateManager] Event pool reshuffled for room ${room.code}`);
     }
 
     // รีเซ็ตสถานะผู้เล่น
+    const settings = RoomSettings.of(room);
     room.players.forEach(p => {
       p.hand = [];
-      p.heart = 6;
+      p.heart = settings.startingHearts;
       p.ready = false;
       p.playedCard = null;
       p.action = null;
@@ -42,22 +64,79 @@ class GameStateManager {
       p.needsGachaGod = false;
     });
 
-    // จั่วการ์ดเริ่มต้น 5 ใบให้ทุกคน
+    // จั่วการ์ดเริ่มต้นตามกติกาห้อง (ปกติ 5 ใบ) ให้ทุกคน
     room.players.forEach(p => {
-      p.hand = room.deck.drawCards(5);
+      p.hand = this.deckFor(room, p).drawCards(settings.handSize);
       console.log(`📝 ${p.name} starting hand: [${p.hand.map(c => c.id).join(',')}]`);
     });
   }
 
   /**
-   * สุ่มอีเวนต์ถัดไป (cycling 19 events)
+   * กองที่ผู้เล่นคนนี้จั่ว/คืนการ์ด (เด็คของตัวเองในโหมดจัดเด็ค ไม่งั้นกองกลางของห้อง)
+   * @param {object} room - room object
+   * @param {object} player - player object
+   * @returns {CardDeck}
+   */
+  static deckFor(room, player) {
+    return player?.deck || room.deck;
+  }
+
+  /**
+   * คืนการ์ดที่ลงไปเข้ากองของเจ้าของ
+   * @param {object} room - room object
+   * @param {Array} returnedCards - [{ playerKey, card }] จาก RulesEngine outcomes
+   */
+  static returnCards(room, returnedCards) {
+    returnedCards.forEach(({ playerKey, card }) => {
+      const player = room.players.find(p => getPlayerKey(p) === playerKey);
+      this.deckFor(room, player).returnCard(card);
+    });
+  }
+
+  /**
+   * เอาการ์ดออกจากมือ 1 ใบ (เด็คของผู้เล่นมีการ์ดซ้ำได้ จึงไม่กรองทุกใบที่ id ตรง)
+   * @param {object} player - player object
+   * @param {string} cardId - id การ์ด
+   * @returns {object|null} การ์ดบนมือที่เอาออก
+   */
+  static takeFromHand(player, cardId) {
+    const index = player.hand.findIndex(c => c.id === cardId);
+    if (index === -1) return null;
+    return player.hand.splice(index, 1)[0];
+  }
+
+  /**
+   * สุ่มอีเวนต์ถัดไป
+   * - มีลำดับตายตัว → ตามลำดับ (วนซ้ำเมื่อครบ)
+   * - มีน้ำหนัก → สุ่มตามน้ำหนักทุกเทิร์น
+   * - ปกติ → วนกองอีเวนต์ที่สับแล้ว (ครบทุกอย่างก่อนซ้ำ)
    * @param {object} room - room object
    * @returns {object} event
    */
   static getNextEvent(room) {
+    const eventSettings = EventPoolManager.of(room);
+
+    if (eventSettings.sequence.length > 0) {
+      const id = eventSettings.sequence[room.usedEvents % eventSettings.sequence.length];
+      const event = room.eventPool.find(e => e.id === id);
+      if (event) {
+        room.usedEvents++;
+        console.log(`🎲 Event: ${event.name} (sequence ${room.usedEvents})`);
+        return event;
+      }
+      console.warn(`[GameStateManager] Sequenced event ${id} not in pool, falling back to random`);
+    }
+
+    if (EventPoolManager.isWeighted(eventSettings)) {
+      const event = EventPoolManager.pickWeighted(room.eventPool, eventSettings, room.rng);
+      room.usedEvents++;
+      console.log(`🎲 Event: ${event.name} (weighted)`);
+      return event;
+    }
+
     if (room.usedEvents >= room.eventPool.length) {
       console.log(`♻️  Event pool exhausted (${room.usedEvents}/${room.eventPool.length}), resetting...`);
-      room.eventPool = shuffle([...room.eventPool]);
+      room.eventPool = shuffle([...room.eventPool], room.rng);
       room.usedEvents = 0;
     }
 
@@ -74,7 +153,7 @@ class GameStateManager {
   static prepareEventAndCompetition(room) {
     room.phase = 'eventSlot';
     room.event = this.getNextEvent(room);
-    room.competition = getRandomCompetition();
+    room.competition = getRandomCompetition(room.rng);
     
     console.log(`📍 Turn ${room.turn}: Event=${room.event.name}, Competition=${room.competition}`);
   }
@@ -5,6 +5,7 @@ const socketIo = require('socket.io');
 const { v4: uuidv4 } = require('uuid');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 
 const app = express();
 const server = http.createServer(app);
@@ -27,24 +28,77 @@ const {
   getRandomEvent, 
   getRandomCompetition,
   calculateScore,
-  shuffle
+  shuffle,
+  normalizeSeed,
+  getAllCards,
+  createRng
 } = require('./utils');
 const SkillManager = require('./skillManager');
+const EventEngine = require('./eventEngine');
 const RoomManager = require('./roomManager');
 const GameStateManager = require('./gameManager');
 const BotManager = require('./botManager');
+const RulesEngine = require('./rulesEngine');
+const PhaseTimerManager = require('./phaseTimerManager');
+const ReplayManager = require('./replayManager');
+const PlayerStore = require('./playerStore');
+const SnapshotManager = require('./snapshotManager');
+const StateProjector = require('./stateProjector');
+const ReconnectManager = require('./reconnectManager');
+const DeckManager = require('./deckManager');
+const GachaEngine = require('./gachaEngine');
+const RoomSettings = require('./roomSettings');
+const EventPoolManager = require('./eventPoolManager');
+const TeamManager = require('./teamManager');
+const TournamentManager = require('./tournamentManager');
+const SeriesManager = require('./seriesManager');
+const MatchmakingManager = require('./matchmakingManager');
+const ChatManager = require('./chatManager');
+const ReactionManager = require('./reactionManager');
 
 // Initialize managers AFTER loading EVENTS
-const roomManager = new RoomManager(EVENTS);
+const roomManager = new RoomManager(EVENTS, { onRoomEmpty: (code) => discardRoom(code) });
 const rooms = roomManager.rooms;
 const botManager = new BotManager(io);
+const phaseTimerManager = new PhaseTimerManager();
+const replayManager = new ReplayManager();
+const playerStore = new PlayerStore();
+playerStore.open();
+const snapshotManager = new SnapshotManager();
+const reconnectManager = new ReconnectManager();
+const seriesManager = new SeriesManager();
+const matchmakingManager = new MatchmakingManager(roomManager);
+const chatManager = new ChatManager();
+const reactionManager = new ReactionManager();
+const tournamentManager = new TournamentManager(roomManager, {
+  onUpdate: broadcastTournament,
+  onRoomChanged: broadcastLobbyUpdate,
+  ratingOf: (accountId) => playerStore.getRating(accountId)
+});
+
+// ✅ กู้ห้องที่ค้างจากการรันครั้งก่อน (ผู้เล่นกลับเข้าด้วย rejoinRoom + playerId เดิม)
+snapshotManager.restore(rooms, EVENTS).forEach(({ room, replay }) => {
+  replayManager.importRecording(room.code, replay);
+  // ทัวร์นาเมนต์อยู่ในหน่วยความจำเท่านั้น: ห้องของสายที่ค้างไว้เล่นต่อเป็นห้องปกติ (ไม่งั้น canStart ตอบว่าทัวร์จบแล้วตลอด)
+  if (room.tournament) {
+    console.log(`[Tournament] Room ${room.code} restored without its tournament, continuing as a normal room`);
+    room.tournament = null;
+  }
+  // ห้อง Quick Match ที่ยังรอคนอยู่: นับเวลาเติมบอทใหม่
+  if (!room.started && room.backfillAt) {
+    matchmakingManager.scheduleBackfill(room);
+  }
+});
 
 const getPlayerKey = (player) => player?.playerId || player?.id;
 
 // ==================== EXPRESS ROUTES ====================
 console.log('[DEBUG] Setting up express static files...');
 app.use(express.static(path.join(__dirname, '../client')));
-app.use(express.static(path.join(__dirname, '../')));
+// ✅ เปิดเฉพาะโฟลเดอร์ที่ client ใช้ (ไม่เปิดทั้ง repo - server/data มี snapshot ห้องที่เห็นการ์ดทุกใบ)
+app.use('/css', express.static(path.join(__dirname, '../css')));
+app.use('/js', express.static(path.join(__dirname, '../js')));
+app.use('/locales', express.static(path.join(__dirname, '../locales')));
 app.use('/assets', express.static(path.join(__dirname, '../client/assets')));
 console.log('[DEBUG] Static files configured');
 
@@ -55,14 +109,139 @@ app.get('/', (req, res) => {
   res.sendFile(filePath);
 });
 
+// ✅ หน้าสายทัวร์นาเมนต์ (/tournament?id=<id>)
+app.get('/tournament', (req, res) => {
+  res.sendFile(path.join(__dirname, '../client/pages/tournament.html'));
+});
+
 app.get('/locales/:lang.json', (req, res) => {
   const lang = req.params.lang;
-  if (lang !== 'th' && lang !== 'en') {
+  if (!['th', 'en', 'ja'].includes(lang)) {
     return res.status(404).json({ error: 'Language not found' });
   }
   res.sendFile(path.join(__dirname, `../locales/${lang}.json`));
 });
 
+// ✅ การ์ดทั้งหมดสำหรับหน้าจัดเด็ค + กติกาเด็ค
+app.get('/api/cards', (req, res) => {
+  res.json({ cards: getAllCards(), rules: DeckManager.getRules() });
+});
+
+app.get('/api/replays', (req, res) => {
+  const roomCode = req.query.room ? String(req.query.room).toUpperCase() : null;
+  res.json(replayManager.listRecent(roomCode));
+});
+
+app.get('/api/replays/:id', async (req, res) => {
+  const replay = await replayManager.getReplay(req.params.id);
+  if (!replay) {
+    return res.status(404).json({ error: 'Replay not found' });
+  }
+  res.json(replay);
+});
+
+// ✅ โปรไฟล์/ประวัติเปิดดูได้ทุกคนผ่าน publicId (account id เป็นรหัสลับของเจ้าของ ไม่รับใน URL)
+app.get('/api/players/:publicId', (req, res) => {
+  if (!playerStore.enabled) {
+    return res.status(503).json({ error: 'Player profiles are not available' });
+  }
+  if (!PlayerStore.isValidPublicId(req.params.publicId)) {
+    return res.status(400).json({ error: 'Invalid player id' });
+  }
+  const profile = playerStore.getProfile(playerStore.findAccountId(req.params.publicId));
+  if (!profile) {
+    return res.status(404).json({ error: 'Player not found' });
+  }
+  res.json(profile);
+});
+
+app.get('/api/players/:publicId/history', (req, res) => {
+  if (!playerStore.enabled) {
+    return res.status(503).json({ error: 'Match history is not available' });
+  }
+  if (!PlayerStore.isValidPublicId(req.params.publicId)) {
+    return res.status(400).json({ error: 'Invalid player id' });
+  }
+  const accountId = playerStore.findAccountId(req.params.publicId);
+  const history = playerStore.getHistory(accountId, { limit: req.query.limit, since: req.query.since });
+  if (!history) {
+    return res.status(404).json({ error: 'Player not found' });
+  }
+  res.json(history);
+});
+
+app.get('/api/leaderboard', (req, res) => {
+  if (!playerStore.enabled) {
+    return res.status(503).json({ error: 'Leaderboard is not available' });
+  }
+  res.json(playerStore.getLeaderboard({ limit: req.query.limit, minGames: req.query.minGames }));
+});
+
+// ✅ ตู้กาชาที่เปิดอยู่ (พร้อมอัตราออกและการันตี)
+app.get('/api/banners', (req, res) => {
+  res.json(GachaEngine.activeBanners().map(b => GachaEngine.describe(b)));
+});
+
+// ✅ สแตมป์แชทด่วน (ข้อความแปลแล้วทั้ง 3 ภาษา)
+app.get('/api/stamps', (req, res) => {
+  res.json(ChatManager.listStamps());
+});
+
+app.get('/api/players/:id/collection', (req, res) => {
+  if (!playerStore.enabled) {
+    return res.status(503).json({ error: 'Card collection is not available' });
+  }
+  if (!PlayerStore.isValidAccountId(req.params.id)) {
+    return res.status(400).json({ error: 'Invalid player id' });
+  }
+  const collection = playerStore.getCollection(req.params.id);
+  if (!collection) {
+    return res.status(404).json({ error: 'Player not found' });
+  }
+  res.json(collection);
+});
+
+// ✅ ทัวร์นาเมนต์ล่าสุด + ตัวเลือกตอนสร้าง (preset กติกาห้อง, จำนวนคนต่อห้อง)
+app.get('/api/tournaments', (req, res) => {
+  res.json({
+    tournaments: tournamentManager.list(),
+    presets: RoomSettings.listPresets(),
+    groupSizes: TournamentManager.GROUP_SIZES,
+    maxAdvance: TournamentManager.MAX_ADVANCE
+  });
+});
+
+// ✅ ห้องสาธารณะสำหรับหน้ารวมห้อง (?lang=th|en|ja กรองตามภาษา)
+app.get('/api/rooms', (req, res) => {
+  res.json({
+    rooms: MatchmakingManager.listPublic(rooms, { language: req.query.lang }),
+    presets: RoomSettings.listPresets().map(({ id, label }) => ({ id, label }))
+  });
+});
+
+app.get('/api/tournaments/:id', (req, res) => {
+  const tournament = tournamentManager.get(req.params.id);
+  if (!tournament) {
+    return res.status(404).json({ error: 'Tournament not found' });
+  }
+  res.json(tournamentManager.describe(tournament));
+});
+
+// ✅ หน้า debug ใช้ได้เฉพาะเมื่อตั้ง ADMIN_TOKEN และส่ง token มาทาง header x-admin-token (หรือ ?token=)
+const requireAdmin = (req, res, next) => {
+  const adminToken = process.env.ADMIN_TOKEN;
+  if (!adminToken) {
+    return res.status(404).json({ error: 'Not found' });
+  }
+  const given = Buffer.from(String(req.get('x-admin-token') || req.query.token || ''));
+  const expected = Buffer.from(adminToken);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  next();
+};
+app.use('/debug', requireAdmin);
+
 app.get('/debug/rooms', (req, res) => {
   const out = {};
   for (const [code, room] of roomManager.rooms.entries()) {
@@ -110,31 +289,44 @@ io.on('connection', (socket) => {
     const playersWhoSkipped = room.players.filter(p => p.hasDecided && p.playedCard === null);
     const alivePlayers = room.players.filter(p => p.heart > 0 && p.hand.length > 0);
 
-    if (alivePlayers.length <= 1) {
+    // โหมดทีม: เหลือทีมเดียว = จบ
+    if (TeamManager.aliveSides(room, alivePlayers).length <= 1) {
       console.log(`🎉 เหลือผู้เล่นที่เล่นได้ ${alivePlayers.length} คน - เกมจบ!`);
+      const { finalWinner, winningTeam } = TeamManager.winnerOf(room, alivePlayers);
+      const replayId = finishMatch(room, { winnerNameFinal: finalWinner, winningTeam });
       setTimeout(() => {
-        io.to(roomCode).emit('turnResult', {
+        io.to(roomCode).emit('turnResult', StateProjector.turnResult(room, {
           actionResults: [],
-          winnerName: alivePlayers[0]?.name || 'ไม่มีผู้ชนะ',
+          winnerName: finalWinner || 'ไม่มีผู้ชนะ',
           winnerScore: 0,
           gameOver: true,
-          winnerNameFinal: alivePlayers[0]?.name || 'ไม่มีผู้ชนะ',
+          winnerNameFinal: finalWinner || 'ไม่มีผู้ชนะ',
+          winningTeam,
           players: getPlayersInfo(room),
           skillEffects: [],
-          revealedCards: {}
-        });
+          revealedCards: {},
+          replayId
+        }));
+        returnToLobby(roomCode);
       }, 1000);
       return;
     }
 
     const playersWhoPlayed = alivePlayers.filter(p => p.hasDecided && p.playedCard !== null);
-    const allAliveDecided = playersWhoPlayed.length === alivePlayers.length;
+    const allAliveDecided = alivePlayers.every(p => p.hasDecided);
     if (!allAliveDecided) {
       console.log(`⏳ รอผู้เล่นที่เหลือ: ${playersWhoPlayed.length}/${alivePlayers.length}`);
       return;
     }
 
     console.log(`✅ ทุกคนที่เล่นได้ลงการ์ดครบแล้ว (${playersWhoPlayed.length} คน)`);
+    phaseTimerManager.clear(roomCode);
+
+    // ✅ ไม่มีใครลงการ์ดเลย (หมดเวลาทุกคน) → ข้ามเฟส action ไปตัดสินผลเลย
+    if (playersWhoPlayed.length === 0) {
+      resolveTurn(roomCode);
+      return;
+    }
 
     if (playersWhoPlayed.length === 1 && playersWhoSkipped.length > 0) {
       playersWhoSkipped.forEach(p => {
@@ -145,24 +337,25 @@ io.on('connection', (socket) => {
       });
     }
 
-    const playedCardsData = {};
-    room.players.forEach(p => {
-      if (p.playedCard) {
-        playedCardsData[p.name] = p.playedCard;
-      }
-    });
+    // ✅ เซิร์ฟเวอร์เป็นคนกำหนดเส้นตายเฟส action (นับรวม 2 วิ ก่อนเข้าเฟส)
+    const actionDeadline = phaseTimerManager.schedule(room, 'action', 2000);
 
-    io.to(roomCode).emit('allPlayedCards', {
-      playedCards: playedCardsData,
-      event: room.event
-    });
+    // ✅ แต่ละคนเห็นการ์ดของตัวเอง การ์ดคนอื่นคว่ำไว้จนถึงเฟสหงาย (ยกเว้นอีเวนต์หงายการ์ด)
+    StateProjector.emitPerViewer(io, room, 'allPlayedCards', (viewer) => ({
+      playedCards: StateProjector.playedCardsFor(room, viewer),
+      event: room.event,
+      actionDeadline,
+      serverNow: Date.now()
+    }));
 
     setTimeout(() => {
       room.phase = 'action';
       io.to(roomCode).emit('actionPhaseStart', {
         competition: room.competition,
         event: room.event?.name,
-        players: getPlayersInfo(room)
+        players: getPlayersInfo(room),
+        actionDeadline,
+        serverNow: Date.now()
       });
       botManager.handleActionPhase(room);
     }, 2000);
@@ -200,7 +393,7 @@ io.on('connection', (socket) => {
       return;
     }
 
-    const ownedCard = player.hand.find(c => c.id === card.id) || player.hand[0];
+    const ownedCard = GameStateManager.takeFromHand(player, card.id) || GameStateManager.takeFromHand(player, player.hand[0]?.id);
     if (!ownedCard) {
       player.playedCard = null;
       player.hasDecided = true;
@@ -210,7 +403,6 @@ io.on('connection', (socket) => {
     }
 
     player.playedCard = ownedCard;
-    player.hand = player.hand.filter(c => c.id !== ownedCard.id);
     player.hasDecided = true;
     console.log(`🤖 [BOT] ${player.name} played card ${ownedCard.id}`);
     processAfterPlayDecisions(room.code);
@@ -225,11 +417,227 @@ io.on('connection', (socket) => {
     processAfterActionSelections(room.code);
   };
 
+  // ==================== หมดเวลาเฟส (เซิร์ฟเวอร์ตัดสินแทน) ====================
+  const handlePhaseExpired = (room, phase) => {
+    if (!room || rooms.get(room.code) !== room || !room.started) return;
+
+    if (phase === 'playCard' && room.phase === 'playCard') {
+      room.players.forEach(p => {
+        if (!p.hasDecided) {
+          p.playedCard = null;
+          p.hasDecided = true;
+          console.log(`⏱️ [AUTO-SKIP] ${p.name} ไม่ได้ลงการ์ดทันเวลา - ข้ามเทิร์น`);
+        }
+      });
+      io.to(room.code).emit('phaseExpired', { phase });
+      processAfterPlayDecisions(room.code);
+      return;
+    }
+
+    if (phase === 'action' && room.phase === 'action') {
+      room.players.forEach(p => {
+        if (p.playedCard !== null && !p.action) {
+          p.action = "3"; // ตั้งต้นแข่งตรง ๆ
+          console.log(`⏱️ [AUTO-COMPETE] ${p.name} ไม่ได้เลือก action ทันเวลา - แข่งตรง ๆ`);
+        }
+      });
+      io.to(room.code).emit('phaseExpired', { phase });
+      resolveTurn(room.code);
+    }
+  };
+
+  // ==================== หลุดเกินเวลารอ ====================
+  // ใน lobby ลบที่นั่งออก / กลางเกมให้บอทเล่นแทน (ผู้เล่นกลับมาทีหลังก็ยังเอาที่นั่งคืนได้)
+  const handleReconnectExpired = (room, player) => {
+    const code = room.code;
+    if (rooms.get(code) !== room || !room.players.includes(player)) return;
+
+    if (!room.started) {
+      console.log(`[reconnect] ${player.name} did not return, removing from lobby ${code}`);
+      const { room: remainingRoom } = roomManager.removePlayer(code, player.playerId);
+      if (!remainingRoom) return; // ห้องว่าง → ปิดไปแล้วผ่าน discardRoom
+      io.to(code).emit('playerLeft', { player: player.name, remainingPlayers: remainingRoom.players.length });
+      broadcastLobbyUpdate(code);
+      return;
+    }
+
+    // ✅ ไม่เหลือผู้เล่นที่ยังต่ออยู่หรือยังอยู่ในเวลารอ → ปิดห้อง (ไม่ให้บอทเล่นกันเองต่อ)
+    const humansLeft = room.players.some(p => p !== player && !p.isBot && !p.autoPilot);
+    if (!humansLeft) {
+      console.log(`[reconnect] No players left in room ${code}, closing`);
+      discardRoom(code);
+      return;
+    }
+
+    player.autoPilot = true;
+    console.log(`[reconnect] ${player.name} did not return in time, bot takes over in room ${code}`);
+    io.to(code).emit('playerConnection', {
+      seatId: player.seatId,
+      name: player.name,
+      status: 'autoPilot',
+      players: getPlayersInfo(room)
+    });
+    botManager.handleTakeover(room, player);
+  };
+
+  // ✅ จบเกมแล้ว: ที่นั่งที่บอทเล่นแทนจนจบ (ผู้เล่นไม่กลับมา) ไม่ต้องเก็บไว้ใน lobby
+  const releaseAbandonedSeats = (code) => {
+    const room = rooms.get(code);
+    if (!room) return;
+    room.players
+      .filter(p => p.autoPilot)
+      .forEach(p => roomManager.removePlayer(code, p.playerId));
+  };
+
+  // ✅ จบเกม (ทุกทาง: ผลเทิร์น / ตายจากอีเวนต์ / เหลือฝ่ายเดียว) → กลับ lobby แล้วนับถอยหลังเกมถัดไปของซีรีส์
+  // ❌ ไม่เรียก resetRoom - ให้ startGame รีเซ็ตเองตอนกด Start ใหม่ (หน้าผลยังใช้คะแนน/พลังใจของเกมที่จบ)
+  const returnToLobby = (code) => {
+    const room = rooms.get(code);
+    if (!room) return;
+    phaseTimerManager.handleRoomReset(room);
+    botManager.handleRoomReset(code);
+    room.started = false;
+    room.phase = 'lobby';
+    room.players.forEach(p => {
+      p.ready = p.isBot ? true : false;
+      p.playedCard = null;
+      p.action = null;
+      p.hasDecided = false;
+      p.hasChosenAction = false;
+    });
+    releaseAbandonedSeats(code);
+    seriesManager.scheduleNextGame(room);
+    broadcastLobbyUpdate(code);
+  };
+
   botManager.hooks.playCard = botPlayCard;
   botManager.hooks.chooseAction = botChooseAction;
+  phaseTimerManager.hooks.onExpire = handlePhaseExpired;
+  reconnectManager.hooks.onExpire = handleReconnectExpired;
+  tournamentManager.hooks.startRoom = (code) => startGame(code);
+  seriesManager.hooks.onCountdownEnd = (room) => startNextSeriesGame(room);
+  matchmakingManager.hooks.onBackfill = (room) => handleBackfill(room);
+
+  // ✅ จบเกม: ปิดการบันทึก replay (จำ id ไว้ให้ lobby แสดงปุ่มดูย้อนหลัง) และบันทึกประวัติการแข่ง
+  const finishMatch = (room, result) => {
+    snapshotManager.clearCheckpoint(room.code);
+    const replayId = replayManager.finishRecording(room, result);
+    if (replayId) {
+      room.lastReplayId = replayId;
+    }
+
+    const participants = [...room.players, ...(room.departedPlayers || [])];
+    const placements = RulesEngine.placements(participants, room.eliminations, result, room.turn, {
+      teamMode: TeamManager.isTeamMode(room)
+    });
+    const matchParticipants = placements.map(pl => {
+      const p = participants.find(x => getPlayerKey(x) === pl.playerKey);
+      return {
+        accountId: p.accountId,
+        name: p.name,
+        isBot: !!p.isBot,
+        placement: pl.placement,
+        totalScore: p.totalScore || 0,
+        turnsSurvived: pl.turnsSurvived
+      };
+    });
+    try {
+      const ratingChanges = playerStore.recordMatch({
+        id: replayId || uuidv4(),
+        roomCode: room.code,
+        seed: room.seed,
+        startedAt: room.startedAt,
+        endedAt: new Date().toISOString(),
+        turns: room.turn,
+        isDraw: !!result.isDraw,
+        reason: result.reason,
+        replayId,
+        participants: matchParticipants
+      });
+      ratingChanges.forEach(rc => {
+        console.log(`📈 [Rating] ${rc.id}: ${rc.before} → ${rc.after} (${rc.delta >= 0 ? '+' : ''}${rc.delta})`);
+      });
+    } catch (err) {
+      console.error(`[PlayerStore] Failed to record match for room ${room.code}:`, err.message);
+    }
+
+    // ✅ เหรียญกาชาตามอันดับ (แจ้งผู้เล่นที่ยังต่ออยู่ก่อน gameOver)
+    try {
+      playerStore.awardMatchRewards(matchParticipants).forEach(reward => {
+        console.log(`💎 [Reward] ${reward.id}: +${reward.amount} (${reward.currency})`);
+        participants
+          .filter(p => p.accountId === reward.id && p.id && !p.isDisconnected)
+          .forEach(p => io.to(p.id).emit('rewardEarned', { amount: reward.amount, currency: reward.currency }));
+      });
+    } catch (err) {
+      console.error(`[PlayerStore] Failed to award rewards for room ${room.code}:`, err.message);
+    }
+
+    // ✅ ซีรีส์ Best-of-N: นับชัยชนะ
+    const seriesResult = SeriesManager.recordGame(room, participants, placements, result);
+    if (seriesResult) {
+      const series = SeriesManager.describe(room);
+      console.log(`🏅 [Series] Room ${room.code} game ${series.games}: ${series.standings.map(s => `${s.name} ${s.wins}`).join(', ')}${series.champion ? ` - champion ${series.champion}` : ''}`);
+    }
+
+    // ✅ ห้องทัวร์นาเมนต์: ส่งอันดับให้สาย (ครบทุกห้องแล้วรอบถัดไปเริ่มเอง)
+    tournamentManager.recordResult(room, placements.map(pl => ({
+      playerKey: pl.playerKey,
+      placement: pl.placement,
+      totalScore: participants.find(x => getPlayerKey(x) === pl.playerKey)?.totalScore || 0
+    })));
+    return replayId;
+  };
+
+  // ✅ ซีรีส์: ครบเวลานับถอยหลังแล้วเริ่มเกมถัดไปเอง (ไม่ต้องกดพร้อม)
+  const startNextSeriesGame = (room) => {
+    if (rooms.get(room.code) !== room || room.started) return;
+    if (room.players.length < 2) {
+      broadcastLobbyUpdate(room.code);
+      return;
+    }
+    console.log(`🏅 [Series] Starting next game in room ${room.code}`);
+    startGame(room.code);
+  };
+
+  // ✅ Quick Match: เติมบอทแล้ว ถ้าผู้เล่นจริงกดพร้อมรอไว้แล้วก็เริ่มเลย
+  const handleBackfill = (room) => {
+    if (rooms.get(room.code) !== room || room.started) return;
+    broadcastLobbyUpdate(room.code);
+    if (roomManager.isAllReady(room.code)) {
+      console.log(`🎮 [Matchmaking] Starting backfilled room ${room.code}`);
+      startGame(room.code);
+    }
+  };
+
+  // ✅ จุดปลอดภัยสำหรับกู้ห้องหลังเซิร์ฟเวอร์รีสตาร์ท (ต้นเทิร์น ก่อนสุ่มอะไรเพิ่ม)
+  const checkpointRoom = (room, resumePhase) => {
+    snapshotManager.checkpoint(room, resumePhase, replayManager.exportRecording(room.code));
+  };
+
+  // เล่นต่อจากเฟสที่ checkpoint ไว้
+  const resumeRestoredRoom = (code, resumePhase) => {
+    if (resumePhase === 'newTurn') {
+      startNewTurn(code);
+    } else {
+      startEventSlot(code);
+    }
+  };
+
+  // ==================== ACCOUNT ====================
+  // ✅ ผูก account กับ socket ครั้งเดียวตอนเชื่อมต่อ: accountId ใน localStorage คือ token ลับของเจ้าของโปรไฟล์
+  // event อื่น (โปรไฟล์ / กาชา / เข้าห้อง / ทัวร์นาเมนต์) ใช้ account ที่ผูกไว้ ไม่เชื่อ accountId ที่แนบมากับ event
+  socket.on('authenticate', ({ accountId } = {}) => {
+    if (!PlayerStore.isValidAccountId(accountId)) {
+      socket.emit('error', '⚠️ ข้อมูลโปรไฟล์ไม่ถูกต้อง');
+      return;
+    }
+    socket.data.accountId = accountId;
+    socket.emit('authenticated', { publicId: PlayerStore.publicIdOf(accountId) });
+  });
 
   // ==================== LOBBY ====================
-  socket.on('createRoom', ({ name }) => {
+  socket.on('createRoom', ({ name, visibility, language }) => {
     // ✅ Validate name length
     if (!name || name.trim().length === 0) {
       socket.emit('error', '⚠️ กรุณาใส่ชื่อด้วย!');
@@ -240,7 +648,7 @@ io.on('connection', (socket) => {
       return;
     }
     
-    const { code, playerId } = roomManager.createRoom(name);
+    const { code, playerId } = roomManager.createRoom(name, socket.data.accountId || null, { visibility, language });
     const room = roomManager.getRoom(code);
     const player = room.players[0];
     
@@ -248,7 +656,46 @@ io.on('connection', (socket) => {
     roomManager.setHostSocket(code, socket.id);
     socket.join(code);
     socket.emit('roomCreated', { code, playerId, name: name.trim() });
-    console.log(`[Room Created] Code: ${code}, Host: ${name.trim()}, playerId: ${playerId}`);
+    console.log(`[Room Created] Code: ${code}, Host: ${name.trim()}, playerId: ${playerId}, ${room.visibility}`);
+  });
+
+  // ✅ Quick Match: เข้าห้องสาธารณะที่ดีที่สุด ถ้าไม่มีก็สร้างห้องสาธารณะใหม่ แล้วเติมบอทเมื่อรอนานเกินไป
+  socket.on('quickMatch', ({ name, language } = {}) => {
+    if (!name || name.trim().length === 0) {
+      socket.emit('error', '⚠️ กรุณาใส่ชื่อด้วย!');
+      return;
+    }
+    if (name.trim().length > 10) {
+      socket.emit('error', '⚠️ ชื่อต้องไม่เกิน 10 ตัวอักษร!');
+      return;
+    }
+
+    const accountId = socket.data.accountId || null;
+    const target = MatchmakingManager.pickRoom(rooms, { language, name: name.trim() });
+    if (target) {
+      const result = roomManager.joinRoom(target.code, name, null, accountId);
+      if (!result.error) {
+        const { room, player } = result;
+        player.id = socket.id;
+        socket.join(room.code);
+        socket.emit('joined', { code: room.code, name: name.trim(), playerId: player.playerId });
+        emitChatHistory(socket, room);
+        console.log(`✅ [Matchmaking] ${name.trim()} matched into room ${room.code}`);
+        broadcastLobbyUpdate(room.code);
+        return;
+      }
+      console.warn(`[quickMatch] Could not join ${target.code}: ${result.error}`);
+    }
+
+    const { code, playerId } = roomManager.createRoom(name, accountId, { visibility: 'public', language });
+    const room = roomManager.getRoom(code);
+    room.players[0].id = socket.id;
+    roomManager.setHostSocket(code, socket.id);
+    socket.join(code);
+    matchmakingManager.scheduleBackfill(room);
+    socket.emit('roomCreated', { code, playerId, name: name.trim() });
+    console.log(`[Matchmaking] No open room for ${name.trim()}, created public room ${code}`);
+    broadcastLobbyUpdate(code);
   });
 
   socket.on('joinRoom', ({ code, name, fromGameplay, playerId }) => {
@@ -262,7 +709,7 @@ io.on('connection', (socket) => {
       return;
     }
     
-    const result = roomManager.joinRoom(code, name, playerId);
+    const result = roomManager.joinRoom(code, name, playerId, socket.data.accountId || null);
     
     if (result.error) {
       socket.emit('error', result.error);
@@ -273,14 +720,15 @@ io.on('connection', (socket) => {
     const { room, player, isRejoin } = result;
     
     if (isRejoin) {
-      player.id = socket.id;
+      reconnectManager.markReconnected(room, player, socket.id);
       socket.join(code);
+      emitChatHistory(socket, room);
       if (player.playerId === room.hostPlayerId) {
         roomManager.setHostSocket(code, socket.id);
       }
       
       if (room.started) {
-        socket.emit('gameStarted', { turn: room.turn, players: getPlayersInfo(room) });
+        socket.emit('gameStarted', StateProjector.gameStarted(room, player));
         socket.emit('newTurn', {
           turn: room.turn,
           event: room.event ? room.event.name : null,
@@ -297,48 +745,116 @@ io.on('connection', (socket) => {
     player.id = socket.id;
     socket.join(code);
     socket.emit('joined', { code, name: name.trim(), playerId: player.playerId });
+    emitChatHistory(socket, room);
     console.log(`✅ ${name.trim()} joined room ${code} (playerId: ${player.playerId})`);
     broadcastLobbyUpdate(code);
   });
 
+  // ==================== SPECTATE ====================
+  // ✅ ผู้ชม: เข้าได้ทุกห้องแม้เกมเริ่มแล้ว ได้รับเฉพาะข้อมูลสาธารณะ (ไม่มีการ์ดบนมือ)
+  socket.on('spectateRoom', ({ code, name } = {}) => {
+    const roomCode = String(code || '').trim().toUpperCase();
+    const spectatorName = String(name || '').trim() || 'ผู้ชม';
+    if (spectatorName.length > 10) {
+      socket.emit('error', '⚠️ ชื่อต้องไม่เกิน 10 ตัวอักษร!');
+      return;
+    }
+
+    const result = roomManager.addSpectator(roomCode, socket.id, spectatorName);
+    if (result.error) {
+      socket.emit('error', result.error);
+      return;
+    }
+
+    const { room } = result;
+    socket.join(roomCode);
+    socket.join(RoomManager.spectatorChannel(roomCode));
+    socket.emit('spectateJoined', StateProjector.spectateJoined(room));
+    emitChatHistory(socket, room);
+
+    if (room.started) {
+      broadcastSpectatorCount(roomCode);
+    } else {
+      broadcastLobbyUpdate(roomCode);
+    }
+  });
+
   // allow rejoin for gameplay page (when client reloads / navigates)
-  socket.on('rejoinRoom', ({ code, name, playerId }) => {
+  socket.on('rejoinRoom', ({ code, playerId }) => {
     const room = rooms.get(code);
     if (!room) {
-      socket.emit('error', 'ไม่พบห้องนี้ (rejoin)');
+      socket.emit('rejoinFailed', { message: 'ไม่พบห้องนี้ (rejoin)' });
       return;
     }
-    // find existing player by playerId (more reliable than name)
-    let player = playerId ? room.players.find(p => p.playerId === playerId) : null;
-    if (!player) {
-      // fallback to name
-      player = room.players.find(p => p.name === name);
-    }
-    if (!player) {
-      socket.emit('error', 'ไม่พบผู้เล่นนี้ในห้อง (rejoin)');
+    // ✅ ต้องใช้ playerId เท่านั้น (ชื่อเห็นได้ทุกคน ถ้าใช้ชื่อได้ใครก็สวมที่นั่งแล้วเห็นการ์ดบนมือคนอื่นได้)
+    const player = playerId ? room.players.find(p => p.playerId === playerId) : null;
+    if (!player || player.isBot) {
+      socket.emit('rejoinFailed', { message: 'ไม่พบผู้เล่นนี้ในห้อง (rejoin)' });
       return;
     }
 
     // update player's socket id and join socket.io room
-    player.id = socket.id;
+    const wasDisconnected = reconnectManager.markReconnected(room, player, socket.id);
+    botManager.releaseSeat(room, player);
     if (player.playerId === room.hostPlayerId) {
       roomManager.setHostSocket(code, socket.id);
     }
     socket.join(code);
     console.log(`[rejoinRoom] ${player.name} rejoined room ${code} with socket ${socket.id}`);
+    emitChatHistory(socket, room);
+    socket.emit('reactionSettings', describeReactions(room));
 
-    // send current gameStarted and current turn data to this socket
-    socket.emit('gameStarted', { turn: room.turn, players: getPlayersInfo(room) });
+    if (!room.started) {
+      socket.emit('joined', { code, name: player.name, playerId: player.playerId });
+      broadcastLobbyUpdate(code);
+      return;
+    }
 
-    // send per-player newTurn (hand etc.) to this socket
-    socket.emit('newTurn', {
-      turn: room.turn,
-      event: room.event ? room.event.name : null,
+    if (wasDisconnected) {
+      io.to(code).emit('playerConnection', {
+        seatId: player.seatId,
+        name: player.name,
+        status: 'online',
+        players: getPlayersInfo(room)
+      });
+    }
+
+    // ✅ ห้องที่กู้จาก snapshot: ส่งมือปัจจุบันไปก่อน แล้วค่อยเล่นต่อเมื่อผู้เล่นกลับมาครบ (หรือครบเวลารอ)
+    if (room.resumePhase) {
+      socket.emit('gameStarted', StateProjector.gameStarted(room, player, { restored: true }));
+      snapshotManager.scheduleResume(room, (resumePhase) => resumeRestoredRoom(code, resumePhase));
+      return;
+    }
+
+    // ✅ ส่งสถานะปัจจุบันทั้งหมด: มือ (รวมการ์ดที่จั่วระหว่างหลุด) คูลดาวน์ อีเวนต์ และการแข่งขัน
+    socket.emit('gameStarted', StateProjector.gameStarted(room, player, {
+      event: room.event,
       competition: room.competition,
-      hand: player.hand,
-      players: getPlayersInfo(room),
-      actionCooldown: player.actionCooldown
-    });
+      actionCooldown: player.actionCooldown,
+      reconnected: true
+    }));
+
+    // แล้วพาเข้าเฟสที่ห้องค้างอยู่ (เฟสอื่นรอ event ถัดไปจากเกมตามปกติ)
+    const deadline = room.phaseDeadline && room.phaseDeadline.phase === room.phase ? room.phaseDeadline.deadline : null;
+    if (room.phase === 'playCard' && !player.hasDecided) {
+      socket.emit('newTurn', {
+        turn: room.turn,
+        hand: player.hand,
+        players: getPlayersInfo(room),
+        actionCooldown: player.actionCooldown,
+        lastTurnActionResults: room.lastTurnActionResults || [],
+        resume: true,
+        playCardDeadline: deadline,
+        serverNow: Date.now()
+      });
+    } else if (room.phase === 'action' && player.playedCard && !player.action) {
+      socket.emit('allPlayedCards', {
+        playedCards: StateProjector.playedCardsFor(room, player),
+        event: room.event,
+        actionDeadline: deadline,
+        serverNow: Date.now()
+      });
+    }
   });
 
   socket.on('toggleReady', ({ code }) => {
@@ -348,6 +864,13 @@ io.on('connection', (socket) => {
       return;
     }
     
+    // ✅ โหมดจัดเด็ค: ต้องส่งเด็คที่ผ่านกติกาก่อนกดพร้อม
+    const seat = room.players.find(p => p.id === socket.id);
+    if (seat && !seat.ready && room.deckMode === 'custom' && !seat.deckList) {
+      socket.emit('error', 'กรุณาส่งเด็คก่อนกดพร้อม');
+      return;
+    }
+
     const player = roomManager.toggleReady(code, socket.id);
     if (!player) {
       console.warn('[toggleReady] Player not found');
@@ -363,7 +886,475 @@ io.on('connection', (socket) => {
     }
   });
 
-  socket.on('addBot', ({ code }) => {
+  socket.on('addBot', ({ code, difficulty, personality }) => {
+    const room = roomManager.getRoom(code);
+    if (!room) {
+      socket.emit('error', 'ไม่พบห้องนี้');
+      return;
+    }
+
+    if (!roomManager.isHost(code, socket.id)) {
+      socket.emit('error', 'เฉพาะโฮสต์เท่านั้นที่สามารถเพิ่มบอทได้');
+      return;
+    }
+
+    const result = roomManager.addBot(code, difficulty || undefined, personality || undefined);
+    if (result.error) {
+      socket.emit('error', result.error);
+      return;
+    }
+
+    broadcastLobbyUpdate(code);
+  });
+
+  socket.on('setBotDifficulty', ({ code, seatId, difficulty }) => {
+    const room = roomManager.getRoom(code);
+    if (!room) {
+      socket.emit('error', 'ไม่พบห้องนี้');
+      return;
+    }
+
+    if (!roomManager.isHost(code, socket.id)) {
+      socket.emit('error', 'เฉพาะโฮสต์เท่านั้นที่สามารถเปลี่ยนระดับบอทได้');
+      return;
+    }
+
+    const result = roomManager.setBotDifficulty(code, seatId, difficulty);
+    if (result.error) {
+      socket.emit('error', result.error);
+      return;
+    }
+
+    broadcastLobbyUpdate(code);
+  });
+
+  socket.on('removeBot', ({ code, seatId }) => {
+    const room = roomManager.getRoom(code);
+    if (!room) {
+      socket.emit('error', 'ไม่พบห้องนี้');
+      return;
+    }
+
+    if (!roomManager.isHost(code, socket.id)) {
+      socket.emit('error', 'เฉพาะโฮสต์เท่านั้นที่สามารถลบบอทได้');
+      return;
+    }
+
+    const result = roomManager.removeBot(code, seatId);
+    if (result.error) {
+      socket.emit('error', result.error);
+      return;
+    }
+
+    broadcastLobbyUpdate(code);
+  });
+
+  socket.on('kickPlayer', ({ code, seatId }) => {
+    const room = roomManager.getRoom(code);
+    if (!room) {
+      socket.emit('error', 'ไม่พบห้องนี้');
+      return;
+    }
+
+    if (!roomManager.isHost(code, socket.id)) {
+      socket.emit('error', 'เฉพาะโฮสต์เท่านั้นที่สามารถเตะผู้เล่นได้');
+      return;
+    }
+
+    const result = roomManager.kickPlayer(code, seatId);
+    if (result.error) {
+      socket.emit('error', result.error);
+      return;
+    }
+
+    const { removedPlayer } = result;
+    reconnectManager.clear(code, removedPlayer.playerId);
+    if (removedPlayer?.id) {
+      const targetSocket = io.sockets.sockets.get(removedPlayer.id);
+      if (targetSocket) {
+        targetSocket.leave(code);
+        targetSocket.emit('kicked', {
+          roomCode: code,
+          message: 'คุณถูกโฮสต์เตะออกจากห้อง'
+        });
+      }
+    }
+
+    broadcastLobbyUpdate(code);
+  });
+
+  // ==================== CHAT ====================
+  // ✅ แชทในห้อง: ข้อความหรือสแตมป์ (เฉพาะผู้เล่นในห้อง ผู้ชมอ่านได้อย่างเดียว)
+  socket.on('sendChat', ({ code, text, stampId } = {}) => {
+    const room = roomManager.getRoom(code);
+    if (!room) {
+      socket.emit('error', 'ไม่พบห้องนี้');
+      return;
+    }
+
+    const player = room.players.find(p => p.id === socket.id && !p.isBot);
+    if (!player) {
+      socket.emit('error', 'เฉพาะผู้เล่นในห้องเท่านั้นที่แชทได้');
+      return;
+    }
+
+    const result = chatManager.send(room, player, { text, stampId });
+    if (result.error) {
+      socket.emit('error', result.error);
+      return;
+    }
+
+    io.to(code).emit('chatMessage', result.message);
+  });
+
+  socket.on('setChatMuted', ({ code, seatId, muted }) => {
+    const room = roomManager.getRoom(code);
+    if (!room) {
+      socket.emit('error', 'ไม่พบห้องนี้');
+      return;
+    }
+
+    if (!roomManager.isHost(code, socket.id)) {
+      socket.emit('error', 'เฉพาะโฮสต์เท่านั้นที่ปิดแชทผู้เล่นได้');
+      return;
+    }
+
+    const result = ChatManager.setMuted(room, seatId, muted);
+    if (result.error) {
+      socket.emit('error', result.error);
+      return;
+    }
+
+    console.log(`[Chat] ${result.player.name} ${result.player.chatMuted ? 'muted' : 'unmuted'} in room ${code}`);
+    io.to(code).emit('chatMessage', result.message);
+    if (!room.started) {
+      broadcastLobbyUpdate(code);
+    }
+  });
+
+  // ==================== REACTIONS ====================
+  // ✅ อีโมตบนการ์ดที่หงาย / หน้าผลเทิร์น (กดถี่เกินทิ้งเงียบ ๆ ไม่แจ้ง error)
+  socket.on('sendReaction', ({ code, emote, targetSeatId } = {}) => {
+    const room = roomManager.getRoom(code);
+    if (!room) return;
+
+    const player = room.players.find(p => p.id === socket.id && !p.isBot);
+    if (!player) return;
+
+    const result = reactionManager.react(room, player, { emote, targetSeatId });
+    if (result.error) {
+      socket.emit('error', result.error);
+      return;
+    }
+    if (result.reaction) {
+      io.to(code).emit('reaction', result.reaction);
+    }
+  });
+
+  socket.on('setReactionsEnabled', ({ code, enabled } = {}) => {
+    const room = roomManager.getRoom(code);
+    if (!room) {
+      socket.emit('error', 'ไม่พบห้องนี้');
+      return;
+    }
+
+    if (!roomManager.isHost(code, socket.id)) {
+      socket.emit('error', 'เฉพาะโฮสต์เท่านั้นที่เปิด/ปิดอีโมตได้');
+      return;
+    }
+
+    if (room.started) {
+      socket.emit('error', 'ไม่สามารถเปลี่ยนการตั้งค่าอีโมตระหว่างเกมได้');
+      return;
+    }
+
+    room.reactionsEnabled = !!enabled;
+    console.log(`[Reactions] Room ${code} reactions ${room.reactionsEnabled ? 'on' : 'off'}`);
+    broadcastLobbyUpdate(code);
+  });
+
+  // ==================== PROFILE ====================
+  // โปรไฟล์ถาวร (ไม่บังคับ) - client สร้าง accountId เก็บไว้ใน localStorage แล้วผูกกับ socket ผ่าน authenticate
+  socket.on('saveProfile', ({ displayName, avatarCardId, language } = {}) => {
+    const accountId = socket.data.accountId;
+    if (!accountId) {
+      socket.emit('error', '⚠️ ยังไม่ได้ยืนยันโปรไฟล์ ลองรีเฟรชหน้าอีกครั้ง');
+      return;
+    }
+    const { profile, error } = PlayerStore.validateProfile({ displayName, avatarCardId, language });
+    if (error) {
+      socket.emit('error', error);
+      return;
+    }
+
+    try {
+      socket.emit('profileSaved', { profile: playerStore.upsertProfile(accountId, profile) });
+    } catch (err) {
+      console.error(`[PlayerStore] Failed to save profile ${accountId}:`, err.message);
+      socket.emit('error', '⚠️ บันทึกโปรไฟล์ไม่สำเร็จ');
+    }
+  });
+
+  // ==================== GACHA ====================
+  // สุ่มกาชานอกเกม (ใช้เหรียญจากการแข่ง) - ผลเข้าคลังการ์ดถาวร
+  socket.on('gachaPull', ({ bannerId, count } = {}) => {
+    if (!playerStore.enabled) {
+      socket.emit('error', 'ระบบกาชาไม่พร้อมใช้งาน');
+      return;
+    }
+    const accountId = socket.data.accountId;
+    if (!accountId) {
+      socket.emit('error', '⚠️ ยังไม่ได้ยืนยันโปรไฟล์ ลองรีเฟรชหน้าอีกครั้ง');
+      return;
+    }
+    const pulls = Number(count) || 1;
+    if (!GachaEngine.PULL_COUNTS.includes(pulls)) {
+      socket.emit('error', 'จำนวนครั้งที่สุ่มไม่ถูกต้อง');
+      return;
+    }
+    const banner = GachaEngine.getBanner(bannerId);
+    if (!banner) {
+      socket.emit('error', 'ไม่พบตู้กาชานี้ หรือตู้ปิดไปแล้ว');
+      return;
+    }
+
+    try {
+      const result = playerStore.pullGacha(accountId, banner, pulls, createRng());
+      if (result.error) {
+        socket.emit('error', result.error);
+        return;
+      }
+      console.log(`🎰 ${PlayerStore.publicIdOf(accountId)} pulled ${pulls}x on ${banner.id}: ${result.results.map(r => r.card.id).join(', ')}`);
+      socket.emit('gachaResult', { bannerId: banner.id, ...result });
+    } catch (err) {
+      console.error(`[PlayerStore] Failed to pull gacha for ${accountId}:`, err.message);
+      socket.emit('error', '⚠️ สุ่มกาชาไม่สำเร็จ');
+    }
+  });
+
+  // ==================== TOURNAMENT ====================
+  // ผู้จัดสร้าง → ผู้เล่นสมัคร → ผู้จัดกดเริ่ม → ห้องแต่ละสายสร้างเอง ผลแต่ละห้องพารอบถัดไปเอง
+  socket.on('createTournament', ({ name, groupSize, advance, preset } = {}) => {
+    const { tournament, organizerKey, error } = tournamentManager.create({ name, groupSize, advance, preset });
+    if (error) {
+      socket.emit('error', error);
+      return;
+    }
+    socket.join(TournamentManager.channel(tournament.id));
+    socket.emit('tournamentCreated', { id: tournament.id, organizerKey });
+    socket.emit('tournamentUpdate', tournamentManager.describe(tournament));
+  });
+
+  socket.on('registerTournament', ({ id, name } = {}) => {
+    const { tournament, entrant, error } = tournamentManager.register(id, name, socket.data.accountId || null);
+    if (error) {
+      socket.emit('error', error);
+      return;
+    }
+    entrant.socketId = socket.id;
+    socket.join(TournamentManager.channel(tournament.id));
+    socket.emit('tournamentRegistered', { id: tournament.id, entrantId: entrant.entrantId, key: entrant.key, name: entrant.name });
+  });
+
+  // เปิดหน้าสาย (ผู้สมัครส่ง entrantId + key มาด้วยเพื่อรับห้องของตัวเอง)
+  socket.on('watchTournament', ({ id, entrantId, key } = {}) => {
+    const tournament = tournamentManager.get(id);
+    if (!tournament) {
+      socket.emit('error', 'ไม่พบทัวร์นาเมนต์นี้');
+      return;
+    }
+    socket.join(TournamentManager.channel(tournament.id));
+    socket.emit('tournamentUpdate', tournamentManager.describe(tournament));
+
+    const entrant = entrantId ? tournamentManager.findEntrant(tournament, entrantId, key) : null;
+    if (!entrant) return;
+    entrant.socketId = socket.id;
+    const seat = tournamentManager.seatOf(tournament, entrant.entrantId);
+    if (seat) socket.emit('tournamentSeat', { tournamentId: tournament.id, ...seat });
+  });
+
+  socket.on('startTournament', ({ id, organizerKey } = {}) => {
+    const { error } = tournamentManager.start(id, organizerKey);
+    if (error) {
+      socket.emit('error', error);
+    }
+  });
+
+  socket.on('setPhaseDurations', ({ code, playCard, action }) => {
+    const room = roomManager.getRoom(code);
+    if (!room) {
+      socket.emit('error', 'ไม่พบห้องนี้');
+      return;
+    }
+
+    if (!roomManager.isHost(code, socket.id)) {
+      socket.emit('error', 'เฉพาะโฮสต์เท่านั้นที่ตั้งเวลาเฟสได้');
+      return;
+    }
+
+    if (room.started) {
+      socket.emit('error', 'ไม่สามารถตั้งเวลาเฟสระหว่างเกมได้');
+      return;
+    }
+
+    const { durations, error } = PhaseTimerManager.validateDurations({ playCard, action });
+    if (error) {
+      socket.emit('error', error);
+      return;
+    }
+
+    room.phaseDurations = { ...room.phaseDurations, ...durations };
+    broadcastLobbyUpdate(code);
+  });
+
+  // ✅ โฮสต์กำหนด seed เพื่อเล่นเกมเดิมซ้ำ (ส่งค่าว่างเพื่อกลับไปสุ่ม seed ใหม่ทุกเกม)
+  socket.on('setRoomSeed', ({ code, seed }) => {
+    const room = roomManager.getRoom(code);
+    if (!room) {
+      socket.emit('error', 'ไม่พบห้องนี้');
+      return;
+    }
+
+    if (!roomManager.isHost(code, socket.id)) {
+      socket.emit('error', 'เฉพาะโฮสต์เท่านั้นที่ตั้ง seed ได้');
+      return;
+    }
+
+    if (room.started) {
+      socket.emit('error', 'ไม่สามารถตั้ง seed ระหว่างเกมได้');
+      return;
+    }
+
+    const hasSeed = seed !== undefined && seed !== null && String(seed).trim() !== '';
+    room.fixedSeed = hasSeed ? normalizeSeed(seed) : null;
+    broadcastLobbyUpdate(code);
+  });
+
+  // ✅ โฮสต์ปรับกติกาห้อง: เลือก preset หรือส่งบางช่องมาแก้ (ต่อจากค่าปัจจุบัน)
+  socket.on('setRoomSettings', ({ code, preset, settings } = {}) => {
+    const room = roomManager.getRoom(code);
+    if (!room) {
+      socket.emit('error', 'ไม่พบห้องนี้');
+      return;
+    }
+
+    if (!roomManager.isHost(code, socket.id)) {
+      socket.emit('error', 'เฉพาะโฮสต์เท่านั้นที่ปรับกติกาห้องได้');
+      return;
+    }
+
+    if (room.started) {
+      socket.emit('error', 'ไม่สามารถปรับกติกาห้องระหว่างเกมได้');
+      return;
+    }
+
+    const current = RoomSettings.of(room);
+    let next;
+    if (preset !== undefined) {
+      next = RoomSettings.applyPreset(preset, current);
+      if (!next) {
+        socket.emit('error', 'ไม่พบ preset นี้');
+        return;
+      }
+    } else {
+      const { settings: changes, error } = RoomSettings.validate(settings || {});
+      if (error) {
+        socket.emit('error', error);
+        return;
+      }
+      next = { ...current, ...changes };
+    }
+
+    if (next.maxPlayers < room.players.length) {
+      socket.emit('error', `ในห้องมีผู้เล่น ${room.players.length} คนแล้ว ลดจำนวนที่นั่งไม่ได้`);
+      return;
+    }
+
+    room.settings = next;
+    // พลังใจที่แสดงใน lobby ตรงกับกติกาใหม่
+    room.players.forEach(p => {
+      p.heart = next.startingHearts;
+    });
+    console.log(`⚙️ Room ${code} settings: ${JSON.stringify(next)}`);
+    broadcastLobbyUpdate(code);
+  });
+
+  // ==================== โหมดทีม ====================
+  socket.on('setTeamSettings', ({ code, mode, scoring } = {}) => {
+    const room = roomManager.getRoom(code);
+    if (!room) {
+      socket.emit('error', 'ไม่พบห้องนี้');
+      return;
+    }
+
+    if (!roomManager.isHost(code, socket.id)) {
+      socket.emit('error', 'เฉพาะโฮสต์เท่านั้นที่เปลี่ยนโหมดทีมได้');
+      return;
+    }
+
+    const result = roomManager.setTeamSettings(code, { mode, scoring });
+    if (result.error) {
+      socket.emit('error', result.error);
+      return;
+    }
+
+    console.log(`👥 Room ${code} teams: ${JSON.stringify(TeamManager.of(room))}`);
+    broadcastLobbyUpdate(code);
+  });
+
+  socket.on('setSeries', ({ code, bestOf } = {}) => {
+    const room = roomManager.getRoom(code);
+    if (!room) {
+      socket.emit('error', 'ไม่พบห้องนี้');
+      return;
+    }
+
+    if (!roomManager.isHost(code, socket.id)) {
+      socket.emit('error', 'เฉพาะโฮสต์เท่านั้นที่ตั้งซีรีส์ได้');
+      return;
+    }
+
+    if (room.started) {
+      socket.emit('error', 'ไม่สามารถเปลี่ยนซีรีส์ระหว่างเกมได้');
+      return;
+    }
+
+    const error = SeriesManager.validate(bestOf);
+    if (error) {
+      socket.emit('error', error);
+      return;
+    }
+
+    // ตั้งใหม่ = เริ่มนับซีรีส์ใหม่ (ยกเลิกการนับถอยหลังที่ค้างอยู่)
+    seriesManager.cancel(code);
+    SeriesManager.configure(room, bestOf);
+    console.log(`🏅 Room ${code} series: best of ${bestOf}`);
+    broadcastLobbyUpdate(code);
+  });
+
+  socket.on('setPlayerTeam', ({ code, seatId, team } = {}) => {
+    const room = roomManager.getRoom(code);
+    if (!room) {
+      socket.emit('error', 'ไม่พบห้องนี้');
+      return;
+    }
+
+    if (!roomManager.isHost(code, socket.id)) {
+      socket.emit('error', 'เฉพาะโฮสต์เท่านั้นที่จัดทีมได้');
+      return;
+    }
+
+    const result = roomManager.setPlayerTeam(code, seatId, team);
+    if (result.error) {
+      socket.emit('error', result.error);
+      return;
+    }
+
+    broadcastLobbyUpdate(code);
+  });
+
+  // ==================== กองอีเวนต์ ====================
+  socket.on('setEventSettings', ({ code, disabled, weights, sequence } = {}) => {
     const room = roomManager.getRoom(code);
     if (!room) {
       socket.emit('error', 'ไม่พบห้องนี้');
@@ -371,20 +1362,34 @@ io.on('connection', (socket) => {
     }
 
     if (!roomManager.isHost(code, socket.id)) {
-      socket.emit('error', 'เฉพาะโฮสต์เท่านั้นที่สามารถเพิ่มบอทได้');
+      socket.emit('error', 'เฉพาะโฮสต์เท่านั้นที่ปรับกองอีเวนต์ได้');
       return;
     }
 
-    const result = roomManager.addBot(code);
-    if (result.error) {
-      socket.emit('error', result.error);
+    if (room.started) {
+      socket.emit('error', 'ไม่สามารถปรับกองอีเวนต์ระหว่างเกมได้');
+      return;
+    }
+
+    const { eventSettings, error } = EventPoolManager.validate(
+      { disabled, weights, sequence },
+      EVENTS,
+      EventPoolManager.of(room)
+    );
+    if (error) {
+      socket.emit('error', error);
       return;
     }
 
+    room.eventSettings = eventSettings;
+    room.eventPool = EventPoolManager.buildPool(EVENTS, eventSettings);
+    room.usedEvents = 0;
+    console.log(`🎴 Room ${code} event pool: ${room.eventPool.length}/${EVENTS.length} events, ${JSON.stringify(eventSettings)}`);
     broadcastLobbyUpdate(code);
   });
 
-  socket.on('removeBot', ({ code, playerId }) => {
+  // ==================== จัดเด็ค ====================
+  socket.on('setDeckMode', ({ code, mode }) => {
     const room = roomManager.getRoom(code);
     if (!room) {
       socket.emit('error', 'ไม่พบห้องนี้');
@@ -392,49 +1397,66 @@ io.on('connection', (socket) => {
     }
 
     if (!roomManager.isHost(code, socket.id)) {
-      socket.emit('error', 'เฉพาะโฮสต์เท่านั้นที่สามารถลบบอทได้');
+      socket.emit('error', 'เฉพาะโฮสต์เท่านั้นที่เปลี่ยนโหมดเด็คได้');
       return;
     }
 
-    const result = roomManager.removeBot(code, playerId);
-    if (result.error) {
-      socket.emit('error', result.error);
+    if (room.started) {
+      socket.emit('error', 'ไม่สามารถเปลี่ยนโหมดเด็คระหว่างเกมได้');
       return;
     }
 
+    if (!DeckManager.DECK_MODES.includes(mode)) {
+      socket.emit('error', 'โหมดเด็คไม่ถูกต้อง');
+      return;
+    }
+
+    room.deckMode = mode;
+    // คนที่กดพร้อมไว้แต่ยังไม่มีเด็ค ต้องส่งเด็คก่อน
+    if (mode === 'custom') {
+      room.players.forEach(p => {
+        if (!p.isBot && !p.deckList) p.ready = false;
+      });
+    }
     broadcastLobbyUpdate(code);
   });
 
-  socket.on('kickPlayer', ({ code, playerId }) => {
+  // ผู้เล่นส่งเด็คเป็นรายการ id (cardIds) หรือโค้ดเด็ค (deckCode)
+  socket.on('submitDeck', ({ code, cardIds, deckCode } = {}) => {
     const room = roomManager.getRoom(code);
     if (!room) {
       socket.emit('error', 'ไม่พบห้องนี้');
       return;
     }
 
-    if (!roomManager.isHost(code, socket.id)) {
-      socket.emit('error', 'เฉพาะโฮสต์เท่านั้นที่สามารถเตะผู้เล่นได้');
+    const player = room.players.find(p => p.id === socket.id);
+    if (!player) {
+      socket.emit('error', 'ไม่พบผู้เล่น');
       return;
     }
 
-    const result = roomManager.kickPlayer(code, playerId);
-    if (result.error) {
-      socket.emit('error', result.error);
+    if (room.started) {
+      socket.emit('error', 'ไม่สามารถเปลี่ยนเด็คระหว่างเกมได้');
       return;
     }
 
-    const { removedPlayer } = result;
-    if (removedPlayer?.id) {
-      const targetSocket = io.sockets.sockets.get(removedPlayer.id);
-      if (targetSocket) {
-        targetSocket.leave(code);
-        targetSocket.emit('kicked', {
-          roomCode: code,
-          message: 'คุณถูกโฮสต์เตะออกจากห้อง'
-        });
-      }
+    const ids = deckCode !== undefined ? DeckManager.decode(deckCode) : cardIds;
+    if (!ids) {
+      socket.emit('error', 'โค้ดเด็คไม่ถูกต้อง');
+      return;
     }
 
+    // ✅ ผู้เล่นที่มีโปรไฟล์จัดเด็คได้เฉพาะการ์ดที่มีในคลัง (ไม่มีโปรไฟล์/ไม่มีฐานข้อมูล = ใช้การ์ดได้ทุกใบ)
+    const collection = player.accountId ? playerStore.getCollection(player.accountId) : null;
+    const { cardIds: deckList, error } = DeckManager.validate(ids, collection ? collection.cards : null);
+    if (error) {
+      socket.emit('error', error);
+      return;
+    }
+
+    player.deckList = deckList;
+    console.log(`🃏 ${player.name} submitted a ${deckList.length}-card deck in room ${code}`);
+    socket.emit('deckAccepted', { cardIds: deckList, deckCode: DeckManager.encode(deckList) });
     broadcastLobbyUpdate(code);
   });
 
@@ -463,8 +1485,29 @@ io.on('connection', (socket) => {
       return;
     }
     
+    // ✅ โหมดทีม: ต้องจัดทีมครบก่อนเริ่ม
+    const teamError = TeamManager.validateTeams(room);
+    if (teamError) {
+      io.to(code).emit('error', teamError);
+      return;
+    }
+
+    // ✅ ห้องทัวร์นาเมนต์แข่งได้ครั้งเดียว
+    const tournamentError = tournamentManager.canStart(room);
+    if (tournamentError) {
+      io.to(code).emit('error', tournamentError);
+      return;
+    }
+
+    seriesManager.cancel(code);
+    matchmakingManager.cancel(code);
+    SeriesManager.prepareGame(room);
+
     console.log(`🔄 Resetting room ${code} before starting new game`);
     GameStateManager.startGame(room);
+    tournamentManager.markStarted(room);
+    replayManager.startRecording(room);
+    checkpointRoom(room, 'eventSlot');
 
     console.log(`🎮 Game ${code} started!`);
     
@@ -477,15 +1520,12 @@ io.on('connection', (socket) => {
       const playerSocket = io.sockets.sockets.get(p.id);
       if (playerSocket) {
         console.log(`📤 Sending initialHandDraw to ${p.name} with ${p.hand.length} cards`);
-        playerSocket.emit('initialHandDraw', {
-          turn: room.turn,
-          cards: p.hand,
-          players: getPlayersInfo(room)
-        });
+        playerSocket.emit('initialHandDraw', StateProjector.initialHandDraw(room, p));
       } else {
         console.warn(`⚠️ Socket not found for player ${p.name} (${p.id})`);
       }
     });
+    io.to(RoomManager.spectatorChannel(code)).emit('gameStarted', StateProjector.gameStarted(room, null));
     
     // เริ่มเฟส event slot หลังจาก 6 วิ
     setTimeout(() => {
@@ -531,10 +1571,11 @@ io.on('connection', (socket) => {
     const room = rooms.get(code);
     if (!room) return;
 
-    // ✅ ตรวจสอบอีเวนต์ "รายการปริศนา" (special_battle) - ข้ามสลอตแข่งขัน
-    if (room.event.effect === 'special_battle') {
-      console.log(`❓ [Event] รายการปริศนา - ไม่มีสลอตแข่งขัน`);
-      room.competition = 'รายการปริศนา'; // กำหนดการแข่งขันเป็นรายการปริศนา
+    // ✅ อีเวนต์ที่บังคับการแข่งขัน (เช่น รายการปริศนา) - ข้ามสลอตแข่งขัน
+    const competitionOverride = EventEngine.getCompetitionOverride(room.event);
+    if (competitionOverride) {
+      console.log(`❓ [Event] ${room.event.name} - บังคับการแข่งขัน ${competitionOverride} ไม่มีสลอต`);
+      room.competition = competitionOverride;
       
       // ส่งผลลัพธ์ไปเลยไม่ต้องหมุนสลอต
       io.to(code).emit('competitionSlotResult', {
@@ -544,8 +1585,8 @@ io.on('connection', (socket) => {
 
       console.log(`📍 เทิร์น ${room.turn}: ${room.event.name} - ${room.competition}`);
 
-      // ✅ ตรวจสอบ Event "ของขวัญจาก Mikudayo" (draw_3)
-      if (room.event.effect === 'draw_3') {
+      // ✅ อีเวนต์ที่ให้จั่วการ์ดตอนเริ่มเทิร์น (เช่น ของขวัญจาก Mikudayo)
+      if (EventEngine.drawCount(room.event, 'start') > 0) {
         startMikudayoDrawPhase(code);
       } else {
         setTimeout(() => {
@@ -559,7 +1600,7 @@ io.on('connection', (socket) => {
     console.log(`🎰 [Competition Slot] Starting competition slot phase...`);
 
     // ✅ สุ่มการแข่งขันก่อนส่งไป client
-    room.competition = getRandomCompetition();
+    room.competition = getRandomCompetition(room.rng);
     console.log(`📍 Competition selected: ${room.competition}`);
 
     // ส่งสัญญาณให้ client เริ่มหมุนสล็อต 3 วิ และส่ง competition ที่สุ่มได้ไปด้วย
@@ -577,8 +1618,8 @@ io.on('connection', (socket) => {
 
       console.log(`📍 เทิร์น ${room.turn}: ${room.event.name} - ${room.competition}`);
 
-      // ✅ ตรวจสอบ Event "ของขวัญจาก Mikudayo" (draw_3)
-      if (room.event.effect === 'draw_3') {
+      // ✅ อีเวนต์ที่ให้จั่วการ์ดตอนเริ่มเทิร์น (เช่น ของขวัญจาก Mikudayo)
+      if (EventEngine.drawCount(room.event, 'start') > 0) {
         startMikudayoDrawPhase(code);
       } else {
         // Event ปกติ - เริ่มเฟสเลือกการ์ดทันที
@@ -594,32 +1635,34 @@ io.on('connection', (socket) => {
     const room = rooms.get(code);
     if (!room) return;
 
-    console.log(`🎁 [Event] ของขวัญจาก Mikudayo - เริ่มเฟสจั่วการ์ด`);
+    const drawCount = EventEngine.drawCount(room.event, 'start');
+    console.log(`🎁 [Event] ${room.event.name} - เริ่มเฟสจั่วการ์ด (${drawCount} ใบ)`);
     room.phase = 'mikudayoDraw';
     
     // รอ 1 วิ แล้วจั่วการ์ด
     setTimeout(() => {
       room.players.forEach(p => {
         if (p.heart > 0 && p.hand.length > 0) { // เฉพาะคนที่ยังเล่นอยู่
-          const newCards = room.deck.drawCards(3);
+          const newCards = GameStateManager.deckFor(room, p).drawCards(drawCount);
           p.hand.push(...newCards);
+          replayManager.recordDraw(room, p, newCards, 'mikudayo');
           
           if (!p.isBot) {
             io.to(p.id).emit('drawCards', {
               cards: newCards,
-              count: 3,
+              count: drawCount,
               reason: 'mikudayo'
             });
           }
           
-          console.log(`🎁 ${p.name}: จั่ว 3 ใบจาก Mikudayo`);
+          console.log(`🎁 ${p.name}: จั่ว ${drawCount} ใบจาก ${room.event.name}`);
         }
       });
       
-      // รอให้ animation จั่วเสร็จ (0.55s × 3 = 1.65s) + เวลาให้เห็น hands card (1s) = 2.65s → ใช้ 3s
+      // รอให้ animation จั่วเสร็จ (0.55s/ใบ) + เวลาให้เห็น hands card (1s)
       setTimeout(() => {
         startPlayCardPhase(code);
-      }, 3000);
+      }, Math.max(3000, drawCount * 550 + 1000));
     }, 1000);
   };
 
@@ -642,9 +1685,11 @@ io.on('connection', (socket) => {
     // Divine Card revival check happens at the true start of the turn
     if (room.divineCardActive && Object.keys(room.divineCardActive).length > 0) {
       room.players.forEach(p => {
-        const revival = SkillManager.checkDivineCardRevival(p, room, room.deck);
+        const revival = SkillManager.checkDivineCardRevival(p, room, GameStateManager.deckFor(room, p));
         if (revival.revived) {
           p.isDead = false;
+          room.eliminations = room.eliminations.filter(e => e.playerKey !== getPlayerKey(p));
+          replayManager.recordDraw(room, p, revival.cards, 'divineCard');
           console.log(`🌟 [Divine Revival] ${p.name} returns with ${revival.drewCards} new cards`);
           if (p.isBot) return;
           const playerSocket = io.sockets.sockets.get(p.id);
@@ -676,92 +1721,52 @@ io.on('connection', (socket) => {
       }
     });
 
-    // ✅ Auto-skip logic: Set timeout to auto-skip disconnected players after 30 seconds
-    setTimeout(() => {
-      const room = rooms.get(code);
-      if (!room || room.phase !== 'playCard') return;
-      
-      // Auto-skip all disconnected players that haven't decided yet
-      let skippedAny = false;
-      room.players.forEach(p => {
-        if (p.isDisconnected && !p.hasDecided) {
-          console.log(`🤖 [AUTO-SKIP TIMEOUT] ${p.name} did not respond, auto-skipping playCard`);
-          p.playedCard = null;
-          p.hasDecided = true;
-          skippedAny = true;
-        }
-      });
-      
-      if (skippedAny) {
-        // Check if all players have now decided
-        const allDecided = room.players.every(p => p.hasDecided === true);
-        if (allDecided) {
-          startEventSlot(code);
-        }
-      }
-    }, 30000);
-
     // ==================== PHASE: Apply Event Effects at Start of Turn ====================
-    // heal_1 - ผู้เล่นฟื้นฟูพลังใจ 1 หน่วย
-    if (room.event.effect === 'heal_1') {
-      console.log(`💚 [Event START] heal_1: All players heal 1 heart`);
-      room.players.forEach(p => {
-        const oldHeart = p.heart;
-        p.heart = Math.min(6, p.heart + 1);
-        console.log(`💚 ${p.name} healed: ${oldHeart} → ${p.heart}`);
-      });
-    }
-
-    // draw_3 - ผู้เล่นสุ่มกาชาคนละ 3 ใบ (จั่วไปแล้วใน startMikudayoDrawPhase)
-    if (room.event.effect === 'draw_3') {
-      console.log(`🎁 [Event START] draw_3: Already drew cards in Mikudayo phase`);
-      // ❌ ไม่ต้องจั่วที่นี่ เพราะจั่วไปแล้วในเฟสจั่วการ์ดแยกต่างหาก
-    }
+    // พลังใจตอนเริ่มเทิร์น (เช่น มูฟวี่ฉายแล้ว +1, กุ้ง -1) - การจั่วตอนเริ่มเทิร์นทำไปแล้วใน startMikudayoDrawPhase
+    const startHeartChanges = EventEngine.applyHeart(room.event, 'start', room.players, RoomSettings.of(room).startingHearts);
+    startHeartChanges.forEach(hc => {
+      console.log(`💗 [Event START] ${room.event.name}: ${hc.player} heart ${hc.from} → ${hc.to}`);
+    });
 
-    // shrimp_curse - ค่าพลังใจของผู้เล่น -1 ตอนเริ่มเทิร์น
-    if (room.event.effect === 'shrimp_curse') {
-      console.log(`🦐 [Event START] shrimp_curse: All players lose 1 heart at start`);
-      room.players.forEach(p => {
-        p.heart = Math.max(0, p.heart - 1);
-        console.log(`🦐 ${p.name} cursed: heart → ${p.heart}`);
-      });
-      
-      // ✅ ตรวจสอบว่ามีคนตายจากกุ้งหรือไม่
+    if (EventEngine.heartDelta(room.event, 'start') < 0) {
+      // ✅ ตรวจสอบว่ามีคนตายจากอีเวนต์หรือไม่
       const alivePlayers = room.players.filter(p => p.heart > 0 && p.hand.length > 0);
       
-      // ถ้ามีผู้เล่นเหลือ 1 คน → ชนะ
-      if (alivePlayers.length === 1) {
-        const winner = alivePlayers[0];
-        console.log(`🏆 [GAME OVER - SHRIMP] ${winner.name} ชนะเกม! (คนอื่นตายจากกุ้ง)`);
-        io.to(code).emit('gameOver', {
-          winnerName: winner.name,
-          reason: 'shrimp_curse',
-          players: getPlayersInfo(room)
-        });
+      // ถ้าเหลือผู้เล่น (โหมดทีม: ทีม) เดียว → ชนะ
+      if (alivePlayers.length > 0 && TeamManager.aliveSides(room, alivePlayers).length === 1) {
+        const { finalWinner, winningTeam } = TeamManager.winnerOf(room, alivePlayers);
+        console.log(`🏆 [GAME OVER - EVENT] ${finalWinner} ชนะเกม! (คนอื่นตายจาก ${room.event.name})`);
+        replayManager.recordTurnSetup(room);
+        io.to(code).emit('gameOver', StateProjector.gameOver(room, {
+          winnerName: finalWinner,
+          winningTeam,
+          reason: 'event',
+          eventName: room.event.name,
+          players: getPlayersInfo(room),
+          replayId: finishMatch(room, { winnerNameFinal: finalWinner, winningTeam, reason: 'event' })
+        }));
+        returnToLobby(code);
         return; // ✅ หยุดเกมทันที
       }
       
       // ถ้าทุกคนตาย → เสมอ
       if (alivePlayers.length === 0) {
-        console.log(`🤝 [GAME OVER - SHRIMP] เสมอ! ทุกคนตายจากกุ้งพร้อมกัน`);
-        io.to(code).emit('gameOver', {
+        console.log(`🤝 [GAME OVER - EVENT] เสมอ! ทุกคนตายจาก ${room.event.name} พร้อมกัน`);
+        replayManager.recordTurnSetup(room);
+        io.to(code).emit('gameOver', StateProjector.gameOver(room, {
           isDraw: true,
-          reason: 'shrimp_curse',
-          players: getPlayersInfo(room)
-        });
+          reason: 'event',
+          eventName: room.event.name,
+          players: getPlayersInfo(room),
+          replayId: finishMatch(room, {
+            isDraw: true,
+            drawPlayers: room.players.map(p => p.name),
+            reason: 'event'
+          })
+        }));
+        returnToLobby(code);
         return; // ✅ หยุดเกมทันที
       }
-      
-      // ✅ Auto-skip ผู้เล่นที่ตายจากกุ้ง (ให้เกมดำเนินต่อได้)
-      room.players.forEach(p => {
-        if (p.heart === 0) {
-          p.playedCard = null;
-          p.hasDecided = true;
-          p.chosenAction = null;
-          p.hasChosenAction = true;
-          console.log(`⚰️ ${p.name} auto-skipped (died from shrimp)`);
-        }
-      });
     }
 
     console.log(`📍 เทิร์น ${room.turn}: ${room.event.name} - ${room.competition}`);
@@ -788,6 +1793,13 @@ io.on('connection', (socket) => {
       }
     });
     
+    replayManager.recordTurnSetup(room);
+
+    // ✅ เซิร์ฟเวอร์เป็นคนกำหนดเส้นตายเฟสเลือกการ์ด
+    // client แสดงอีเวนต์ 5 วิ ก่อนเปิดหน้าเลือกการ์ด (ยกเว้นอีเวนต์จั่วการ์ดที่เปิดทันที)
+    const isMikudayo = EventEngine.drawCount(room.event, 'start') > 0;
+    const playCardDeadline = phaseTimerManager.schedule(room, 'playCard', isMikudayo ? 0 : 5000);
+
     // ส่งข้อมูลเทิร์นให้ทุกคน (ส่งไปยัง socket id ปัจจุบันของแต่ละผู้เล่น)
     room.players.forEach(p => {
       if (p.isBot) {
@@ -799,9 +1811,21 @@ io.on('connection', (socket) => {
         players: getPlayersInfo(room),
         actionCooldown: p.actionCooldown,
         lastTurnActionResults: room.lastTurnActionResults || [],
-        isMikudayo: room.event.effect === 'draw_3'
+        isMikudayo,
+        playCardDeadline,
+        serverNow: Date.now()
       });
     });
+    // ผู้ชมได้ข้อมูลเทิร์นแบบไม่มีการ์ดบนมือ
+    io.to(RoomManager.spectatorChannel(code)).emit('newTurn', {
+      turn: room.turn,
+      players: getPlayersInfo(room),
+      lastTurnActionResults: room.lastTurnActionResults || [],
+      isMikudayo,
+      playCardDeadline,
+      serverNow: Date.now(),
+      spectating: true
+    });
 
     botManager.handleNewTurn(room);
   };
@@ -847,19 +1871,6 @@ io.on('connection', (socket) => {
       return;
     }
 
-    // ✅ Auto-skip disconnected players
-    if (player.isDisconnected) {
-      console.log(`🤖 [AUTO-SKIP] ${player.name} is disconnected, auto-skipping playCard`);
-      player.playedCard = null;
-      player.hasDecided = true;
-      // Check if all players have decided
-      const allDecided = room.players.every(p => p.hasDecided);
-      if (allDecided) {
-        startEventSlot(roomCode);
-      }
-      return;
-    }
-    
     // ✅ ป้องกันผู้เล่นที่พลังใจ = 0 จากการเล่นต่อ (ให้ดูอย่างเดียว)
     if (player.heart === 0) {
       console.log(`⚠️ ${player.name} is eliminated (heart = 0), cannot play card`);
@@ -882,9 +1893,8 @@ io.on('connection', (socket) => {
       player.playedCard = null;
       player.hasDecided = true;
     } else {
-      // ผู้เล่นลงการ์ด
-      player.playedCard = card;
-      player.hand = player.hand.filter(c => c.id !== card.id);
+      // ผู้เล่นลงการ์ด (ใช้การ์ดบนมือจริง ไม่ใช่ข้อมูลการ์ดที่ client ส่งมา - เด็คของผู้เล่นมีการ์ดซ้ำได้ เอาออกแค่ใบเดียว)
+      player.playedCard = GameStateManager.takeFromHand(player, card.id);
       player.hasDecided = true;
     }
 
@@ -914,19 +1924,6 @@ io.on('connection', (socket) => {
       return;
     }
 
-    // ✅ Auto-skip disconnected players
-    if (player.isDisconnected) {
-      console.log(`🤖 [AUTO-SKIP] ${player.name} is disconnected, auto-choosing action 3 (compete)`);
-      player.action = "3"; // Default action: compete
-      // Check if all players with cards have chosen action
-      const playersWithCards = room.players.filter(p => p.playedCard !== null);
-      const allChoseAction = playersWithCards.every(p => p.action);
-      if (allChoseAction) {
-        resolveTurn(roomCode);
-      }
-      return;
-    }
-    
     // ✅ ป้องกันผู้เล่นที่พลังใจ = 0 จากการเลือก action (ให้ดูอย่างเดียว)
     if (player.heart === 0) {
       console.log(`⚠️ ${player.name} is eliminated (heart = 0), cannot choose action`);
@@ -942,8 +1939,9 @@ io.on('connection', (socket) => {
     // ✅ ตรวจสอบคูลดาวน์สำหรับ action 2 (สกิล)
     // แม้ว่า CD > 0 ก็ยังส่งข้อความเตือนแต่ให้ส่ง action ไปได้ (ยืดเพิ่ม CD)
     if (action === "2" && player.actionCooldown > 0) {
-      console.warn(`⚠️ ${player.name} tried to use action 2 but CD is ${player.actionCooldown} - extending CD by 3`);
-      socket.emit('warning', `⚠️ สกิลกำลังติด CD ${player.actionCooldown} เทิร์น! แต่ยืดเพิ่มอีก 3 เทิร์น`);
+      const { cooldownExtension } = RoomSettings.of(room);
+      console.warn(`⚠️ ${player.name} tried to use action 2 but CD is ${player.actionCooldown} - extending CD by ${cooldownExtension}`);
+      socket.emit('warning', `⚠️ สกิลกำลังติด CD ${player.actionCooldown} เทิร์น! แต่ยืดเพิ่มอีก ${cooldownExtension} เทิร์น`);
     }
 
     player.action = action;
@@ -952,32 +1950,17 @@ io.on('connection', (socket) => {
     processAfterActionSelections(roomCode);
   });
 
-  // Auto resolve เมื่อครบ 30 วิ
-  socket.on('actionTimeout', (roomCode) => {
-    const room = rooms.get(roomCode);
-    if (room && room.phase === 'action') {
-      console.log(`⏱️ Action phase timeout for room ${roomCode}`);
-      const playersWithCards = room.players.filter(p => p.playedCard !== null);
-      playersWithCards.forEach(p => { 
-        if (!p.action) {
-          p.action = "3"; // ตั้งต้นแข่งตรง ๆ
-          console.log(`⚙️ ${p.name} auto-select action 3`);
-        }
-      });
-      resolveTurn(roomCode);
-    } else {
-      console.warn(`⚠️ actionTimeout called but phase is '${room?.phase}' not 'action'`);
-    }
-  });
-
   // ==================== Helper: Reset Room ====================
   const getNextEvent = (room) => {
     return GameStateManager.getNextEvent(room);
   };
 
   const resetRoom = (code) => {
+    snapshotManager.clearCheckpoint(code);
+    phaseTimerManager.handleRoomReset(roomManager.getRoom(code));
     roomManager.resetRoom(code);
     botManager.handleRoomReset(code);
+    releaseAbandonedSeats(code);
   };
 
   // ==================== จบเทิร์น + คำนวณผล ====================
@@ -986,26 +1969,28 @@ io.on('connection', (socket) => {
     if (!room) return;
     
     room.phase = 'resolve';
+    phaseTimerManager.handleRoomReset(room);
     botManager.notifyTurnResolution(room);
 
-    const playersWithCards = room.players.filter(p => p.playedCard !== null);
-    console.log(`[RESOLVE START] playersWithCards: ${playersWithCards.length}/${room.players.length}`);
-    playersWithCards.forEach(p => console.log(`  - ${p.name}: playedCard=${p.playedCard.id}`));
-    
-    let scores = {};
-    let winner = null;
-    let maxScore = -1;
-    const actionResults = [];
-    const skillEffects = []; // Track all skill effects
+    // ✅ ตัดสินผลทั้งหมดผ่าน RulesEngine (pure) แล้วค่อยเขียนกลับเข้าห้อง
+    const { state, outcomes } = RulesEngine.resolve(
+      RulesEngine.snapshot(room),
+      RulesEngine.decisionsFromRoom(room),
+      { drawEvent: () => getNextEvent(room) }
+    );
+    RulesEngine.commit(room, state);
 
-    // Initialize skill-related game state
-    room.protectedPlayers = room.protectedPlayers || {};
-    room.skillBlockActive = room.skillBlockActive || {};
+    room.players.forEach(p => {
+      if (p.playedCard !== null) {
+        p.playedCard = null;
+        p.hasDecided = false;
+      }
+    });
 
     // กรณีไม่มีใครลงการ์ดเลย (ทุกคนข้าม) -> ส่งผลลัพธ์ปลอดภัยแล้วเริ่มเทิร์นต่อไป
-    if (playersWithCards.length === 0) {
+    if (!outcomes.contested) {
       console.log(`🔷 เทิร์น ${room.turn}: ไม่มีใครลงการ์ด`);
-      io.to(code).emit('turnResult', {
+      io.to(code).emit('turnResult', StateProjector.turnResult(room, {
         actionResults: [],
         winnerName: null,
         winnerScore: 0,
@@ -1013,378 +1998,83 @@ io.on('connection', (socket) => {
         winnerNameFinal: null,
         players: getPlayersInfo(room),
         skillEffects: []
-      });
+      }));
       // next turn
       room.turn++;
+      checkpointRoom(room, 'newTurn');
       setTimeout(() => startNewTurn(code), 3000);
       return;
     }
 
-    // ==================== PHASE 1: Process Skill Effects (Action 2) ====================
-    playersWithCards.forEach(p => {
-      if (p.action === "2" && p.playedCard) {
-        // Check if skill is blocked by hidden_skill
-        const playerKey = getPlayerKey(p);
-        if (SkillManager.isSkillBlocked(room, playerKey)) {
-          console.log(`🚫 ${p.name} skill blocked by hidden_skill!`);
-          skillEffects.push({
-            player: p.name,
-            skill: p.playedCard.skill,
-            blocked: true,
-            effects: ['Skill blocked by Hidden Skill']
-          });
-          return; // Skip skill activation
-        }
-
-        // Activate skill
-        const skillResult = SkillManager.activateSkill(
-          p.playedCard.skill,
-          p,
-          p.playedCard,
-          playersWithCards,
-          room,
-          io,
-          getNextEvent
-        );
-
-        // Handle special skills - เก็บ flag ไว้จะจั่วทีหลัง
-        if (p.playedCard.skill === 'gacha god') {
-          // ✅ ไม่จั่วที่นี่ - รอจนไปหลังประกาศผล
-          p.needsGachaGod = true;
-          console.log(`🎰 ${p.name} will draw 2 cards from Gacha God later`);
-        }
-
-        skillEffects.push({
-          player: p.name,
-          skill: p.playedCard.skill,
-          blocked: false,
-          effects: skillResult.effects,
-          modifiers: skillResult.statModifiers
-        });
-
-        console.log(`✨ ${p.name} used ${p.playedCard.skill}: ${skillResult.effects.join(', ')}`);
-      }
-    });
-
-    // ==================== PHASE 2: Calculate Scores with Stat Modifiers ====================
-    console.log(`[PHASE 2] Processing ${playersWithCards.length} players with cards`);
-    const statModifiers = {}; // Collect all stat modifiers from skills
-    skillEffects.forEach(se => {
-      if (se.modifiers) {
-        Object.assign(statModifiers, se.modifiers);
-      }
-    });
+    if (outcomes.eventChange) {
+      io.to(code).emit('fateControlEventChange', outcomes.eventChange);
+    }
 
-    playersWithCards.forEach(p => {
-      const playerKey = getPlayerKey(p);
-      const card = p.playedCard;
-      const scoringCard = { ...card };
-      
-      // ✅ Apply skill stat modifiers to a scoring clone so deck data stays pristine
-      if (statModifiers[playerKey]) {
-        const mods = statModifiers[playerKey];
-        if (mods.vocal) scoringCard.vocal = Math.max(1, scoringCard.vocal + mods.vocal);
-        if (mods.dance) scoringCard.dance = Math.max(1, scoringCard.dance + mods.dance);
-        if (mods.visual) scoringCard.visual = Math.max(1, scoringCard.visual + mods.visual);
-        console.log(`  📊 Stat modifiers applied: V${mods.vocal || 0}, D${mods.dance || 0}, Vi${mods.visual || 0}`);
-      }
-      
-      let score = calculateScore(scoringCard, room.competition, room.event);
-      let actualScore = score;
-      let action = p.action;
-      
-      console.log(`[SCORE CALC] 🎴 ${p.name} (Card: ${card.name})`);
-      console.log(`  Game Mode: ${room.competition}, Event: ${room.event.name}`);
-      console.log(`  Action: ${action === "1" ? "Gacha(-5)" : action === "2" ? "Skill" : action === "3" ? "Compete" : action === "4" ? "Flee" : "Unknown"}`);
-      console.log(`  Base Score: ${score}`);
-      
-      // Action 1: สุ่มกาชา - ลด 5 แต้ม
-      if (action === "1") {
-        actualScore = Math.max(0, score - 5); // ลด 5 แต้ม
-        console.log(`  → Action 1 applied: ${score} - 5 = ${actualScore}`);
-      }
-      // Action 2: ใช้สกิล - score already adjusted by skill modifiers
-      else if (action === "2") {
-        if (p.actionCooldown > 0) {
-          // ปุ่ม action 2 ติดคูลดาวน์ -> ให้คะแนนปกติ แต่ยืด CD เพิ่ม 2 เทิร์น
-          actualScore = score;
-          p.actionCooldown += 3; // ✅ ยืด CD ไป 3 เทิร์นเพิ่ม
-          console.log(`  ⚠️ Action 2 on cooldown (${p.actionCooldown - 3} turns) → Extend by 3 = ${p.actionCooldown}`);
-        } else {
-          // ✅ Score is already updated with modifiers applied to card stats
-          actualScore = score;
-          p.actionCooldown = 3; // ติดคูลดาวน์ 3 เทิร์น
-          console.log(`  ✨ Action 2 used: ${score} (with stat modifiers), CD set = 3`);
-        }
-      }
-      // Action 4: ถอยหนี
-      else if (action === "4") {
-        actualScore = 0;
-        // เก็บการ์ดเดิมกลับไว้ในมือ
-        if (p.playedCard) {
-          p.hand.push(p.playedCard);
-        }
-        // เสียพลังใจ 1
-        p.heart = Math.max(0, p.heart - 1);
-        console.log(`  🎴 Action 4 (Flee): Score = 0, Heart lost: ${p.heart + 1} → ${p.heart}`);
-      }
-      // Action 3 หรืออื่น ๆ
-      else {
-        actualScore = score;
-        console.log(`  ⚔️ Action 3 (Compete): Score = ${actualScore}`);
-      }
-      
-      console.log(`  ✅ Final Score: ${actualScore}\n`);
+    replayManager.recordTurnResult(room, outcomes);
+    const replayId = outcomes.gameOver
+      ? finishMatch(room, {
+        winnerNameFinal: outcomes.finalWinner,
+        winningTeam: outcomes.winningTeam,
+        isDraw: outcomes.isDraw,
+        drawPlayers: outcomes.drawPlayers
+      })
+      : null;
 
-      scores[playerKey] = actualScore;
-      if (actualScore > maxScore) {
-        maxScore = actualScore;
-        winner = p;
-      }
-      
-      // ✅ เพิ่มคะแนนไปยังคะแนนรวม
-      p.totalScore = (p.totalScore || 0) + actualScore;
-      
-      console.log(`[ACTION RESULT] ${p.name}: actualScore=${actualScore}, totalScore=${p.totalScore}`);
-      const resultObj = {
-        id: p.id,
-        name: p.name,
-        action: action,
-        score: actualScore,
-        baseScore: score
-      };
-      console.log(`[PUSH AR] Pushing:`, JSON.stringify(resultObj));
-      actionResults.push(resultObj);
+    outcomes.skillEffects.forEach(se => {
+      console.log(`✨ ${se.player} used ${se.skill}: ${se.effects.join(', ')}`);
     });
-
-    // ✅ เพิ่มผู้เล่นที่ข้ามเทิร์นลงใน actionResults ด้วย
-    const playersWhoSkipped = room.players.filter(p => p.hasDecided && p.playedCard === null);
-    console.log(`[SKIPPED] Found ${playersWhoSkipped.length} players who skipped`);
-    playersWhoSkipped.forEach(p => {
-      // ผู้เล่นที่ข้ามจะได้ 0 คะแนน
-      console.log(`[SKIPPED RESULT] ${p.name}: score=0`);
-      actionResults.push({
-        id: p.id,
-        name: p.name,
-        action: null,
-        score: 0,
-        baseScore: 0
-      });
+    outcomes.heartChanges.forEach(hc => {
+      console.log(`💔 ${hc.player}: ${hc.from} → ${hc.to} (${hc.reason})`);
     });
-
-    // ==================== PHASE 3: Apply Heart Loss / Shield Effects ====================
-    // ✅ หาว่ามีกี่คนที่ได้คะแนนสูงสุด
-    const winnersWithMaxScore = playersWithCards.filter(p => scores[getPlayerKey(p)] === maxScore);
-    
-    console.log(`[TURN RESULT] maxScore=${maxScore}, winners=${winnersWithMaxScore.length}, totalPlayers=${playersWithCards.length}`);
-    
-    // ✅ ถ้าทุกคนได้คะแนนเท่ากัน → ไม่มีใครเสีย
-    if (winnersWithMaxScore.length === playersWithCards.length) {
-      console.log(`[TURN RESULT] 🤝 All players tied! No one loses heart`);
-    } else {
-      // ถ้าบางคนแต้มต่างกว่า → เฉพาะคนที่ไม่ได้ maxScore เสีย
-      playersWithCards.forEach(p => {
-        const playerKey = getPlayerKey(p);
-        if (scores[playerKey] < maxScore) {
-          // Check if protected by leek_shield
-          if (!room.protectedPlayers[playerKey]) {
-            if (p.action !== "4") {
-              p.heart = Math.max(0, p.heart - 1);
-              console.log(`🔻 ${p.name} แพ้เทิร์น (${scores[playerKey]} < ${maxScore}) เสียพลังใจ 1 (เหลือ ${p.heart})`);
-            }
-          } else {
-            console.log(`🛡️ ${p.name} protected by Leek Shield!`);
-          }
-        }
-      });
-    }
-
-    // ==================== PHASE 4: Return Cards & Prepare for New Draw ====================
-    // ✅ เก็บข้อมูลการ์ดก่อนล้างเพื่อส่งไปแสดงผล (เฉพาะ Action ที่ไม่ใช่ 4/flee)
-    const playedCardsForDisplay = playersWithCards
-      .filter(p => p.action !== "4") // ❌ Exclude flee (Action 4) - ไม่ต้องแสดง animation
-      .map(p => ({
-        playerId: p.id,
-        playerName: p.name,
-        card: { ...p.playedCard }, // Copy card data
-        action: p.action
-      }));
-
-    // ✅ เก็บรายชื่อผู้เล่นที่ต้องจั่วการ์ดใหม่ (Action 1 หรือ Skill Gacha God)
-    const playersToDraw = [];
-    
-    playersWithCards.forEach(p => {
-      if (p.action !== "4") {
-        // ส่งการ์ดที่ลงไปเข้ากอน (recycle)
-        room.deck.returnCard(p.playedCard);
-        
-        // ✅ Action 1 (กาชา) - จั่ว 1 ใบ
-        if (p.action === "1") {
-          playersToDraw.push({ player: p, count: 1, reason: 'gacha' });
-          console.log(`🎲 ${p.name}: Action 1 (กาชา) - จะจั่ว 1 ใบ`);
-        }
-        
-        // ✅ Skill Gacha God - จั่ว 2 ใบ
-        if (p.needsGachaGod) {
-          playersToDraw.push({ player: p, count: 2, reason: 'gachaGod' });
-          console.log(`🎰 ${p.name}: Gacha God - จะจั่ว 2 ใบ`);
-          p.needsGachaGod = false;
-        }
-        
-        p.playedCard = null;
-        console.log(`♻️ ${p.name}: ส่งการ์ดเข้ากอน (กอนเหลือ: ${room.deck.deckCount().available})`);
-      } else {
-        // ✅ Action 4: ถอยหนี - เก็บการ์ดไว้ ไม่ส่งคืนกอง ไม่จั่วใหม่
-        p.playedCard = null;
-        console.log(`🏃 ${p.name}: ถอยหนี - เก็บการ์ดไว้`);
-      }
-      
-      // รีเซ็ต hasDecided สำหรับเทิร์นถัดไป
-      p.hasDecided = false;
+    outcomes.eliminated.forEach(name => {
+      const player = room.players.find(p => p.name === name);
+      if (player) room.eliminations.push({ playerKey: getPlayerKey(player), turn: room.turn });
+      console.log(`❌ ${name} แพ้เกม!`);
     });
 
-    // ✅ เก็บข้อมูลการจั่วไว้ส่งหลังประกาศผล
-    room.playersToDraw = playersToDraw;
-
-    // ==================== PHASE 5: Apply Event Effects ====================
-    // special_battle - ไม่สุ่มการแข่งขัน แข่งรูปแบบพิเศษ ค่าพลังที่+กัน ไม่มีตัวคูณ
-    if (room.event.effect === 'special_battle') {
-      console.log(`⚔️ [Event] special_battle: Already applied in score calculation`);
-    }
-
-    // max_stat_zero - ค่าพลังที่เยอะที่สุดของการ์ด จะถูกลบไป
-    if (room.event.effect === 'max_stat_zero') {
-      console.log(`⚡ [Event] max_stat_zero: Already applied in score calculation`);
-    }
-
-    // stat_minus_2 - ลบค่าพลังทุกอย่างลงอย่างละ 2 หน่วย
-    if (room.event.effect === 'stat_minus_2') {
-      console.log(`📉 [Event] stat_minus_2: Already applied in score calculation`);
-    }
-
-    // reveal_cards - หงายการ์ด (หงายทันทีหลังเฟสเลือกการ์ด)
-    let revealedCards = {};
-    if (room.event.effect === 'reveal_cards') {
-      console.log(`👁️ [Event] โหนเซไก - หงายการ์ดทันที`);
-      // ✅ เก็บข้อมูลการ์ดที่หงายเพื่อส่งให้ client
-      room.players.forEach(p => {
-        if (p.selectedCard) {
-          revealedCards[p.id] = p.selectedCard;
-        }
-      });
-    }
-
-    // hidden_skill - บล็อกสกิลของผู้เล่นอื่น
-    if (room.event.effect === 'hidden_skill') {
-      console.log(`🚫 [Event] hidden_skill: Already applied in skill activation`);
-    }
-
-    // group_buff, rarity_buff, type_buff - แบมัฟค่าพลัง
-    if (room.event.effect === 'group_buff' || room.event.effect === 'rarity_buff' || room.event.effect === 'type_buff') {
-      console.log(`✨ [Event] ${room.event.effect}: Already applied in score calculation`);
-    }
-
-    // sapphire_r - ให้ Kohane เพิ่มคะแนน
-    if (room.event.effect === 'sapphire_r') {
-      console.log(`💎 [Event] sapphire_r: Already applied in score calculation`);
-    }
-
-    // Clear temporary skill effects for next turn (AFTER divine card check)
-    SkillManager.clearTemporaryEffects(room);
-
-    // ✅ ตรวจสอบสถานะเกม: ผู้ชนะ, ผู้แพ้, การเสมอ (AFTER divine card check)
-    const hasPendingDivine = (p) => room.divineCardActive && room.divineCardActive[getPlayerKey(p)];
-    const isPlayerAlive = (p) => {
-      const pendingDivine = hasPendingDivine(p);
-      const heartOkay = p.heart > 0 || pendingDivine;
-      const hasCards = p.hand.length > 0 || pendingDivine;
-      return heartOkay && hasCards;
-    };
+    // ✅ คืนการ์ดที่ลงไปเข้ากอง (ยกเว้นถอยหนี) และเก็บรายชื่อคนที่ต้องจั่วไว้ส่งหลังประกาศผล
+    GameStateManager.returnCards(room, outcomes.returnedCards);
+    room.playersToDraw = outcomes.draws
+      .map(({ playerKey, count, reason }) => ({
+        player: room.players.find(p => getPlayerKey(p) === playerKey),
+        count,
+        reason
+      }))
+      .filter(d => d.player);
 
-    const alivePlayers = room.players.filter(p => isPlayerAlive(p));
-    const deadPlayers = room.players.filter(p => !isPlayerAlive(p));
-    
-    let gameOver = false;
-    let finalWinner = null;
-    let isDraw = false;
-    let drawPlayers = [];
-    
-    // กรณี 1: เหลือคนเดียว = ญชนะ
-    if (alivePlayers.length === 1) {
-      gameOver = true;
-      finalWinner = alivePlayers[0];
-      console.log(`🏆 [GAME OVER] ${finalWinner.name} ชนะเกม!`);
-    }
-    // กรณี 2: ไม่มีคนเหลือเลย = เสมอทั้งหมด
-    else if (alivePlayers.length === 0) {
-      gameOver = true;
-      isDraw = true;
-      drawPlayers = room.players.map(p => p.name);
-      console.log(`🤝 [GAME OVER] เสมอ! ผู้เล่น: ${drawPlayers.join(', ')}`);
-    }
-    // กรณี 3: ตรวจสอบว่ามีคนแพ้ใหม่ในเทิร์นนี้ (พร้อมกัน)
-    const newlyDeadPlayers = deadPlayers.filter(p => {
-      // เช็คว่าแพ้ในเทิร์นนี้ (ไม่มี flag isDead ก่อนหน้านี้)
-      return !p.isDead;
-    });
-    
-    if (newlyDeadPlayers.length > 0) {
-      newlyDeadPlayers.forEach(p => {
-        p.isDead = true;
-        console.log(`❌ ${p.name} แพ้เกม! (การ์ด: ${p.hand.length}, หัวใจ: ${p.heart})`);
-      });
-      
-      // ถ้าแพ้พร้อศกัน > 1 คน และเหลือคนเดียว = คนที่แพ้พร้อมกันเสมอ
-      if (newlyDeadPlayers.length > 1 && alivePlayers.length === 0) {
-        gameOver = true;
-        isDraw = true;
-        drawPlayers = newlyDeadPlayers.map(p => p.name);
-        console.log(`🤝 [SIMULTANEOUS DEATH] เสมอ! ${drawPlayers.join(', ')} แพ้พร้อมกัน`);
-      }
-      // ถ้าแพ้พร้อมกัน > 1 คน และเหลือ 1 คน = คนเหลือชนะ
-      else if (newlyDeadPlayers.length > 1 && alivePlayers.length === 1) {
-        gameOver = true;
-        finalWinner = alivePlayers[0];
-        console.log(`🏆 [GAME OVER] ${finalWinner.name} ชนะเกม! (ผู้อื่นแพ้พร้อมกัน)`);
-      }
-    }
+    const actionResults = outcomes.actionResults;
+    const skillEffects = outcomes.skillEffects;
+    const playedCardsForDisplay = outcomes.playedCards;
+    const gameOver = outcomes.gameOver;
+    const isDraw = outcomes.isDraw;
+    const drawPlayers = outcomes.drawPlayers;
+    const finalWinnerName = outcomes.finalWinner;
 
-    console.log(`🏆 เทิร์น ${room.turn}: ${winner ? winner.name : 'ไม่มีผู้ชนะ'} ชนะ (${maxScore} pt)`);
-    console.log(`[FINAL AR] actionResults length: ${actionResults.length}`);
-    console.log(`[FINAL AR] Full actionResults:`, JSON.stringify(actionResults, null, 2));
-    console.log(`[FINAL AR] getPlayersInfo:`, JSON.stringify(getPlayersInfo(room), null, 2));
-    
-    // ✅ Verify actionResults before emit
-    console.log(`[EMIT CHECK] About to emit turnResult with:`);
-    console.log(`  - actionResults: ${actionResults.length} items`);
-    if (actionResults.length > 0) {
-      console.log(`  - First item:`, actionResults[0]);
-      console.log(`  - Last item:`, actionResults[actionResults.length - 1]);
-    }
-    
-    console.log(`[EMIT] Emitting to room "${code}"`);
-    const roomClients = io.sockets.adapter.rooms.get(code);
-    console.log(`[EMIT] Connected clients in room:`, roomClients ? Array.from(roomClients) : []);
-    console.log(`[EMIT] Room has ${roomClients ? roomClients.size : 0} connected clients`);
+    console.log(`🏆 เทิร์น ${room.turn}: ${outcomes.winner || 'ไม่มีผู้ชนะ'} ชนะ (${outcomes.winnerScore} pt)`);
 
-    const turnResultData = {
+    const turnResultData = StateProjector.turnResult(room, {
       actionResults,
-      winnerName: winner ? winner.name : null,
-      winnerScore: maxScore,
+      winnerName: outcomes.winner,
+      winnerScore: outcomes.winnerScore,
+      teamScores: outcomes.teamScores,
+      winnerTeam: outcomes.winnerTeam,
       gameOver: gameOver,
-      winnerNameFinal: finalWinner?.name || null,
+      winnerNameFinal: finalWinnerName,
+      winningTeam: outcomes.winningTeam,
       isDraw: isDraw,
       drawPlayers: drawPlayers,
       players: getPlayersInfo(room),
       skillEffects: skillEffects,
-      revealedCards: revealedCards
-    };
+      revealedCards: outcomes.revealedCards,
+      series: gameOver && SeriesManager.isActive(room) ? SeriesManager.describe(room) : null,
+      replayId
+    });
 
     // ✅ เฟสหงายการ์ด + แสดงสกิลเอฟเฟค
     console.log(`🎴 [Reveal Phase] Revealing all played cards...`);
     
-    // ✅ ถ้าเป็นอีเวนต์ reveal_cards ไม่ต้องหงาย (หงายไปแล้ว)
-    if (room.event.effect !== 'reveal_cards') {
+    // ✅ ถ้าอีเวนต์หงายการ์ดอยู่แล้ว ไม่ต้องหงาย
+    if (!EventEngine.revealsCards(room.event)) {
       io.to(code).emit('revealCardsPhase', {
         playedCards: playedCardsForDisplay,
         skillEffects: skillEffects  // ✅ ส่งสกิลเอฟเฟคไปแสดงหลังหงายการ์ด
@@ -1443,8 +2133,9 @@ io.on('connection', (socket) => {
           // 3. จั่วการ์ดใหม่ (เฉพาะคนที่มี Action 1 หรือ Skill)
           if (room.playersToDraw && room.playersToDraw.length > 0) {
             room.playersToDraw.forEach(({ player, count, reason }) => {
-              const newCards = room.deck.drawCards(count);
+              const newCards = GameStateManager.deckFor(room, player).drawCards(count);
               player.hand.push(...newCards);
+              replayManager.recordDraw(room, player, newCards, reason);
               
               if (player.isBot) {
                 console.log(`🤖 [BOT] ${player.name}: จั่ว ${count} ใบ (${reason})`);
@@ -1453,9 +2144,9 @@ io.on('connection', (socket) => {
 
               const playerSocket = io.sockets.sockets.get(player.id);
               if (playerSocket) {
-                if (reason === 'gachaGod') {
+                if (reason === 'skill') {
                   playerSocket.emit('gachaGodDraw', { cards: newCards });
-                  console.log(`🎰 ${player.name} drew ${count} cards from Gacha God`);
+                  console.log(`🎰 ${player.name} drew ${count} cards from skill`);
                 } else {
                   playerSocket.emit('drawCards', { cards: newCards, count: count, reason: reason });
                   console.log(`🎴 ${player.name}: จั่ว ${count} ใบ (${reason})`);
@@ -1471,6 +2162,7 @@ io.on('connection', (socket) => {
             if (!gameOver) {
               room.turn++;
               room.playersToDraw = []; // เคลียร์
+              checkpointRoom(room, 'eventSlot');
               
               // เริ่มเทิร์นใหม่ (รอ 3 วิ)
               setTimeout(() => {
@@ -1481,19 +2173,9 @@ io.on('connection', (socket) => {
               if (isDraw) {
                 console.log(`🤝 เกมเสมอ! ผู้เล่น: ${drawPlayers.join(', ')}`);
               } else {
-                console.log(`🎉 ${finalWinner.name} เป็นผู้ชนะเกม!`);
+                console.log(`🎉 ${finalWinnerName} เป็นผู้ชนะเกม!`);
               }
-              room.started = false;
-              room.phase = 'lobby';
-              room.players.forEach(p => {
-                p.ready = p.isBot ? true : false;
-                p.playedCard = null;
-                p.action = null;
-                p.hasDecided = false;
-                p.hasChosenAction = false;
-              });
-              broadcastLobbyUpdate(code);
-              // ❌ ไม่เรียก resetRoom - ให้ startGame รีเซ็ตเองตอนกด Start ใหม่
+              returnToLobby(code);
             }
           }, drawDelay);
         }, playedCardsForDisplay.length * 700);
@@ -1524,83 +2206,41 @@ io.on('connection', (socket) => {
 
   socket.on('disconnect', () => {
     console.log('👋 Player disconnected:', socket.id);
-    
-    // Remove player from room using manager
-    const { code, room, removedPlayer } = roomManager.removePlayer(socket.id);
-    
-    if (!removedPlayer) return;
-    
-    console.log(`[disconnect] ${removedPlayer.name} left room ${code}`);
-    
-    if (!room) {
-      console.log(`[disconnect] Room is empty, deleted`);
-      if (code) {
-        botManager.handleRoomReset(code);
+
+    const spectating = roomManager.removeSpectator(socket.id);
+    if (spectating.spectator) {
+      if (spectating.room.started) {
+        broadcastSpectatorCount(spectating.code);
+      } else {
+        broadcastLobbyUpdate(spectating.code);
       }
       return;
     }
+    
+    const { code, room, player } = roomManager.findPlayerBySocket(socket.id);
+    if (!player) return;
+
+    // ✅ ไม่ลบออกทันที: เก็บที่นั่งไว้ (มือ คูลดาวน์ การ์ดที่ได้ระหว่างหลุด) ให้กลับมาด้วย rejoinRoom
+    // ระหว่างรอ เฟสที่หมดเวลาจะข้าม/แข่งตรง ๆ ให้อัตโนมัติ, เกินเวลารอ → handleReconnectExpired
+    const graceDeadline = reconnectManager.markDisconnected(room, player);
+    if (room.hostSocketId === socket.id) {
+      roomManager.setHostSocket(code, null);
+    }
+    console.log(`[disconnect] ${player.name} disconnected from room ${code}, holding seat for ${reconnectManager.graceMs}ms`);
 
     if (!room.started) {
       broadcastLobbyUpdate(code);
-    } else {
-      console.log(`[disconnect] Game in progress, ${room.players.length} players remain`);
-      io.to(code).emit('playerLeft', { player: removedPlayer.name, remainingPlayers: room.players.length });
-      
-      // ✅ Mark disconnected player for auto-skip (แต่ยังอยู่ในห้อง)
-      removedPlayer.isDisconnected = true;
-      console.log(`[disconnect] ${removedPlayer.name} marked as disconnected, auto-skip enabled`);
-      
-      // ตรวจสอบว่าเกมจะต่อเนื่องได้ไหม
-      const alivePlayers = room.players.filter(p => p.heart > 0 && p.hand.length > 0);
-      console.log(`[disconnect] Alive players: ${alivePlayers.length} (${alivePlayers.map(p => p.name).join(', ')})`);
-      
-      // ✅ ถ้าเหลือเพียง 1 คนที่มีชีวิต → ประกาศผลทันที
-      if (alivePlayers.length === 1) {
-        console.log(`[disconnect] Only 1 player alive, ending game immediately`);
-        setTimeout(() => {
-          const winner = alivePlayers[0];
-          io.to(code).emit('turnResult', {
-            actionResults: [],
-            winnerName: winner.name,
-            winnerScore: 0,
-            gameOver: true,
-            winnerNameFinal: winner.name,
-            players: getPlayersInfo(room),
-            skillEffects: [],
-            revealedCards: {}
-          });
-          setTimeout(() => {
-            roomManager.resetRoom(code);
-            botManager.handleRoomReset(code);
-          }, 3000);
-        }, 500);
-      }
-      // ✅ ถ้ายังมี 2+ คนที่มีชีวิต → เกมต่อ + auto-skip disconnected player
-      else if (alivePlayers.length >= 2) {
-        console.log(`[disconnect] Still ${alivePlayers.length} alive players, game continues with auto-skip`);
-        // Game will auto-skip disconnected player in playCard and chooseAction logic
-      }
-      // ✅ ถ้าไม่มีใครเหลือ → เสมอ
-      else if (alivePlayers.length === 0) {
-        console.log(`[disconnect] No players alive, draw game`);
-        setTimeout(() => {
-          io.to(code).emit('turnResult', {
-            actionResults: [],
-            winnerName: 'Draw',
-            winnerScore: 0,
-            gameOver: true,
-            winnerNameFinal: 'Draw',
-            players: getPlayersInfo(room),
-            skillEffects: [],
-            revealedCards: {}
-          });
-          setTimeout(() => {
-            roomManager.resetRoom(code);
-            botManager.handleRoomReset(code);
-          }, 3000);
-        }, 500);
-      }
+      return;
     }
+
+    io.to(code).emit('playerConnection', {
+      seatId: player.seatId,
+      name: player.name,
+      status: 'reconnecting',
+      graceDeadline,
+      serverNow: Date.now(),
+      players: getPlayersInfo(room)
+    });
   });
 });
 
@@ -1612,31 +2252,104 @@ function broadcastLobbyUpdate(code) {
   const roomClients = io.sockets.adapter.rooms.get(code);
   console.log(`[broadcastLobbyUpdate] code=${code}, connectedClients=${roomClients ? roomClients.size : 0}`);
   
-  io.to(code).emit('updateLobby', {
-    players: room.players.map(p => ({ 
-      id: p.id, 
-      name: p.name, 
-      ready: p.ready,
-      playerId: p.playerId,
-      isBot: !!p.isBot
-    })),
-    hostPlayerId: room.hostPlayerId,
-    maxPlayers: 5,
-    botLimit: 4,
-    botCount: room.players.filter(p => p.isBot).length
-  });
+  StateProjector.emitPerViewer(io, room, 'updateLobby', (viewer) => ({
+    ...StateProjector.lobbyFor(room, viewer),
+    maxPlayers: RoomSettings.of(room).maxPlayers,
+    botLimit: RoomSettings.of(room).maxPlayers - 1,
+    botCount: room.players.filter(p => p.isBot).length,
+    botPersonalities: BotManager.listPersonalities(),
+    phaseDurations: PhaseTimerManager.getDurations(room),
+    // ✅ บอกแค่ว่าโฮสต์ล็อก seed ไว้ ไม่ส่งค่า seed (รู้ seed = รู้มือทุกคนในเกมถัดไป)
+    hasFixedSeed: (room.fixedSeed ?? null) !== null,
+    deckMode: room.deckMode || DeckManager.DEFAULT_DECK_MODE,
+    deckRules: DeckManager.getRules(),
+    settings: RoomSettings.of(room),
+    settingsPreset: RoomSettings.matchPreset(RoomSettings.of(room)),
+    settingsLimits: RoomSettings.getLimits(),
+    settingsPresets: RoomSettings.listPresets(),
+    eventSettings: EventPoolManager.describe(EVENTS, EventPoolManager.of(room)),
+    teamSettings: TeamManager.of(room),
+    teamIds: TeamManager.TEAM_IDS,
+    tournament: describeRoomTournament(room),
+    series: SeriesManager.describe(room),
+    seriesOptions: SeriesManager.BEST_OF,
+    visibility: room.visibility || 'private',
+    language: room.language || null,
+    quickMatch: room.backfillAt ? { backfillAt: room.backfillAt, serverNow: Date.now() } : null,
+    reactions: describeReactions(room),
+    lastReplayId: room.lastReplayId || null,
+    spectatorCount: (room.spectators || []).length
+  }));
+}
+
+// ห้องนี้เป็นสายไหนของทัวร์นาเมนต์ (null = ห้องปกติ)
+function describeRoomTournament(room) {
+  if (!room.tournament) return null;
+  const tournament = tournamentManager.get(room.tournament.id);
+  return {
+    ...room.tournament,
+    name: tournament ? tournament.name : null
+  };
+}
+
+// ✅ อัปเดตหน้าสาย + แจ้งห้องของรอบปัจจุบันให้ผู้สมัครแต่ละคน (playerId ส่งให้เจ้าของเท่านั้น)
+function broadcastTournament(tournament) {
+  io.to(TournamentManager.channel(tournament.id)).emit('tournamentUpdate', tournamentManager.describe(tournament));
+  tournament.entrants
+    .filter(e => e.socketId)
+    .forEach(e => {
+      const seat = tournamentManager.seatOf(tournament, e.entrantId);
+      if (seat) io.to(e.socketId).emit('tournamentSeat', { tournamentId: tournament.id, ...seat });
+    });
+}
+
+// อีโมตของห้อง (เปิดอยู่ไหม + ชุดอีโมต)
+function describeReactions(room) {
+  return { enabled: ReactionManager.isEnabled(room), emotes: ReactionManager.listEmotes() };
+}
+
+// ประวัติแชทของห้องสำหรับคนที่เพิ่งเข้า / กลับเข้าห้อง
+function emitChatHistory(socket, room) {
+  socket.emit('chatHistory', { code: room.code, messages: ChatManager.history(room) });
+}
+
+function broadcastSpectatorCount(code) {
+  const room = roomManager.getRoom(code);
+  if (!room) return;
+  io.to(code).emit('spectatorCount', { count: room.spectators.length });
 }
 
 function getPlayersInfo(room) {
-  return room.players.map(p => ({
-    id: p.id,
-    name: p.name,
-    heart: p.heart,
-    handCount: p.hand.length,
-    skillCooldown: p.skillCooldown
-  }));
+  return StateProjector.publicPlayers(room);
+}
+
+// ปิดห้องที่ไม่มีผู้เล่นแล้ว (ไม่บันทึกผลการแข่ง)
+function discardRoom(code) {
+  phaseTimerManager.clear(code);
+  snapshotManager.clearCheckpoint(code);
+  reconnectManager.clearRoom(code);
+  replayManager.discardRecording(code);
+  botManager.handleRoomReset(code);
+  seriesManager.cancel(code);
+  matchmakingManager.cancel(code);
+  chatManager.clearRoom(code);
+  reactionManager.clearRoom(code);
+  roomManager.deleteRoom(code);
+  tournamentManager.handleRoomClosed(code);
 }
 
+// ==================== Room Snapshots ====================
+snapshotManager.start(rooms, discardRoom);
+
+// ✅ deploy/ctrl+c → บันทึก snapshot ล่าสุดก่อนปิด
+['SIGTERM', 'SIGINT'].forEach(signal => {
+  process.once(signal, () => {
+    console.log(`[Server] ${signal} received, saving room snapshot...`);
+    snapshotManager.saveSync(rooms);
+    process.exit(0);
+  });
+});
+
 const PORT = process.env.PORT || 3000;
 server.listen(PORT, () => {
   console.log(`\n🎮 SPRGame Sekai เปิดเซิร์ฟแล้ว! http://localhost:${PORT}`);
@@ -0,0 +1,180 @@
+// server/matchmakingManager.js - ห้องสาธารณะ: รายการห้องให้เลือกเข้า, Quick Match หาห้องที่ดีที่สุด, เติมบอทเมื่อรอนานเกินไป
+const BotManager = require('./botManager');
+const RoomSettings = require('./roomSettings');
+const TeamManager = require('./teamManager');
+const SeriesManager = require('./seriesManager');
+
+const VISIBILITIES = ['private', 'public'];
+const LANGUAGES = ['th', 'en', 'ja'];
+const DEFAULT_LANGUAGE = 'th';
+const MAX_LISTED_ROOMS = 50;
+
+// เวลารอผู้เล่นจริงก่อนเติมบอท (ms) ปรับได้ด้วย QUICKMATCH_BACKFILL_MS
+const DEFAULT_BACKFILL_MS = 30000;
+const MIN_BACKFILL_MS = 1000;
+// เติมบอทจนห้องมีกี่ที่นั่ง (ไม่เกิน maxPlayers ของห้อง)
+const BACKFILL_TARGET = 4;
+
+/**
+ * ห้องสาธารณะ: room.visibility = 'public' (ค่าเริ่มต้น 'private' = เข้าได้ด้วยโค้ดเท่านั้น)
+ * room.language = ภาษาของโฮสต์ตอนสร้างห้อง ('th' | 'en' | 'ja') ใช้จับคู่ Quick Match
+ * room.backfillAt = เวลาที่จะเติมบอท (epoch ms) เฉพาะห้องที่สร้างจาก Quick Match
+ */
+class MatchmakingManager {
+  /**
+   * @param {RoomManager} roomManager
+   * @param {object} hooks - { onBackfill(room, bots) } เรียกหลังเติมบอท
+   * @param {object} options - { backfillMs }
+   */
+  constructor(roomManager, hooks = {}, options = {}) {
+    this.roomManager = roomManager;
+    this.hooks = hooks;
+    const backfillMs = Number(options.backfillMs ?? process.env.QUICKMATCH_BACKFILL_MS);
+    this.backfillMs = Number.isFinite(backfillMs) && backfillMs > 0 ? Math.max(MIN_BACKFILL_MS, backfillMs) : DEFAULT_BACKFILL_MS;
+    this.timers = new Map();
+  }
+
+  static normalizeVisibility(visibility) {
+    return VISIBILITIES.includes(visibility) ? visibility : 'private';
+  }
+
+  static normalizeLanguage(language) {
+    return LANGUAGES.includes(language) ? language : DEFAULT_LANGUAGE;
+  }
+
+  static isPublic(room) {
+    return room?.visibility === 'public' && !room.tournament;
+  }
+
+  /**
+   * ห้องสาธารณะที่ยังเข้าเล่นได้ (ยังไม่เริ่ม, มีที่ว่าง, ไม่ต้องเตรียมเด็คเอง)
+   * @param {object} room - room object
+   * @returns {boolean}
+   */
+  static isOpen(room) {
+    return this.isPublic(room) &&
+      !room.started &&
+      room.deckMode !== 'custom' &&
+      room.players.length < RoomSettings.of(room).maxPlayers;
+  }
+
+  /**
+   * ข้อมูลห้องสำหรับรายการห้อง (ไม่มี playerId / accountId)
+   * @param {object} room - room object
+   * @returns {object}
+   */
+  static describeRoom(room) {
+    const settings = RoomSettings.of(room);
+    const host = room.players.find(p => p.playerId === room.hostPlayerId);
+    return {
+      code: room.code,
+      hostName: host ? host.name : null,
+      playerCount: room.players.length,
+      botCount: room.players.filter(p => p.isBot).length,
+      maxPlayers: settings.maxPlayers,
+      spectatorCount: (room.spectators || []).length,
+      language: this.normalizeLanguage(room.language),
+      preset: RoomSettings.matchPreset(settings),
+      deckMode: room.deckMode,
+      teamMode: TeamManager.of(room).mode,
+      bestOf: SeriesManager.of(room).bestOf,
+      started: !!room.started,
+      open: this.isOpen(room)
+    };
+  }
+
+  /**
+   * ห้องสาธารณะทั้งหมด: ห้องที่เข้าได้ขึ้นก่อน (คนเยอะก่อน) ตามด้วยห้องที่กำลังเล่น (เข้าดูได้)
+   * @param {Map} rooms - roomManager.rooms
+   * @param {object} filter - { language } (ไม่บังคับ)
+   * @returns {Array}
+   */
+  static listPublic(rooms, filter = {}) {
+    const language = LANGUAGES.includes(filter.language) ? filter.language : null;
+    return [...rooms.values()]
+      .filter(room => this.isPublic(room))
+      .map(room => this.describeRoom(room))
+      .filter(room => !language || room.language === language)
+      .sort((a, b) => (b.open - a.open) || (b.playerCount - a.playerCount))
+      .slice(0, MAX_LISTED_ROOMS);
+  }
+
+  /**
+   * ห้องที่ดีที่สุดสำหรับ Quick Match: ภาษาเดียวกันก่อน → ผู้เล่นจริงเยอะก่อน (เต็มเร็ว) → ห้องเก่าก่อน
+   * @param {Map} rooms - roomManager.rooms
+   * @param {object} query - { language, name }
+   * @returns {object|null} room
+   */
+  static pickRoom(rooms, { language, name } = {}) {
+    const lang = this.normalizeLanguage(language);
+    const candidates = [...rooms.values()]
+      .filter(room => this.isOpen(room))
+      .filter(room => !room.players.some(p => p.name === name));
+    if (candidates.length === 0) return null;
+
+    const humans = (room) => room.players.filter(p => !p.isBot).length;
+    // sort แบบ stable: ห้องที่คะแนนเท่ากันยังเรียงตามลำดับที่สร้าง
+    return candidates.sort((a, b) =>
+      (Number(this.normalizeLanguage(b.language) === lang) - Number(this.normalizeLanguage(a.language) === lang)) ||
+      (humans(b) - humans(a))
+    )[0];
+  }
+
+  /**
+   * ห้องที่สร้างจาก Quick Match: ถ้าครบเวลาแล้วยังไม่เริ่ม → เติมบอท
+   * @param {object} room - room object
+   * @returns {number} backfillAt
+   */
+  scheduleBackfill(room) {
+    this.cancel(room.code);
+    const backfillAt = Date.now() + this.backfillMs;
+    room.backfillAt = backfillAt;
+    const timerId = setTimeout(() => {
+      this.timers.delete(room.code);
+      if (room.started || room.backfillAt !== backfillAt) return;
+      room.backfillAt = null;
+      const bots = this.backfill(room);
+      if (typeof this.hooks.onBackfill === 'function') {
+        this.hooks.onBackfill(room, bots);
+      }
+    }, this.backfillMs);
+    this.timers.set(room.code, timerId);
+    return backfillAt;
+  }
+
+  /**
+   * เติมบอท (วนบุคลิก) จนห้องมี BACKFILL_TARGET ที่นั่ง
+   * @param {object} room - room object
+   * @returns {Array} บอทที่เพิ่ม
+   */
+  backfill(room) {
+    const target = Math.min(BACKFILL_TARGET, RoomSettings.of(room).maxPlayers);
+    const personalities = BotManager.listPersonalities();
+    const bots = [];
+    while (room.players.length < target) {
+      const personality = personalities[room.botCounter % personalities.length];
+      const result = this.roomManager.addBot(room.code, BotManager.DEFAULT_DIFFICULTY, personality?.id);
+      if (result.error) break;
+      bots.push(result.bot);
+    }
+    if (bots.length > 0) {
+      console.log(`[Matchmaking] Backfilled room ${room.code} with ${bots.length} bot(s)`);
+    }
+    return bots;
+  }
+
+  cancel(code) {
+    const timerId = this.timers.get(code);
+    if (timerId) {
+      clearTimeout(timerId);
+      this.timers.delete(code);
+    }
+    const room = this.roomManager.getRoom(code);
+    if (room) room.backfillAt = null;
+  }
+}
+
+MatchmakingManager.VISIBILITIES = VISIBILITIES;
+MatchmakingManager.LANGUAGES = LANGUAGES;
+
+module.exports = MatchmakingManager;
@@ -0,0 +1,93 @@
+// server/phaseTimerManager.js - นับเวลาแต่ละเฟสฝั่งเซิร์ฟเวอร์ (ไม่เชื่อเวลาจาก client)
+
+// ระยะเวลาเริ่มต้นของแต่ละเฟส (ms)
+const DEFAULT_PHASE_DURATIONS = {
+  playCard: 25000,
+  action: 25000
+};
+
+const MIN_PHASE_DURATION = 10000;
+const MAX_PHASE_DURATION = 120000;
+
+// เผื่อเวลาให้ client ที่นับถอยหลังถึง 0 ส่งตัวเลือกอัตโนมัติมาก่อนเซิร์ฟเวอร์ตัดสินแทน
+const EXPIRE_GRACE_MS = 1500;
+
+class PhaseTimerManager {
+  constructor(hooks = {}) {
+    this.hooks = hooks;
+    this.timers = new Map();
+  }
+
+  /**
+   * ระยะเวลาของแต่ละเฟสที่ห้องนี้ใช้
+   * @param {object} room - room object
+   * @returns {object} { playCard, action } (ms)
+   */
+  static getDurations(room) {
+    return { ...DEFAULT_PHASE_DURATIONS, ...(room?.phaseDurations || {}) };
+  }
+
+  /**
+   * ตรวจสอบค่าที่โฮสต์ส่งมา (หน่วยวินาที)
+   * @param {object} input - { playCard, action }
+   * @returns {object} { durations } หรือ { error }
+   */
+  static validateDurations(input = {}) {
+    const durations = {};
+    for (const phase of Object.keys(DEFAULT_PHASE_DURATIONS)) {
+      if (input[phase] === undefined) continue;
+      const ms = Math.round(Number(input[phase]) * 1000);
+      if (!Number.isFinite(ms) || ms < MIN_PHASE_DURATION || ms > MAX_PHASE_DURATION) {
+        return { error: `เวลาเฟส ${phase} ต้องอยู่ระหว่าง ${MIN_PHASE_DURATION / 1000}-${MAX_PHASE_DURATION / 1000} วินาที` };
+      }
+      durations[phase] = ms;
+    }
+    return { durations };
+  }
+
+  /**
+   * เริ่มนับเวลาเฟส แล้วเรียก hooks.onExpire(room, phase) เมื่อหมดเวลา
+   * @param {object} room - room object
+   * @param {string} phase - 'playCard' | 'action'
+   * @param {number} leadMs - เวลาก่อนเฟสเริ่มจริงบน client (เช่น แอนิเมชันเปิดอีเวนต์)
+   * @returns {number} deadline (epoch ms) สำหรับส่งให้ client
+   */
+  schedule(room, phase, leadMs = 0) {
+    this.clear(room.code);
+
+    const duration = PhaseTimerManager.getDurations(room)[phase];
+    const deadline = Date.now() + leadMs + duration;
+    room.phaseDeadline = { phase, deadline };
+
+    const timerId = setTimeout(() => {
+      this.timers.delete(room.code);
+      if (!room.phaseDeadline || room.phaseDeadline.deadline !== deadline) return;
+      room.phaseDeadline = null;
+      console.log(`⏱️ [PhaseTimer] ${phase} expired in room ${room.code}`);
+      if (typeof this.hooks.onExpire === 'function') {
+        this.hooks.onExpire(room, phase);
+      }
+    }, leadMs + duration + EXPIRE_GRACE_MS);
+
+    this.timers.set(room.code, timerId);
+    return deadline;
+  }
+
+  clear(code) {
+    const timerId = this.timers.get(code);
+    if (timerId) {
+      clearTimeout(timerId);
+      this.timers.delete(code);
+    }
+  }
+
+  handleRoomReset(room) {
+    if (!room) return;
+    this.clear(room.code);
+    room.phaseDeadline = null;
+  }
+}
+
+PhaseTimerManager.DEFAULT_PHASE_DURATIONS = DEFAULT_PHASE_DURATIONS;
+
+module.exports = PhaseTimerManager;
@@ -0,0 +1,548 @@
+// server/playerStore.js - โปรไฟล์ผู้เล่นถาวร + ประวัติการแข่ง + คลังการ์ด/เหรียญกาชา (SQLite ในเครื่อง)
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const RatingEngine = require('./ratingEngine');
+const GachaEngine = require('./gachaEngine');
+
+const ACCOUNT_ID_PATTERN = /^[0-9a-f-]{36}$/i;
+const PUBLIC_ID_PATTERN = /^[0-9a-f]{16}$/;
+const SUPPORTED_LANGUAGES = ['th', 'en', 'ja'];
+const MAX_DISPLAY_NAME = 10;
+const MAX_HISTORY_LIMIT = 100;
+const MAX_LEADERBOARD_LIMIT = 100;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS players (
+    id TEXT PRIMARY KEY,
+    public_id TEXT NOT NULL UNIQUE,
+    display_name TEXT NOT NULL,
+    avatar_card_id TEXT,
+    language TEXT NOT NULL DEFAULT 'th',
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS matches (
+    id TEXT PRIMARY KEY,
+    room_code TEXT NOT NULL,
+    seed TEXT,
+    started_at TEXT,
+    ended_at TEXT NOT NULL,
+    turns INTEGER NOT NULL,
+    is_draw INTEGER NOT NULL DEFAULT 0,
+    end_reason TEXT,
+    replay_id TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS match_participants (
+    match_id TEXT NOT NULL REFERENCES matches(id) ON DELETE CASCADE,
+    seat INTEGER NOT NULL,
+    player_id TEXT REFERENCES players(id),
+    display_name TEXT NOT NULL,
+    is_bot INTEGER NOT NULL DEFAULT 0,
+    placement INTEGER NOT NULL,
+    total_score REAL NOT NULL DEFAULT 0,
+    turns_survived INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (match_id, seat)
+  );
+
+  CREATE TABLE IF NOT EXISTS player_ratings (
+    player_id TEXT PRIMARY KEY REFERENCES players(id),
+    rating REAL NOT NULL,
+    games INTEGER NOT NULL DEFAULT 0,
+    wins INTEGER NOT NULL DEFAULT 0,
+    updated_at TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS rating_changes (
+    match_id TEXT NOT NULL REFERENCES matches(id) ON DELETE CASCADE,
+    player_id TEXT NOT NULL REFERENCES players(id),
+    rating_before REAL NOT NULL,
+    rating_after REAL NOT NULL,
+    PRIMARY KEY (match_id, player_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS player_wallets (
+    player_id TEXT PRIMARY KEY REFERENCES players(id),
+    currency INTEGER NOT NULL DEFAULT 0,
+    updated_at TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS player_cards (
+    player_id TEXT NOT NULL REFERENCES players(id),
+    card_id TEXT NOT NULL,
+    count INTEGER NOT NULL DEFAULT 0,
+    first_obtained_at TEXT NOT NULL,
+    PRIMARY KEY (player_id, card_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS gacha_pity (
+    player_id TEXT NOT NULL REFERENCES players(id),
+    banner_id TEXT NOT NULL,
+    counters TEXT NOT NULL,
+    PRIMARY KEY (player_id, banner_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS gacha_pulls (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    player_id TEXT NOT NULL REFERENCES players(id),
+    banner_id TEXT NOT NULL,
+    card_id TEXT NOT NULL,
+    rarity TEXT NOT NULL,
+    pulled_at TEXT NOT NULL
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_participants_player ON match_participants(player_id);
+  CREATE INDEX IF NOT EXISTS idx_ratings_rating ON player_ratings(rating DESC);
+  CREATE INDEX IF NOT EXISTS idx_matches_ended ON matches(ended_at);
+  CREATE INDEX IF NOT EXISTS idx_pulls_player ON gacha_pulls(player_id, pulled_at);
+`;
+
+class PlayerStore {
+  /**
+   * @param {object} options - { file: path ไฟล์ฐานข้อมูล }
+   */
+  constructor(options = {}) {
+    this.file = options.file || path.join(__dirname, 'data', 'sprgame.db');
+    this.db = null;
+  }
+
+  /**
+   * เปิดฐานข้อมูล (ถ้าไม่มี better-sqlite3 เกมยังเล่นได้ แค่ไม่บันทึกประวัติ)
+   * @returns {boolean} เปิดสำเร็จหรือไม่
+   */
+  open() {
+    try {
+      const Database = require('better-sqlite3');
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      this.db = new Database(this.file);
+      this.db.pragma('journal_mode = WAL');
+      this.db.pragma('foreign_keys = ON');
+      this.db.exec(SCHEMA);
+      console.log(`[PlayerStore] Database ready: ${this.file}`);
+      return true;
+    } catch (err) {
+      console.warn(`[PlayerStore] Persistence disabled: ${err.message}`);
+      this.db = null;
+      return false;
+    }
+  }
+
+  get enabled() {
+    return this.db !== null;
+  }
+
+  static isValidAccountId(id) {
+    return typeof id === 'string' && ACCOUNT_ID_PATTERN.test(id);
+  }
+
+  /**
+   * id สาธารณะของ account (แฮชทางเดียว) - account id คือรหัสลับของเจ้าของ ห้ามส่งให้คนอื่น
+   * @param {string} id - account id
+   * @returns {string}
+   */
+  static publicIdOf(id) {
+    return crypto.createHash('sha256').update(String(id)).digest('hex').slice(0, 16);
+  }
+
+  static isValidPublicId(publicId) {
+    return typeof publicId === 'string' && PUBLIC_ID_PATTERN.test(publicId);
+  }
+
+  /**
+   * ตรวจสอบข้อมูลโปรไฟล์ที่ client ส่งมา
+   * @param {object} input - { displayName, avatarCardId, language }
+   * @returns {object} { profile } หรือ { error }
+   */
+  static validateProfile(input = {}) {
+    const displayName = String(input.displayName || '').trim();
+    if (!displayName || displayName.length > MAX_DISPLAY_NAME) {
+      return { error: `⚠️ ชื่อต้องมี 1-${MAX_DISPLAY_NAME} ตัวอักษร!` };
+    }
+    const language = input.language || 'th';
+    if (!SUPPORTED_LANGUAGES.includes(language)) {
+      return { error: '⚠️ ไม่รองรับภาษานี้' };
+    }
+    const avatarCardId = input.avatarCardId ? String(input.avatarCardId).padStart(3, '0') : null;
+    if (avatarCardId && !/^\d{3}$/.test(avatarCardId)) {
+      return { error: '⚠️ การ์ดรูปโปรไฟล์ไม่ถูกต้อง' };
+    }
+    return { profile: { displayName, avatarCardId, language } };
+  }
+
+  /**
+   * สร้าง/อัปเดตโปรไฟล์
+   * @param {string} id - account id (uuid จาก client)
+   * @param {object} profile - { displayName, avatarCardId, language }
+   * @returns {object|null} โปรไฟล์หลังบันทึก
+   */
+  upsertProfile(id, profile) {
+    if (!this.enabled) return null;
+    const now = new Date().toISOString();
+    this.db.prepare(`
+      INSERT INTO players (id, public_id, display_name, avatar_card_id, language, created_at, updated_at)
+      VALUES (@id, @publicId, @displayName, @avatarCardId, @language, @now, @now)
+      ON CONFLICT(id) DO UPDATE SET
+        display_name = excluded.display_name,
+        avatar_card_id = COALESCE(excluded.avatar_card_id, players.avatar_card_id),
+        language = excluded.language,
+        updated_at = excluded.updated_at
+    `).run({ id, publicId: PlayerStore.publicIdOf(id), ...profile, now });
+    return this.getProfile(id);
+  }
+
+  /**
+   * เรตติ้งปัจจุบัน (ยังไม่เคยแข่ง = ค่าเริ่มต้น) - ใช้จัดมือวางทัวร์นาเมนต์
+   * @param {string} id - account id
+   * @returns {number|null} null ถ้าไม่มีโปรไฟล์
+   */
+  getRating(id) {
+    if (!this.enabled || !this.getProfile(id)) return null;
+    const row = this.db.prepare('SELECT rating FROM player_ratings WHERE player_id = ?').get(id);
+    return row ? row.rating : RatingEngine.DEFAULT_RATING;
+  }
+
+  /**
+   * โปรไฟล์ที่ส่งให้ใครก็ได้ (ไม่มี account id)
+   * @param {string} id - account id
+   * @returns {object|null}
+   */
+  getProfile(id) {
+    if (!this.enabled) return null;
+    const row = this.db.prepare('SELECT * FROM players WHERE id = ?').get(id);
+    if (!row) return null;
+    return {
+      publicId: row.public_id,
+      displayName: row.display_name,
+      avatarCardId: row.avatar_card_id,
+      language: row.language,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  /**
+   * หา account id จาก id สาธารณะ (API ที่คนอื่นเปิดดูได้อ้างถึงผู้เล่นด้วย publicId เท่านั้น)
+   * @param {string} publicId
+   * @returns {string|null}
+   */
+  findAccountId(publicId) {
+    if (!this.enabled || !PlayerStore.isValidPublicId(publicId)) return null;
+    const row = this.db.prepare('SELECT id FROM players WHERE public_id = ?').get(publicId);
+    return row ? row.id : null;
+  }
+
+  /**
+   * บันทึกผลการแข่ง 1 เกม
+   * @param {object} match - { id, roomCode, seed, startedAt, endedAt, turns, isDraw, reason, replayId, participants }
+   *   participants: [{ accountId, name, isBot, placement, totalScore, turnsSurvived }]
+   * @returns {array} การเปลี่ยนแปลงเรตติ้ง [{ id, before, after, delta }] (เฉพาะผู้เล่นที่มีโปรไฟล์ ไม่รวมบอท)
+   */
+  recordMatch(match) {
+    if (!this.enabled) return [];
+
+    const insertMatch = this.db.prepare(`
+      INSERT INTO matches (id, room_code, seed, started_at, ended_at, turns, is_draw, end_reason, replay_id)
+      VALUES (@id, @roomCode, @seed, @startedAt, @endedAt, @turns, @isDraw, @reason, @replayId)
+    `);
+    const insertParticipant = this.db.prepare(`
+      INSERT INTO match_participants (match_id, seat, player_id, display_name, is_bot, placement, total_score, turns_survived)
+      VALUES (@matchId, @seat, @playerId, @name, @isBot, @placement, @totalScore, @turnsSurvived)
+    `);
+    const knownPlayer = this.db.prepare('SELECT 1 FROM players WHERE id = ?');
+    const selectRating = this.db.prepare('SELECT rating, games FROM player_ratings WHERE player_id = ?');
+    const upsertRating = this.db.prepare(`
+      INSERT INTO player_ratings (player_id, rating, games, wins, updated_at)
+      VALUES (@id, @after, 1, @win, @now)
+      ON CONFLICT(player_id) DO UPDATE SET
+        rating = excluded.rating,
+        games = player_ratings.games + 1,
+        wins = player_ratings.wins + excluded.wins,
+        updated_at = excluded.updated_at
+    `);
+    const insertRatingChange = this.db.prepare(`
+      INSERT INTO rating_changes (match_id, player_id, rating_before, rating_after)
+      VALUES (@matchId, @id, @before, @after)
+    `);
+
+    return this.db.transaction(() => {
+      insertMatch.run({
+        id: match.id,
+        roomCode: match.roomCode,
+        seed: match.seed === null || match.seed === undefined ? null : String(match.seed),
+        startedAt: match.startedAt || null,
+        endedAt: match.endedAt,
+        turns: match.turns,
+        isDraw: match.isDraw ? 1 : 0,
+        reason: match.reason || null,
+        replayId: match.replayId || null
+      });
+      match.participants.forEach((p, seat) => {
+        // ผู้เล่นที่ไม่มีโปรไฟล์ยังถูกบันทึกในเกม แต่ไม่ผูกกับ account
+        const playerId = p.accountId && knownPlayer.get(p.accountId) ? p.accountId : null;
+        insertParticipant.run({
+          matchId: match.id,
+          seat,
+          playerId,
+          name: p.name,
+          isBot: p.isBot ? 1 : 0,
+          placement: p.placement,
+          totalScore: p.totalScore || 0,
+          turnsSurvived: p.turnsSurvived || 0
+        });
+      });
+
+      // ✅ เรตติ้งคิดเฉพาะผู้เล่นจริงที่มีโปรไฟล์ (บอทไม่ถูกจัดอันดับ)
+      const rated = [];
+      match.participants.forEach(p => {
+        if (p.isBot || !p.accountId || !knownPlayer.get(p.accountId)) return;
+        if (rated.some(r => r.id === p.accountId)) return;
+        const current = selectRating.get(p.accountId);
+        rated.push({
+          id: p.accountId,
+          rating: current ? current.rating : RatingEngine.DEFAULT_RATING,
+          games: current ? current.games : 0,
+          placement: p.placement
+        });
+      });
+
+      const now = new Date().toISOString();
+      const changes = RatingEngine.computeChanges(rated);
+      changes.forEach(change => {
+        const isWin = !match.isDraw && rated.find(r => r.id === change.id).placement === 1;
+        upsertRating.run({ id: change.id, after: change.after, win: isWin ? 1 : 0, now });
+        insertRatingChange.run({ matchId: match.id, id: change.id, before: change.before, after: change.after });
+      });
+      return changes;
+    })();
+  }
+
+  /**
+   * ตารางอันดับเรตติ้ง
+   * @param {object} options - { limit, minGames }
+   * @returns {array} [{ rank, publicId, displayName, avatarCardId, rating, games, wins }]
+   */
+  getLeaderboard(options = {}) {
+    if (!this.enabled) return [];
+    const limit = Math.min(Math.max(parseInt(options.limit, 10) || 20, 1), MAX_LEADERBOARD_LIMIT);
+    const minGames = Math.max(parseInt(options.minGames, 10) || 1, 1);
+
+    return this.db.prepare(`
+      SELECT p.public_id, p.display_name, p.avatar_card_id, r.rating, r.games, r.wins
+      FROM player_ratings r JOIN players p ON p.id = r.player_id
+      WHERE r.games >= ?
+      ORDER BY r.rating DESC, r.games DESC
+      LIMIT ?
+    `).all(minGames, limit).map((row, idx) => ({
+      rank: idx + 1,
+      publicId: row.public_id,
+      displayName: row.display_name,
+      avatarCardId: row.avatar_card_id,
+      rating: Math.round(row.rating),
+      games: row.games,
+      wins: row.wins
+    }));
+  }
+
+  /**
+   * ประวัติการแข่งของผู้เล่น (ใหม่สุดก่อน) พร้อมสรุปจำนวนชนะ
+   * @param {string} id - account id
+   * @param {object} options - { limit, since (ISO date สำหรับนับซีซัน) }
+   * @returns {object|null} { profile, rating, summary, matches }
+   */
+  getHistory(id, options = {}) {
+    if (!this.enabled) return null;
+    const profile = this.getProfile(id);
+    if (!profile) return null;
+
+    const limit = Math.min(Math.max(parseInt(options.limit, 10) || 20, 1), MAX_HISTORY_LIMIT);
+    const since = options.since || '0000';
+
+    const summary = this.db.prepare(`
+      SELECT COUNT(*) AS matches,
+             SUM(CASE WHEN mp.placement = 1 AND m.is_draw = 0 THEN 1 ELSE 0 END) AS wins,
+             AVG(mp.placement) AS avgPlacement,
+             SUM(mp.total_score) AS totalScore
+      FROM match_participants mp JOIN matches m ON m.id = mp.match_id
+      WHERE mp.player_id = ? AND m.ended_at >= ?
+    `).get(id, since);
+
+    const rows = this.db.prepare(`
+      SELECT m.id, m.room_code, m.ended_at, m.turns, m.is_draw, m.replay_id,
+             mp.placement, mp.total_score, mp.turns_survived,
+             rc.rating_before, rc.rating_after,
+             (SELECT COUNT(*) FROM match_participants x WHERE x.match_id = m.id) AS player_count
+      FROM match_participants mp JOIN matches m ON m.id = mp.match_id
+      LEFT JOIN rating_changes rc ON rc.match_id = m.id AND rc.player_id = mp.player_id
+      WHERE mp.player_id = ? AND m.ended_at >= ?
+      ORDER BY m.ended_at DESC
+      LIMIT ?
+    `).all(id, since, limit);
+
+    const participantsOf = this.db.prepare(`
+      SELECT display_name, is_bot, placement, total_score FROM match_participants
+      WHERE match_id = ? ORDER BY placement, seat
+    `);
+
+    const rating = this.db.prepare('SELECT rating, games, wins FROM player_ratings WHERE player_id = ?').get(id);
+
+    return {
+      profile,
+      rating: rating
+        ? { rating: Math.round(rating.rating), games: rating.games, wins: rating.wins }
+        : { rating: RatingEngine.DEFAULT_RATING, games: 0, wins: 0 },
+      summary: {
+        matches: summary.matches,
+        wins: summary.wins || 0,
+        avgPlacement: summary.avgPlacement ? Math.round(summary.avgPlacement * 100) / 100 : null,
+        totalScore: summary.totalScore || 0
+      },
+      matches: rows.map(r => ({
+        id: r.id,
+        roomCode: r.room_code,
+        endedAt: r.ended_at,
+        turns: r.turns,
+        isDraw: !!r.is_draw,
+        replayId: r.replay_id,
+        placement: r.placement,
+        playerCount: r.player_count,
+        totalScore: r.total_score,
+        turnsSurvived: r.turns_survived,
+        ratingDelta: r.rating_after === null ? null : Math.round((r.rating_after - r.rating_before) * 10) / 10,
+        participants: participantsOf.all(r.id).map(p => ({
+          name: p.display_name,
+          isBot: !!p.is_bot,
+          placement: p.placement,
+          totalScore: p.total_score
+        }))
+      }))
+    };
+  }
+
+  // ==================== COLLECTION / GACHA ====================
+
+  /**
+   * สร้างกระเป๋าเหรียญ + การ์ดเริ่มต้นให้ผู้เล่นที่ยังไม่มี (ครั้งแรกครั้งเดียว)
+   * @param {string} id - account id (ต้องมีโปรไฟล์แล้ว)
+   */
+  ensureWallet(id) {
+    const now = new Date().toISOString();
+    const created = this.db.prepare(`
+      INSERT INTO player_wallets (player_id, currency, updated_at) VALUES (?, ?, ?)
+      ON CONFLICT(player_id) DO NOTHING
+    `).run(id, GachaEngine.STARTER_CURRENCY, now);
+    if (created.changes === 0) return;
+
+    const grant = this.db.prepare(`
+      INSERT INTO player_cards (player_id, card_id, count, first_obtained_at) VALUES (?, ?, 1, ?)
+      ON CONFLICT(player_id, card_id) DO NOTHING
+    `);
+    GachaEngine.starterCards().forEach(cardId => grant.run(id, cardId, now));
+  }
+
+  /**
+   * คลังการ์ด เหรียญ และตัวนับการันตีของผู้เล่น
+   * @param {string} id - account id
+   * @returns {object|null} { currency, cards: { [cardId]: count }, pity: { [bannerId]: counters } } (null = ไม่มีโปรไฟล์)
+   */
+  getCollection(id) {
+    if (!this.enabled || !this.getProfile(id)) return null;
+    this.db.transaction(() => this.ensureWallet(id))();
+
+    const wallet = this.db.prepare('SELECT currency FROM player_wallets WHERE player_id = ?').get(id);
+    const cards = {};
+    this.db.prepare('SELECT card_id, count FROM player_cards WHERE player_id = ? AND count > 0 ORDER BY card_id')
+      .all(id)
+      .forEach(row => { cards[row.card_id] = row.count; });
+    const pity = {};
+    this.db.prepare('SELECT banner_id, counters FROM gacha_pity WHERE player_id = ?')
+      .all(id)
+      .forEach(row => { pity[row.banner_id] = JSON.parse(row.counters); });
+
+    return { currency: wallet.currency, cards, pity };
+  }
+
+  /**
+   * สุ่มกาชา: หักเหรียญ เพิ่มการ์ดเข้าคลัง อัปเดตการันตี (ทั้งหมดใน transaction เดียว)
+   * @param {string} id - account id
+   * @param {object} banner - ตู้กาชา (จาก GachaEngine.getBanner)
+   * @param {number} count - จำนวนครั้ง
+   * @param {Function} rng - ตัวสุ่ม
+   * @returns {object} { results: [{ card, featured, isNew }], currency, pity } หรือ { error }
+   */
+  pullGacha(id, banner, count, rng = Math.random) {
+    if (!this.enabled) return { error: 'ระบบกาชาไม่พร้อมใช้งาน' };
+    if (!this.getProfile(id)) return { error: 'กรุณาตั้งชื่อโปรไฟล์ก่อนสุ่มกาชา' };
+
+    const selectWallet = this.db.prepare('SELECT currency FROM player_wallets WHERE player_id = ?');
+    const updateWallet = this.db.prepare('UPDATE player_wallets SET currency = ?, updated_at = ? WHERE player_id = ?');
+    const selectPity = this.db.prepare('SELECT counters FROM gacha_pity WHERE player_id = ? AND banner_id = ?');
+    const upsertPity = this.db.prepare(`
+      INSERT INTO gacha_pity (player_id, banner_id, counters) VALUES (?, ?, ?)
+      ON CONFLICT(player_id, banner_id) DO UPDATE SET counters = excluded.counters
+    `);
+    const selectOwned = this.db.prepare('SELECT count FROM player_cards WHERE player_id = ? AND card_id = ?');
+    const addCard = this.db.prepare(`
+      INSERT INTO player_cards (player_id, card_id, count, first_obtained_at) VALUES (?, ?, 1, ?)
+      ON CONFLICT(player_id, card_id) DO UPDATE SET count = player_cards.count + 1
+    `);
+    const insertPull = this.db.prepare(`
+      INSERT INTO gacha_pulls (player_id, banner_id, card_id, rarity, pulled_at) VALUES (?, ?, ?, ?, ?)
+    `);
+
+    return this.db.transaction(() => {
+      this.ensureWallet(id);
+      const now = new Date().toISOString();
+      const cost = banner.cost * count;
+      const { currency } = selectWallet.get(id);
+      if (currency < cost) return { error: `เหรียญไม่พอ (ต้องใช้ ${cost} มีอยู่ ${currency})` };
+
+      const row = selectPity.get(id, banner.id);
+      let pity = row ? JSON.parse(row.counters) : {};
+      const results = [];
+      for (let i = 0; i < count; i++) {
+        const result = GachaEngine.pull(banner, pity, rng);
+        pity = result.pity;
+        const isNew = !selectOwned.get(id, result.card.id);
+        addCard.run(id, result.card.id, now);
+        insertPull.run(id, banner.id, result.card.id, result.card.rarity, now);
+        results.push({ card: result.card, featured: result.featured, isNew });
+      }
+
+      upsertPity.run(id, banner.id, JSON.stringify(pity));
+      updateWallet.run(currency - cost, now, id);
+      return { results, currency: currency - cost, pity };
+    })();
+  }
+
+  /**
+   * ให้เหรียญหลังจบเกม (เฉพาะผู้เล่นที่มีโปรไฟล์ ไม่รวมบอท)
+   * @param {array} participants - [{ accountId, isBot, placement }]
+   * @returns {array} [{ id, amount, currency }]
+   */
+  awardMatchRewards(participants) {
+    if (!this.enabled) return [];
+    const knownPlayer = this.db.prepare('SELECT 1 FROM players WHERE id = ?');
+    const addCurrency = this.db.prepare(`
+      UPDATE player_wallets SET currency = currency + ?, updated_at = ? WHERE player_id = ?
+    `);
+    const selectWallet = this.db.prepare('SELECT currency FROM player_wallets WHERE player_id = ?');
+
+    return this.db.transaction(() => {
+      const now = new Date().toISOString();
+      const rewards = [];
+      participants.forEach(p => {
+        if (p.isBot || !p.accountId || !knownPlayer.get(p.accountId)) return;
+        if (rewards.some(r => r.id === p.accountId)) return;
+        this.ensureWallet(p.accountId);
+        const amount = GachaEngine.matchReward(p.placement, participants.length);
+        addCurrency.run(amount, now, p.accountId);
+        rewards.push({ id: p.accountId, amount, currency: selectWallet.get(p.accountId).currency });
+      });
+      return rewards;
+    })();
+  }
+}
+
+module.exports = PlayerStore;
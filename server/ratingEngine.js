@@ -0,0 +1,45 @@
+// server/ratingEngine.js - คำนวณเรตติ้ง Elo แบบหลายผู้เล่นจากอันดับตอนจบเกม
+
+const DEFAULT_RATING = 1000;
+const K_FACTOR = 32;
+// ผู้เล่นใหม่ขยับเรตติ้งเร็วกว่า จนกว่าจะเล่นครบจำนวนเกมนี้
+const PROVISIONAL_GAMES = 10;
+const PROVISIONAL_K_FACTOR = 48;
+
+class RatingEngine {
+  /**
+   * ค่าคาดหวังว่า a จะชนะ b
+   * @param {number} ratingA
+   * @param {number} ratingB
+   * @returns {number} 0-1
+   */
+  static expectedScore(ratingA, ratingB) {
+    return 1 / (1 + Math.pow(10, (ratingB - ratingA) / 400));
+  }
+
+  /**
+   * คำนวณเรตติ้งใหม่แบบจับคู่ทุกคู่ (อันดับดีกว่า = ชนะคู่นั้น, อันดับเท่ากัน = เสมอ)
+   * ผลรวมของแต่ละคู่หารด้วย (จำนวนคน - 1) เพื่อให้เกม 5 คนไม่แกว่งกว่าเกม 2 คน
+   * @param {array} participants - [{ id, rating, games, placement }] (เฉพาะผู้เล่นที่ถูกจัดอันดับ ไม่รวมบอท)
+   * @returns {array} [{ id, before, after, delta }]
+   */
+  static computeChanges(participants) {
+    if (participants.length < 2) return [];
+
+    return participants.map(p => {
+      const opponents = participants.filter(o => o.id !== p.id);
+      const sum = opponents.reduce((acc, o) => {
+        const actual = p.placement < o.placement ? 1 : p.placement === o.placement ? 0.5 : 0;
+        return acc + (actual - this.expectedScore(p.rating, o.rating));
+      }, 0);
+
+      const k = (p.games || 0) < PROVISIONAL_GAMES ? PROVISIONAL_K_FACTOR : K_FACTOR;
+      const delta = Math.round((k * sum / opponents.length) * 10) / 10;
+      return { id: p.id, before: p.rating, after: Math.round((p.rating + delta) * 10) / 10, delta };
+    });
+  }
+}
+
+RatingEngine.DEFAULT_RATING = DEFAULT_RATING;
+
+module.exports = RatingEngine;
@@ -0,0 +1,95 @@
+// server/reactionManager.js - อีโมตตอบโต้ตอนหงายการ์ด/หน้าผลเทิร์น: ชุดอีโมต, จำกัดความถี่, เปิด/ปิดรายห้อง
+const EMOTES = [
+  { id: 'clap', emoji: '👏' },
+  { id: 'laugh', emoji: '😂' },
+  { id: 'shock', emoji: '😱' },
+  { id: 'cry', emoji: '😭' },
+  { id: 'fire', emoji: '🔥' },
+  { id: 'think', emoji: '🤔' }
+];
+
+// ส่งได้ไม่เกิน THROTTLE_COUNT ครั้งใน THROTTLE_WINDOW_MS และห่างกันอย่างน้อย MIN_INTERVAL_MS (เกินนี้ทิ้งเงียบ ๆ)
+const THROTTLE_COUNT = 4;
+const THROTTLE_WINDOW_MS = 5000;
+const MIN_INTERVAL_MS = 700;
+
+/**
+ * room.reactionsEnabled: โฮสต์ปิดได้สำหรับการแข่งจริงจัง (ค่าเริ่มต้นเปิด)
+ * อีโมตที่ส่งให้ทั้งห้อง: { fromSeatId, fromName, targetSeatId, emote, emoji }
+ * targetSeatId = ที่นั่งที่ถูกกดอีโมตใส่ (การ์ดที่หงาย / กล่องคะแนนบนหน้าผล)
+ */
+class ReactionManager {
+  constructor() {
+    this.sentAt = new Map();
+  }
+
+  static listEmotes() {
+    return EMOTES.map(e => ({ ...e }));
+  }
+
+  static isEnabled(room) {
+    return room?.reactionsEnabled !== false;
+  }
+
+  /**
+   * กดอีโมตได้ระหว่างเกม และตอนหน้าผลเกมสุดท้ายที่ห้องกลับ lobby แล้ว (turn ยังไม่รีเซ็ตจนเริ่มเกมใหม่)
+   * @param {object} room - room object
+   * @returns {boolean}
+   */
+  static isReactionWindow(room) {
+    return !!room.started || room.turn > 0;
+  }
+
+  isThrottled(key, now) {
+    const recent = (this.sentAt.get(key) || []).filter(at => now - at < THROTTLE_WINDOW_MS);
+    this.sentAt.set(key, recent);
+    return recent.length >= THROTTLE_COUNT || (recent.length > 0 && now - recent[recent.length - 1] < MIN_INTERVAL_MS);
+  }
+
+  /**
+   * ผู้เล่นกดอีโมต
+   * @param {object} room - room object
+   * @param {object} player - ผู้กด (ผู้เล่นในห้อง)
+   * @param {object} input - { emote, targetSeatId }
+   * @returns {object} { reaction } | { throttled: true } | { error }
+   */
+  react(room, player, { emote, targetSeatId } = {}) {
+    if (!ReactionManager.isEnabled(room)) return { error: 'ห้องนี้ปิดอีโมตไว้' };
+    if (!ReactionManager.isReactionWindow(room)) return { error: 'ยังกดอีโมตไม่ได้ตอนนี้' };
+
+    const entry = EMOTES.find(e => e.id === emote);
+    if (!entry) return { error: 'ไม่พบอีโมตนี้' };
+
+    const target = targetSeatId
+      ? [...room.players, ...(room.departedPlayers || [])].find(p => p.seatId === targetSeatId)
+      : player;
+    if (!target) return { error: 'ไม่พบผู้เล่นนี้' };
+
+    const key = `${room.code}:${player.playerId}`;
+    const now = Date.now();
+    if (this.isThrottled(key, now)) return { throttled: true };
+    this.sentAt.get(key).push(now);
+
+    return {
+      reaction: {
+        fromSeatId: player.seatId,
+        fromName: player.name,
+        targetSeatId: target.seatId,
+        emote: entry.id,
+        emoji: entry.emoji
+      }
+    };
+  }
+
+  clearRoom(code) {
+    for (const key of Array.from(this.sentAt.keys())) {
+      if (key.startsWith(`${code}:`)) {
+        this.sentAt.delete(key);
+      }
+    }
+  }
+}
+
+ReactionManager.EMOTES = EMOTES;
+
+module.exports = ReactionManager;
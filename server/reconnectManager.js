@@ -0,0 +1,90 @@
+// server/reconnectManager.js - เก็บที่นั่งผู้เล่นที่หลุดไว้ช่วงหนึ่ง ให้กลับมาเล่นต่อด้วย rejoinRoom ได้
+
+// เวลาที่เก็บที่นั่งไว้ (ms) ปรับได้ด้วย RECONNECT_GRACE_MS
+const DEFAULT_GRACE_MS = 60000;
+const MIN_GRACE_MS = 1000;
+
+class ReconnectManager {
+  /**
+   * @param {object} hooks - { onExpire(room, player) } เรียกเมื่อผู้เล่นไม่กลับมาภายในเวลา
+   * @param {object} options - { graceMs }
+   */
+  constructor(hooks = {}, options = {}) {
+    this.hooks = hooks;
+    const graceMs = Number(options.graceMs ?? process.env.RECONNECT_GRACE_MS);
+    this.graceMs = Number.isFinite(graceMs) && graceMs > 0 ? Math.max(MIN_GRACE_MS, graceMs) : DEFAULT_GRACE_MS;
+    this.timers = new Map();
+  }
+
+  timerKey(code, playerId) {
+    return `${code}:${playerId}`;
+  }
+
+  /**
+   * ผู้เล่นหลุด: เก็บที่นั่ง (มือ คูลดาวน์ การ์ดที่ลงไว้) แล้วเริ่มนับเวลารอ
+   * @param {object} room - room object
+   * @param {object} player - player object
+   * @returns {number} graceDeadline (epoch ms) สำหรับแสดงให้คนอื่นเห็น
+   */
+  markDisconnected(room, player) {
+    const key = this.timerKey(room.code, player.playerId);
+    this.clear(room.code, player.playerId);
+
+    player.id = null;
+    player.isDisconnected = true;
+    player.graceDeadline = Date.now() + this.graceMs;
+
+    const timerId = setTimeout(() => {
+      this.timers.delete(key);
+      if (!player.isDisconnected) return;
+      player.graceDeadline = null;
+      if (typeof this.hooks.onExpire === 'function') {
+        this.hooks.onExpire(room, player);
+      }
+    }, this.graceMs);
+    this.timers.set(key, timerId);
+
+    return player.graceDeadline;
+  }
+
+  /**
+   * ผู้เล่นกลับมา (ทั้งก่อนและหลังหมดเวลา - ถ้าบอทเล่นแทนอยู่ก็เอาที่นั่งคืน)
+   * @param {object} room - room object
+   * @param {object} player - player object
+   * @param {string} socketId - socket ID ใหม่
+   * @returns {boolean} true ถ้าผู้เล่นหลุดไปก่อนหน้านี้
+   */
+  markReconnected(room, player, socketId) {
+    this.clear(room.code, player.playerId);
+    const wasDisconnected = !!player.isDisconnected;
+
+    player.id = socketId;
+    player.isDisconnected = false;
+    player.graceDeadline = null;
+    player.autoPilot = false;
+
+    return wasDisconnected;
+  }
+
+  clear(code, playerId) {
+    const key = this.timerKey(code, playerId);
+    const timerId = this.timers.get(key);
+    if (timerId) {
+      clearTimeout(timerId);
+      this.timers.delete(key);
+    }
+  }
+
+  clearRoom(code) {
+    for (const [key, timerId] of this.timers.entries()) {
+      if (key.startsWith(`${code}:`)) {
+        clearTimeout(timerId);
+        this.timers.delete(key);
+      }
+    }
+  }
+}
+
+ReconnectManager.DEFAULT_GRACE_MS = DEFAULT_GRACE_MS;
+
+module.exports = ReconnectManager;
@@ -0,0 +1,248 @@
+// server/replayManager.js - บันทึกเกมเป็น event log เพื่อเปิดดูย้อนหลัง (replay)
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const RoomSettings = require('./roomSettings');
+const TeamManager = require('./teamManager');
+
+const REPLAY_VERSION = 1;
+const MAX_CACHED_REPLAYS = 50;
+const REPLAY_ID_PATTERN = /^[0-9a-f-]{36}$/;
+
+const publicPlayer = (p) => ({
+  name: p.name,
+  heart: p.heart,
+  handCount: (p.hand || []).length
+});
+
+class ReplayManager {
+  /**
+   * @param {object} options - { dir: โฟลเดอร์เก็บไฟล์ replay }
+   */
+  constructor(options = {}) {
+    this.dir = options.dir || path.join(__dirname, 'data', 'replays');
+    this.recordings = new Map(); // room code → replay ที่กำลังบันทึก
+    this.cache = new Map(); // replay id → replay ที่จบแล้ว (ล่าสุด)
+  }
+
+  /**
+   * เริ่มบันทึกเกมใหม่ (เรียกหลังแจกมือเริ่มต้นแล้ว)
+   * @param {object} room - room object
+   */
+  startRecording(room) {
+    const startingHands = {};
+    room.players.forEach(p => {
+      startingHands[p.name] = (p.hand || []).map(c => ({ ...c }));
+    });
+
+    this.recordings.set(room.code, {
+      id: uuidv4(),
+      version: REPLAY_VERSION,
+      roomCode: room.code,
+      seed: room.seed ?? null,
+      settings: RoomSettings.of(room),
+      teamSettings: TeamManager.of(room),
+      startedAt: new Date().toISOString(),
+      endedAt: null,
+      // ✅ อ้างถึงผู้เล่นด้วยลำดับที่นั่ง ไม่เก็บ playerId (ใช้ rejoin ได้) เพราะ replay เปิดดูได้ทุกคน
+      players: room.players.map((p, seat) => ({ seat, name: p.name, isBot: !!p.isBot, team: p.team || null })),
+      startingHands,
+      turns: [],
+      result: null
+    });
+  }
+
+  /**
+   * ข้อมูลเทิร์นปัจจุบัน (สร้างใหม่ถ้ายังไม่มี)
+   * @param {object} room - room object
+   * @returns {object|null} turn entry
+   */
+  currentTurn(room) {
+    const replay = this.recordings.get(room.code);
+    if (!replay) return null;
+
+    let entry = replay.turns.find(t => t.turn === room.turn);
+    if (!entry) {
+      entry = {
+        turn: room.turn,
+        event: null,
+        competition: null,
+        eventChange: null,
+        draws: [],
+        startPlayers: [],
+        plays: [],
+        skillEffects: [],
+        heartChanges: [],
+        actionResults: [],
+        winnerName: null,
+        winnerScore: 0,
+        eliminated: [],
+        players: []
+      };
+      replay.turns.push(entry);
+    }
+    return entry;
+  }
+
+  /**
+   * บันทึกอีเวนต์/การแข่ง และพลังใจตอนเริ่มเฟสเลือกการ์ด
+   * @param {object} room - room object
+   */
+  recordTurnSetup(room) {
+    const entry = this.currentTurn(room);
+    if (!entry) return;
+    entry.event = room.event ? { ...room.event } : null;
+    entry.competition = room.competition;
+    entry.startPlayers = room.players.map(publicPlayer);
+  }
+
+  /**
+   * บันทึกการจั่วการ์ด (Mikudayo, กาชา, Gacha God, Divine Card)
+   * @param {object} room - room object
+   * @param {object} player - ผู้เล่นที่จั่ว
+   * @param {array} cards - การ์ดที่ได้
+   * @param {string} reason - เหตุผลการจั่ว
+   */
+  recordDraw(room, player, cards, reason) {
+    const entry = this.currentTurn(room);
+    if (!entry) return;
+    entry.draws.push({ player: player.name, cards: cards.map(c => ({ ...c })), reason });
+  }
+
+  /**
+   * บันทึกผลเทิร์นจาก RulesEngine
+   * @param {object} room - room object (หลัง commit)
+   * @param {object} outcomes - outcomes จาก RulesEngine.resolve()
+   */
+  recordTurnResult(room, outcomes) {
+    const entry = this.currentTurn(room);
+    if (!entry) return;
+    entry.plays = outcomes.actionResults
+      .filter(ar => ar.action !== null)
+      .map(ar => {
+        const played = outcomes.playedCards.find(pc => pc.playerName === ar.name);
+        return { player: ar.name, action: ar.action, card: played ? played.card : null };
+      });
+    entry.eventChange = outcomes.eventChange
+      ? { oldEvent: outcomes.eventChange.oldEvent, newEvent: outcomes.eventChange.newEvent, player: outcomes.eventChange.player }
+      : null;
+    entry.skillEffects = outcomes.skillEffects;
+    entry.heartChanges = outcomes.heartChanges;
+    entry.actionResults = outcomes.actionResults;
+    entry.winnerName = outcomes.winner;
+    entry.winnerScore = outcomes.winnerScore;
+    entry.teamScores = outcomes.teamScores;
+    entry.winnerTeam = outcomes.winnerTeam;
+    entry.eliminated = outcomes.eliminated;
+    entry.players = room.players.map(publicPlayer);
+  }
+
+  /**
+   * ปิดการบันทึกและเก็บลงไฟล์
+   * @param {object} room - room object
+   * @param {object} result - { winnerNameFinal, winningTeam, isDraw, drawPlayers, reason }
+   * @returns {string|null} replay id
+   */
+  finishRecording(room, result = {}) {
+    const replay = this.recordings.get(room.code);
+    if (!replay) return null;
+    this.recordings.delete(room.code);
+
+    replay.endedAt = new Date().toISOString();
+    replay.result = {
+      winnerNameFinal: result.winnerNameFinal || null,
+      winningTeam: result.winningTeam || null,
+      isDraw: !!result.isDraw,
+      drawPlayers: result.drawPlayers || [],
+      reason: result.reason || null,
+      players: room.players.map(publicPlayer)
+    };
+
+    this.remember(replay);
+    this.save(replay);
+    console.log(`[ReplayManager] Replay ${replay.id} saved for room ${room.code} (${replay.turns.length} turns)`);
+    return replay.id;
+  }
+
+  discardRecording(code) {
+    this.recordings.delete(code);
+  }
+
+  /**
+   * สำเนาการบันทึกที่ยังไม่จบ (เก็บลง snapshot ห้อง)
+   * @param {string} code - โค้ดห้อง
+   * @returns {object|null}
+   */
+  exportRecording(code) {
+    const replay = this.recordings.get(code);
+    return replay ? JSON.parse(JSON.stringify(replay)) : null;
+  }
+
+  /**
+   * บันทึกต่อจาก snapshot หลังเซิร์ฟเวอร์เริ่มใหม่
+   * @param {string} code - โค้ดห้อง
+   * @param {object} replay - จาก exportRecording()
+   */
+  importRecording(code, replay) {
+    if (!replay || replay.version !== REPLAY_VERSION) return;
+    this.recordings.set(code, replay);
+  }
+
+  /**
+   * อ่าน replay จาก cache หรือไฟล์
+   * @param {string} id - replay id
+   * @returns {Promise<object|null>}
+   */
+  async getReplay(id) {
+    if (!REPLAY_ID_PATTERN.test(String(id))) return null;
+    if (this.cache.has(id)) return this.cache.get(id);
+
+    try {
+      const raw = await fs.promises.readFile(path.join(this.dir, `${id}.json`), 'utf8');
+      const replay = JSON.parse(raw);
+      this.remember(replay);
+      return replay;
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        console.error(`[ReplayManager] Failed to read replay ${id}:`, err.message);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * รายการ replay ล่าสุด (จาก cache) กรองตามห้องได้
+   * @param {string} roomCode - โค้ดห้อง (ไม่บังคับ)
+   * @returns {array}
+   */
+  listRecent(roomCode = null) {
+    return Array.from(this.cache.values())
+      .filter(r => !roomCode || r.roomCode === roomCode)
+      .map(r => ({
+        id: r.id,
+        roomCode: r.roomCode,
+        startedAt: r.startedAt,
+        endedAt: r.endedAt,
+        turns: r.turns.length,
+        players: r.players.map(p => p.name),
+        winnerNameFinal: r.result?.winnerNameFinal || null
+      }))
+      .reverse();
+  }
+
+  remember(replay) {
+    this.cache.delete(replay.id);
+    this.cache.set(replay.id, replay);
+    while (this.cache.size > MAX_CACHED_REPLAYS) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+  }
+
+  save(replay) {
+    fs.promises.mkdir(this.dir, { recursive: true })
+      .then(() => fs.promises.writeFile(path.join(this.dir, `${replay.id}.json`), JSON.stringify(replay)))
+      .catch(err => console.error(`[ReplayManager] Failed to save replay ${replay.id}:`, err.message));
+  }
+}
+
+module.exports = ReplayManager;
@@ -1,27 +1,51 @@
 // server/roomManager.js - จัดการห้องและผู้เล่น
 const { v4: uuidv4 } = require('uuid');
-const { CardDeck, shuffle } = require('./utils');
+const { CardDeck } = require('./utils');
+const PhaseTimerManager = require('./phaseTimerManager');
+const BotManager = require('./botManager');
+const DeckManager = require('./deckManager');
+const RoomSettings = require('./roomSettings');
+const EventPoolManager = require('./eventPoolManager');
+const TeamManager = require('./teamManager');
+const SeriesManager = require('./seriesManager');
+const MatchmakingManager = require('./matchmakingManager');
+
+const MAX_SPECTATORS = 20;
+
+// id สาธารณะของที่นั่ง (ส่งให้ทุกคนได้ ต่างจาก playerId ที่ใช้ rejoin และต้องเป็นความลับ)
+const createSeatId = () => uuidv4().slice(0, 8);
 
 class RoomManager {
-  constructor(events) {
+  /**
+   * @param {Array} events - รายการอีเวนต์
+   * @param {object} hooks - { onRoomEmpty(code) } ปิดห้องที่ไม่เหลือผู้เล่น (เคลียร์ state ของทุก manager แล้วเรียก deleteRoom)
+   */
+  constructor(events, hooks = {}) {
     this.rooms = new Map();
     this.EVENTS = events;
+    this.hooks = hooks;
   }
 
   /**
    * สร้างห้องใหม่
    * @param {string} name - ชื่อผู้เล่นเจ้าของห้อง
+   * @param {string} accountId - account id ของโปรไฟล์ถาวร (ไม่บังคับ)
+   * @param {object} options - { visibility: 'private' | 'public', language } (ไม่บังคับ)
    * @returns {object} {code, playerId}
    */
-  createRoom(name) {
+  createRoom(name, accountId = null, options = {}) {
     const code = uuidv4().slice(0, 6).toUpperCase();
-    const playerId = `player_${Date.now()}_${Math.random()}`;
+    // playerId ใช้ rejoin แทนตัวผู้เล่นได้ (เป็นรหัสลับ) จึงสุ่มด้วย uuid ไม่ใช่เวลา/Math.random
+    const playerId = uuidv4();
     
     const player = {
       playerId,
+      seatId: createSeatId(),
+      accountId,
       id: null, // จะเซต socket.id ตอนกด ready
       name: name.trim(),
-      heart: 6,
+      heart: RoomSettings.DEFAULT_SETTINGS.startingHearts,
+      team: null,
       hand: [],
       ready: false,
       skillCooldown: 0,
@@ -45,14 +69,31 @@ class RoomManager {
       protectedPlayers: {},
       skillBlockActive: {},
       divineCardActive: {},
-      eventPool: shuffle([...this.EVENTS]),
+      eventSettings: EventPoolManager.defaults(),
+      teamSettings: TeamManager.defaults(),
+      series: SeriesManager.defaults(),
+      visibility: MatchmakingManager.normalizeVisibility(options.visibility),
+      language: MatchmakingManager.normalizeLanguage(options.language),
+      backfillAt: null,
+      chatHistory: [],
+      reactionsEnabled: true,
+      eventPool: EventPoolManager.buildPool(this.EVENTS, EventPoolManager.defaults()),
       usedEvents: 0,
       playedCards: {},
       lastTurnActionResults: [],
       playersToDraw: [],
       hostPlayerId: playerId,
       hostSocketId: null,
-      botCounter: 0
+      botCounter: 0,
+      phaseDurations: { ...PhaseTimerManager.DEFAULT_PHASE_DURATIONS },
+      phaseDeadline: null,
+      fixedSeed: null,
+      seed: null,
+      deckMode: DeckManager.DEFAULT_DECK_MODE,
+      settings: RoomSettings.defaults(),
+      eliminations: [],
+      departedPlayers: [],
+      spectators: []
     });
 
     console.log(`[RoomManager] Room ${code} created by ${name} (playerId: ${playerId})`);
@@ -64,9 +105,10 @@ class RoomManager {
    * @param {string} code - โค้ดห้อง
    * @param {string} name - ชื่อผู้เล่น
    * @param {string} existingPlayerId - playerId (ถ้า rejoin)
+   * @param {string} accountId - account id ของโปรไฟล์ถาวร (ไม่บังคับ)
    * @returns {object} {room, player, isRejoin, error}
    */
-  joinRoom(code, name, existingPlayerId = null) {
+  joinRoom(code, name, existingPlayerId = null, accountId = null) {
     const room = this.rooms.get(code);
     
     if (!room) {
@@ -87,6 +129,11 @@ class RoomManager {
       return { room, player: existingPlayer, isRejoin: true };
     }
 
+    // ห้องทัวร์นาเมนต์จองที่นั่งไว้ให้ผู้เล่นในสายเท่านั้น
+    if (room.tournament) {
+      return { error: 'ห้องทัวร์นาเมนต์เข้าได้เฉพาะผู้เล่นในสายนี้' };
+    }
+
     // ตรวจสอบชื่อซ้ำ
     const duplicateName = room.players.find(p => p.name === name.trim());
     if (duplicateName) {
@@ -94,17 +141,20 @@ class RoomManager {
     }
 
     // ตรวจสอบห้องเต็ม
-    if (room.players.length >= 5) {
+    if (room.players.length >= RoomSettings.of(room).maxPlayers) {
       return { error: 'ห้องเต็มแล้ว' };
     }
 
     // สร้างผู้เล่นใหม่
-    const newPlayerId = `player_${Date.now()}_${Math.random()}`;
+    const newPlayerId = uuidv4();
     const newPlayer = {
       playerId: newPlayerId,
+      seatId: createSeatId(),
+      accountId,
       id: null,
       name: name.trim(),
-      heart: 6,
+      heart: RoomSettings.of(room).startingHearts,
+      team: TeamManager.isTeamMode(room) ? TeamManager.nextTeam(room) : null,
       hand: [],
       ready: false,
       skillCooldown: 0,
@@ -120,6 +170,58 @@ class RoomManager {
     return { room, player: newPlayer, isRejoin: false };
   }
 
+  /**
+   * ช่อง socket.io สำหรับส่งข้อมูลเฉพาะผู้ชม (ผู้ชมอยู่ในห้อง code ด้วย จึงได้รับข้อมูลสาธารณะทั้งหมด)
+   * @param {string} code - โค้ดห้อง
+   * @returns {string}
+   */
+  static spectatorChannel(code) {
+    return `${code}:spectators`;
+  }
+
+  /**
+   * เข้าดูห้อง (ไม่มีที่นั่ง และไม่ได้รับการ์ดบนมือของใคร)
+   * @param {string} code - โค้ดห้อง
+   * @param {string} socketId - socket ID ของผู้ชม
+   * @param {string} name - ชื่อผู้ชม
+   * @returns {object} {room, spectator, error}
+   */
+  addSpectator(code, socketId, name) {
+    const room = this.rooms.get(code);
+    if (!room) return { error: 'ไม่พบห้องนี้' };
+
+    if (room.players.some(p => p.id === socketId)) {
+      return { error: 'คุณเป็นผู้เล่นในห้องนี้อยู่แล้ว' };
+    }
+
+    room.spectators = room.spectators.filter(s => s.id !== socketId);
+    if (room.spectators.length >= MAX_SPECTATORS) {
+      return { error: 'ผู้ชมเต็มแล้ว' };
+    }
+
+    const spectator = { id: socketId, name: name.trim() };
+    room.spectators.push(spectator);
+    console.log(`[RoomManager] ${spectator.name} is spectating room ${code} (${room.spectators.length} spectators)`);
+    return { room, spectator };
+  }
+
+  /**
+   * ลบผู้ชมออกจากห้องที่ดูอยู่
+   * @param {string} socketId - socket ID
+   * @returns {object} {code, room, spectator}
+   */
+  removeSpectator(socketId) {
+    for (const [code, room] of this.rooms.entries()) {
+      const spectator = (room.spectators || []).find(s => s.id === socketId);
+      if (spectator) {
+        room.spectators = room.spectators.filter(s => s.id !== socketId);
+        console.log(`[RoomManager] ${spectator.name} stopped spectating room ${code}`);
+        return { code, room, spectator };
+      }
+    }
+    return { code: null, room: null, spectator: null };
+  }
+
   setHostSocket(code, socketId) {
     const room = this.rooms.get(code);
     if (!room) return;
@@ -129,30 +231,46 @@ class RoomManager {
   isHost(code, socketId) {
     const room = this.rooms.get(code);
     if (!room) return false;
+    // ห้องทัวร์นาเมนต์ไม่มีโฮสต์ (กติกามาจากทัวร์นาเมนต์ ห้ามเพิ่มบอท/เตะคน)
+    if (room.tournament) return false;
     return room.hostSocketId === socketId;
   }
 
-  addBot(code) {
+  /**
+   * เพิ่มบอท
+   * @param {string} code - โค้ดห้อง
+   * @param {string} difficulty - 'easy' | 'normal' | 'hard'
+   * @param {string} personalityId - id จาก botPersonalities.json
+   */
+  addBot(code, difficulty = BotManager.DEFAULT_DIFFICULTY, personalityId = BotManager.DEFAULT_PERSONALITY) {
     const room = this.rooms.get(code);
     if (!room) return { error: 'ไม่พบห้องนี้' };
     if (room.started) return { error: 'ไม่สามารถเพิ่มบอทระหว่างเกมได้' };
-    if (room.players.length >= 5) return { error: 'ห้องเต็มแล้ว' };
+    const { maxPlayers } = RoomSettings.of(room);
+    if (room.players.length >= maxPlayers) return { error: 'ห้องเต็มแล้ว' };
+    if (!BotManager.DIFFICULTIES.includes(difficulty)) return { error: 'ระดับความยากของบอทไม่ถูกต้อง' };
+    const personality = BotManager.getPersonality(personalityId);
+    if (!personality) return { error: 'ไม่พบบุคลิกบอทนี้' };
 
     const existingBots = room.players.filter(p => p.isBot);
-    if (existingBots.length >= 4) return { error: 'บอทครบ 4 ตัวแล้ว' };
+    if (existingBots.length >= maxPlayers - 1) return { error: `บอทครบ ${maxPlayers - 1} ตัวแล้ว` };
 
     const usedSlots = existingBots.map(bot => bot.botSlot).filter(Boolean);
     let slot = 1;
-    while (usedSlots.includes(slot) && slot <= 4) {
+    while (usedSlots.includes(slot) && slot < maxPlayers) {
       slot++;
     }
 
-    const botPlayerId = `bot_${Date.now()}_${Math.random()}`;
+    // ชื่อตามบุคลิก (บุคลิกซ้ำในห้องเดียวกันต่อท้ายด้วยเลขช่อง)
+    const nameTaken = room.players.some(p => p.name === personality.name);
+    const botPlayerId = uuidv4();
     const bot = {
       playerId: botPlayerId,
+      seatId: createSeatId(),
       id: null,
-      name: `Bot ${slot}`,
-      heart: 6,
+      name: nameTaken ? `${personality.name} ${slot}` : personality.name,
+      heart: RoomSettings.of(room).startingHearts,
+      team: TeamManager.isTeamMode(room) ? TeamManager.nextTeam(room) : null,
       hand: [],
       ready: true,
       skillCooldown: 0,
@@ -162,21 +280,92 @@ class RoomManager {
       hasDecided: false,
       isDead: false,
       isBot: true,
-      botSlot: slot
+      botSlot: slot,
+      difficulty,
+      personality: personality.id,
+      avatarCardId: personality.avatarCardId || null
     };
 
     room.players.push(bot);
     room.botCounter++;
-    console.log(`[RoomManager] Added bot (slot ${slot}) to room ${code}`);
+    console.log(`[RoomManager] Added ${difficulty} ${personality.id} bot ${bot.name} (slot ${slot}) to room ${code}`);
     return { room, bot };
   }
 
-  removeBot(code, botPlayerId) {
+  /**
+   * เปลี่ยนระดับความยากของบอท (เฉพาะใน lobby)
+   * @param {string} code - โค้ดห้อง
+   * @param {string} seatId - seatId ของบอท
+   * @param {string} difficulty - 'easy' | 'normal' | 'hard'
+   */
+  setBotDifficulty(code, seatId, difficulty) {
+    const room = this.rooms.get(code);
+    if (!room) return { error: 'ไม่พบห้องนี้' };
+    if (room.started) return { error: 'ไม่สามารถเปลี่ยนระดับบอทระหว่างเกมได้' };
+    if (!BotManager.DIFFICULTIES.includes(difficulty)) return { error: 'ระดับความยากของบอทไม่ถูกต้อง' };
+
+    const bot = room.players.find(p => p.seatId === seatId && p.isBot);
+    if (!bot) return { error: 'ไม่พบบอทนี้ในห้อง' };
+
+    bot.difficulty = difficulty;
+    return { room, bot };
+  }
+
+  /**
+   * ตั้งโหมดทีม / วิธีคิดคะแนนทีม (เปิดโหมดทีม = จัดทีมให้คนที่ยังไม่มีทีม, ปิด = ล้างทีม)
+   * @param {string} code - โค้ดห้อง
+   * @param {object} changes - { mode, scoring }
+   */
+  setTeamSettings(code, changes = {}) {
+    const room = this.rooms.get(code);
+    if (!room) return { error: 'ไม่พบห้องนี้' };
+    if (room.started) return { error: 'ไม่สามารถเปลี่ยนโหมดทีมระหว่างเกมได้' };
+
+    const { teamSettings, error } = TeamManager.validate(changes);
+    if (error) return { error };
+
+    room.teamSettings = { ...TeamManager.of(room), ...teamSettings };
+    if (TeamManager.isTeamMode(room)) {
+      TeamManager.assignMissing(room);
+    } else {
+      room.players.forEach(p => {
+        p.team = null;
+      });
+    }
+    return { room };
+  }
+
+  /**
+   * ย้ายผู้เล่น/บอทไปอีกทีม (เฉพาะใน lobby โหมดทีม)
+   * @param {string} code - โค้ดห้อง
+   * @param {string} seatId - seatId ของผู้เล่น
+   * @param {string} team - 'A' | 'B' | 'C'
+   */
+  setPlayerTeam(code, seatId, team) {
+    const room = this.rooms.get(code);
+    if (!room) return { error: 'ไม่พบห้องนี้' };
+    if (room.started) return { error: 'ไม่สามารถย้ายทีมระหว่างเกมได้' };
+    if (!TeamManager.isTeamMode(room)) return { error: 'ห้องนี้ไม่ได้อยู่ในโหมดทีม' };
+    if (!TeamManager.TEAM_IDS.includes(team)) return { error: 'ทีมไม่ถูกต้อง' };
+
+    const player = room.players.find(p => p.seatId === seatId);
+    if (!player) return { error: 'ไม่พบผู้เล่นนี้' };
+
+    player.team = team;
+    return { room, player };
+  }
+
+  /**
+   * ลบบอท
+   * @param {string} code - โค้ดห้อง
+   * @param {string} seatId - seatId ของบอท
+   */
+  removeBot(code, seatId) {
     const room = this.rooms.get(code);
     if (!room) return { error: 'ไม่พบห้องนี้' };
     if (room.started) return { error: 'ไม่สามารถลบบอทระหว่างเกมได้' };
 
-    const index = room.players.findIndex(p => p.playerId === botPlayerId && p.isBot);
+    const index = room.players.findIndex(p => p.seatId === seatId && p.isBot);
     if (index === -1) {
       return { error: 'ไม่พบบอทนี้ในห้อง' };
     }
@@ -186,16 +375,22 @@ class RoomManager {
     return { room, bot };
   }
 
-  kickPlayer(code, targetPlayerId) {
+  /**
+   * โฮสต์เตะผู้เล่น
+   * @param {string} code - โค้ดห้อง
+   * @param {string} seatId - seatId ของผู้เล่นที่จะเตะ
+   */
+  kickPlayer(code, seatId) {
     const room = this.rooms.get(code);
     if (!room) return { error: 'ไม่พบห้องนี้' };
     if (room.started) return { error: 'ไม่สามารถเตะผู้เล่นระหว่างเกมได้' };
 
-    if (targetPlayerId === room.hostPlayerId) {
+    const target = room.players.find(p => p.seatId === seatId);
+    if (target && target.playerId === room.hostPlayerId) {
       return { error: 'ไม่สามารถเตะโฮสต์ได้' };
     }
 
-    const index = room.players.findIndex(p => p.playerId === targetPlayerId && !p.isBot);
+    const index = room.players.findIndex(p => p.seatId === seatId && !p.isBot);
     if (index === -1) {
       return { error: 'ไม่พบผู้เล่นนี้' };
     }
@@ -278,41 +473,62 @@ class RoomManager {
   }
 
   /**
-   * ลบผู้เล่นออกจากห้อง
+   * หาผู้เล่นจาก socket ID
    * @param {string} socketId - socket ID
-   * @returns {object} {code, room, removedPlayer}
+   * @returns {object} {code, room, player}
    */
-  removePlayer(socketId) {
+  findPlayerBySocket(socketId) {
     for (const [code, room] of this.rooms.entries()) {
-      const playerIndex = room.players.findIndex(p => p.id === socketId);
-      if (playerIndex !== -1) {
-        const removedPlayer = room.players[playerIndex];
-        room.players.splice(playerIndex, 1);
-
-        console.log(`[RoomManager] ${removedPlayer.name} removed from room ${code}`);
-
-        // ลบห้องถ้าว่างเปล่า
-        if (room.players.length === 0) {
-          this.deleteRoom(code);
-          return { code, room: null, removedPlayer };
-        }
-
-        if (removedPlayer.playerId === room.hostPlayerId) {
-          const newHost = room.players.find(p => !p.isBot) || room.players[0];
-          if (newHost) {
-            room.hostPlayerId = newHost.playerId;
-            room.hostSocketId = newHost.id;
-            console.log(`[RoomManager] Host transferred to ${newHost.name} in room ${code}`);
-          } else {
-            room.hostPlayerId = null;
-            room.hostSocketId = null;
-          }
-        }
-
-        return { code, room, removedPlayer };
+      const player = room.players.find(p => p.id === socketId);
+      if (player) return { code, room, player };
+    }
+    return { code: null, room: null, player: null };
+  }
+
+  /**
+   * ลบผู้เล่นออกจากห้อง (หลุดเกินเวลารอ หรือบอทเล่นแทนจนจบเกม)
+   * @param {string} code - โค้ดห้อง
+   * @param {string} playerId - playerId
+   * @returns {object} {code, room, removedPlayer}
+   */
+  removePlayer(code, playerId) {
+    const room = this.rooms.get(code);
+    const playerIndex = room ? room.players.findIndex(p => p.playerId === playerId) : -1;
+    if (playerIndex === -1) {
+      return { code: null, room: null, removedPlayer: null };
+    }
+
+    const removedPlayer = room.players[playerIndex];
+    room.players.splice(playerIndex, 1);
+
+    console.log(`[RoomManager] ${removedPlayer.name} removed from room ${code}`);
+
+    // ลบห้องถ้าว่างเปล่า (ผ่าน hooks.onRoomEmpty เพื่อให้ timer/แชท/ซีรีส์ ฯลฯ ของห้องถูกเคลียร์ด้วย)
+    if (room.players.length === 0) {
+      if (typeof this.hooks.onRoomEmpty === 'function') {
+        this.hooks.onRoomEmpty(code);
+      } else {
+        this.deleteRoom(code);
       }
+      return { code, room: null, removedPlayer };
     }
-    return { code: null, room: null, removedPlayer: null };
+
+    if (removedPlayer.playerId === room.hostPlayerId) {
+      // ✅ ให้คนที่ยังต่ออยู่เป็นโฮสต์ก่อน
+      const newHost = room.players.find(p => !p.isBot && !p.isDisconnected)
+        || room.players.find(p => !p.isBot)
+        || room.players[0];
+      if (newHost) {
+        room.hostPlayerId = newHost.playerId;
+        room.hostSocketId = newHost.id;
+        console.log(`[RoomManager] Host transferred to ${newHost.name} in room ${code}`);
+      } else {
+        room.hostPlayerId = null;
+        room.hostSocketId = null;
+      }
+    }
+
+    return { code, room, removedPlayer };
   }
 
   /**
@@ -345,7 +561,7 @@ class RoomManager {
     room.protectedPlayers = {};
     room.skillBlockActive = {};
     room.divineCardActive = {};
-    room.eventPool = shuffle([...this.EVENTS]);
+    room.eventPool = EventPoolManager.buildPool(this.EVENTS, EventPoolManager.of(room));
     room.usedEvents = 0;
     room.playedCards = {};
     room.lastTurnActionResults = [];
@@ -353,7 +569,7 @@ class RoomManager {
 
     room.players.forEach(p => {
       p.hand = [];
-      p.heart = 6;
+      p.heart = RoomSettings.of(room).startingHearts;
       p.ready = p.isBot ? true : false;
       p.playedCard = null;
       p.action = null;
@@ -0,0 +1,131 @@
+// server/roomSettings.js - กติกาที่โฮสต์ปรับได้ต่อห้อง (พลังใจเริ่มต้น, จำนวนการ์ดบนมือ, คูลดาวน์ ฯลฯ) + preset
+const fs = require('fs');
+const path = require('path');
+
+// ค่าเริ่มต้น = กติกาเดิมของเกม
+const DEFAULT_SETTINGS = {
+  startingHearts: 6,     // พลังใจตอนเริ่มเกม (และเพดานพลังใจที่ฟื้นได้)
+  handSize: 5,           // การ์ดเริ่มต้นบนมือ
+  maxPlayers: 5,         // ที่นั่งในห้อง (รวมบอท)
+  skillCooldown: 3,      // คูลดาวน์หลังใช้สกิล (เทิร์น)
+  gachaPenalty: 5,       // คะแนนที่เสียเมื่อสุ่มกาชา
+  cooldownExtension: 3   // ใช้สกิลตอนติดคูลดาวน์ ยืดเพิ่มกี่เทิร์น
+};
+
+const SETTING_LIMITS = {
+  startingHearts: { min: 1, max: 10 },
+  handSize: { min: 1, max: 10 },
+  maxPlayers: { min: 2, max: 5 },
+  skillCooldown: { min: 0, max: 10 },
+  gachaPenalty: { min: 0, max: 30 },
+  cooldownExtension: { min: 0, max: 10 }
+};
+
+/**
+ * รูปแบบ preset ใน data/roomPresets.json:
+ * {
+ *   "id": "quick",
+ *   "label": { "th": "...", "en": "...", "ja": "..." },
+ *   "settings": { "startingHearts": 3 }    // ช่องที่ไม่ระบุ = ค่าเริ่มต้น
+ * }
+ */
+let PRESETS = [];
+
+try {
+  PRESETS = JSON.parse(fs.readFileSync(path.join(__dirname, 'data', 'roomPresets.json'), 'utf8'));
+} catch (err) {
+  console.error('โหลด roomPresets.json ไม่ได้!', err);
+}
+
+class RoomSettings {
+  static defaults() {
+    return { ...DEFAULT_SETTINGS };
+  }
+
+  /**
+   * กติกาที่ห้อง (หรือ state จาก RulesEngine.snapshot) ใช้อยู่ - ห้องเก่าที่ไม่มี settings ได้ค่าเริ่มต้น
+   * @param {object} room - room object / state
+   * @returns {object}
+   */
+  static of(room) {
+    return { ...DEFAULT_SETTINGS, ...(room?.settings || {}) };
+  }
+
+  static getLimits() {
+    const limits = {};
+    Object.entries(SETTING_LIMITS).forEach(([key, range]) => {
+      limits[key] = { ...range };
+    });
+    return limits;
+  }
+
+  /**
+   * ตรวจค่าที่โฮสต์ส่งมา (ส่งมาเฉพาะบางช่องได้)
+   * @param {object} input - { startingHearts, handSize, ... }
+   * @returns {object} { settings } (เฉพาะช่องที่ส่งมา) หรือ { error }
+   */
+  static validate(input = {}) {
+    const settings = {};
+    for (const key of Object.keys(input)) {
+      const range = SETTING_LIMITS[key];
+      if (!range) return { error: `ไม่รู้จักการตั้งค่า ${key}` };
+      const value = Number(input[key]);
+      if (!Number.isInteger(value) || value < range.min || value > range.max) {
+        return { error: `${key} ต้องเป็นจำนวนเต็ม ${range.min}-${range.max}` };
+      }
+      settings[key] = value;
+    }
+    return { settings };
+  }
+
+  /**
+   * กติกาเต็มของ preset (จำนวนที่นั่งคงเดิม - preset ไม่เปลี่ยนคนในห้อง)
+   * @param {string} id - id preset
+   * @param {object} current - กติกาปัจจุบันของห้อง
+   * @returns {object|null}
+   */
+  static applyPreset(id, current = DEFAULT_SETTINGS) {
+    const preset = PRESETS.find(p => p.id === id);
+    if (!preset) return null;
+    return { ...DEFAULT_SETTINGS, ...preset.settings, maxPlayers: current.maxPlayers };
+  }
+
+  static listPresets() {
+    return PRESETS.map(({ id, label, settings }) => ({ id, label, settings: { ...DEFAULT_SETTINGS, ...settings } }));
+  }
+
+  /**
+   * preset ที่ตรงกับกติกาปัจจุบัน (null = ปรับเอง)
+   * @param {object} settings - กติกาเต็มจาก of()
+   * @returns {string|null}
+   */
+  static matchPreset(settings) {
+    const preset = PRESETS.find(p => {
+      const full = { ...DEFAULT_SETTINGS, ...p.settings };
+      // จำนวนที่นั่งไม่นับเป็นส่วนของ preset
+      return Object.keys(DEFAULT_SETTINGS)
+        .filter(key => key !== 'maxPlayers')
+        .every(key => full[key] === settings[key]);
+    });
+    return preset ? preset.id : null;
+  }
+
+  static validatePreset(preset) {
+    const errors = [];
+    const label = preset?.id || '(no id)';
+    if (!preset || typeof preset.id !== 'string') errors.push(`${label}: missing id`);
+    const { error } = this.validate(preset?.settings || {});
+    if (error) errors.push(`${label}: ${error}`);
+    return errors;
+  }
+}
+
+PRESETS.forEach(preset => {
+  RoomSettings.validatePreset(preset).forEach(err => {
+    console.error(`[RoomSettings] Invalid room preset: ${err}`);
+  });
+});
+
+RoomSettings.DEFAULT_SETTINGS = DEFAULT_SETTINGS;
+
+module.exports = RoomSettings;
@@ -0,0 +1,446 @@
+// server/rulesEngine.js - กติกาการตัดสินเทิร์น (pure: ไม่มี socket / timer)
+const { calculateScore } = require('./utils');
+const SkillManager = require('./skillManager');
+const EventEngine = require('./eventEngine');
+const RoomSettings = require('./roomSettings');
+const TeamManager = require('./teamManager');
+
+const getPlayerKey = (player) => player?.playerId || player?.id;
+
+class RulesEngine {
+  /**
+   * สร้าง snapshot ของห้องเป็น plain object (ไม่รวม deck / socket / timer)
+   * @param {object} room - room object
+   * @returns {object} state
+   */
+  static snapshot(room) {
+    return {
+      code: room.code,
+      turn: room.turn,
+      event: room.event ? { ...room.event } : null,
+      competition: room.competition,
+      settings: RoomSettings.of(room),
+      teamSettings: TeamManager.of(room),
+      protectedPlayers: { ...(room.protectedPlayers || {}) },
+      skillBlockActive: { ...(room.skillBlockActive || {}) },
+      divineCardActive: { ...(room.divineCardActive || {}) },
+      players: room.players.map(p => ({
+        playerId: p.playerId,
+        id: p.id,
+        name: p.name,
+        isBot: !!p.isBot,
+        team: p.team || null,
+        heart: p.heart,
+        hand: [...(p.hand || [])],
+        actionCooldown: p.actionCooldown || 0,
+        totalScore: p.totalScore || 0,
+        isDead: !!p.isDead
+      }))
+    };
+  }
+
+  /**
+   * ดึงการตัดสินใจของผู้เล่นที่ตัดสินใจแล้วในเทิร์นนี้
+   * @param {object} room - room object
+   * @returns {object} { [playerKey]: { card, action } } - card = null คือข้ามเทิร์น
+   */
+  static decisionsFromRoom(room) {
+    const decisions = {};
+    room.players.forEach(p => {
+      if (!p.hasDecided) return;
+      decisions[getPlayerKey(p)] = {
+        card: p.playedCard || null,
+        action: p.playedCard ? p.action : null
+      };
+    });
+    return decisions;
+  }
+
+  /**
+   * ตัดสินผลเทิร์น: สกิล → คะแนน → เสียพลังใจ/โล่ → คืนการ์ด → ตรวจจบเกม
+   * @param {object} state - snapshot จาก RulesEngine.snapshot()
+   * @param {object} decisions - { [playerKey]: { card, action } }
+   * @param {object} options - { drawEvent: (state) => event } ใช้กับสกิลที่สุ่มอีเวนต์ใหม่ (rerollEvent)
+   *                           { silent: true } ไม่พิมพ์ log คะแนน (ใช้ตอนจำลอง)
+   * @returns {object} { state, outcomes }
+   */
+  static resolve(state, decisions = {}, options = {}) {
+    const next = this.cloneState(state);
+    const outcomes = {
+      contested: true,
+      actionResults: [],
+      skillEffects: [],
+      scores: {},
+      winner: null,
+      winnerScore: -1,
+      teamScores: {}, // โหมดทีม: { [team]: คะแนนทีมเทิร์นนี้ }
+      winnerTeam: null,
+      heartChanges: [],
+      draws: [],
+      returnedCards: [], // [{ playerKey, card }] คืนเข้ากองของเจ้าของ
+      playedCards: [],
+      revealedCards: {},
+      eventChange: null,
+      eliminated: [],
+      gameOver: false,
+      finalWinner: null,
+      winningTeam: null,
+      isDraw: false,
+      drawPlayers: []
+    };
+
+    next.players.forEach(p => {
+      const decision = decisions[getPlayerKey(p)];
+      p.playedCard = decision?.card || null;
+      p.action = decision?.card ? (decision.action || '3') : null;
+    });
+
+    const playersWithCards = next.players.filter(p => p.playedCard !== null);
+
+    // กรณีไม่มีใครลงการ์ดเลย (ทุกคนข้าม) -> ไม่มีผลอะไร
+    if (playersWithCards.length === 0) {
+      outcomes.contested = false;
+      outcomes.winnerScore = 0;
+      return { state: next, outcomes };
+    }
+
+    this.applySkills(next, playersWithCards, outcomes, options);
+    this.applyScores(next, playersWithCards, outcomes, options);
+    this.applyTeamScores(next, playersWithCards, outcomes);
+
+    // ผู้เล่นที่ข้ามเทิร์นได้ 0 คะแนน
+    next.players
+      .filter(p => decisions[getPlayerKey(p)] && p.playedCard === null)
+      .forEach(p => {
+        outcomes.actionResults.push({ name: p.name, action: null, score: 0, baseScore: 0 });
+      });
+
+    this.applyHeartLoss(next, playersWithCards, outcomes);
+    this.collectCards(next, playersWithCards, outcomes);
+    this.applyEventTurnEnd(next, outcomes);
+
+    if (EventEngine.revealsCards(next.event)) {
+      playersWithCards.forEach(p => {
+        outcomes.revealedCards[p.name] = p.playedCard;
+      });
+    }
+
+    // เคลียร์เอฟเฟกต์ชั่วคราว (divine card ยังค้างไว้ตรวจต้นเทิร์นหน้า)
+    SkillManager.clearTemporaryEffects(next);
+    next.players.forEach(p => {
+      p.playedCard = null;
+    });
+
+    Object.assign(outcomes, this.checkGameOver(next));
+    return { state: next, outcomes };
+  }
+
+  // ==================== PHASE 1: Skill Effects (Action 2) ====================
+  static applySkills(state, playersWithCards, outcomes, options) {
+    playersWithCards.forEach(p => {
+      if (p.action !== '2') return;
+
+      const playerKey = getPlayerKey(p);
+      if (SkillManager.isBlockable(p.playedCard.skill) && SkillManager.isSkillBlocked(state, playerKey)) {
+        outcomes.skillEffects.push({
+          player: p.name,
+          skill: p.playedCard.skill,
+          blocked: true,
+          effects: ['Skill blocked by Hidden Skill']
+        });
+        return;
+      }
+
+      const oldEvent = state.event;
+      const drawEvent = typeof options.drawEvent === 'function' ? options.drawEvent : null;
+      const skillResult = SkillManager.activateSkill(
+        p.playedCard.skill,
+        p,
+        p.playedCard,
+        playersWithCards,
+        state,
+        drawEvent
+      );
+
+      skillResult.heartChanges.forEach(hc => {
+        outcomes.heartChanges.push({ ...hc, reason: 'skill' });
+      });
+      skillResult.draws.forEach(draw => {
+        outcomes.draws.push({ ...draw, reason: 'skill', skill: p.playedCard.skill });
+      });
+      if (state.event !== oldEvent) {
+        outcomes.eventChange = { oldEvent, newEvent: state.event, player: p.name };
+      }
+
+      outcomes.skillEffects.push({
+        player: p.name,
+        skill: p.playedCard.skill,
+        blocked: false,
+        effects: skillResult.effects,
+        modifiers: skillResult.statModifiers
+      });
+    });
+  }
+
+  // ==================== PHASE 2: Scores with Stat Modifiers ====================
+  static applyScores(state, playersWithCards, outcomes, options = {}) {
+    const settings = RoomSettings.of(state);
+    // รวมค่าพลังจากทุกสกิล (บัฟ/ดีบัฟหลายอันกับคนเดียวกันบวกกัน)
+    const statModifiers = {};
+    outcomes.skillEffects.forEach(se => {
+      Object.entries(se.modifiers || {}).forEach(([playerKey, mods]) => {
+        const merged = statModifiers[playerKey] || {};
+        Object.entries(mods).forEach(([stat, delta]) => {
+          merged[stat] = (merged[stat] || 0) + delta;
+        });
+        statModifiers[playerKey] = merged;
+      });
+    });
+
+    playersWithCards.forEach(p => {
+      const playerKey = getPlayerKey(p);
+      const scoringCard = { ...p.playedCard };
+
+      // ใช้ค่าพลังจากสกิลกับสำเนาการ์ด เพื่อไม่ให้ข้อมูลการ์ดในกองเปลี่ยน
+      const mods = statModifiers[playerKey];
+      if (mods) {
+        Object.entries(mods).forEach(([stat, delta]) => {
+          if (delta) scoringCard[stat] = Math.max(1, scoringCard[stat] + delta);
+        });
+      }
+
+      const score = calculateScore(scoringCard, state.competition, state.event, { silent: options.silent });
+      let actualScore = score;
+
+      if (p.action === '1') {
+        // Action 1: สุ่มกาชา - ลดแต้มตามกติกาห้อง (ปกติ 5)
+        actualScore = Math.max(0, score - settings.gachaPenalty);
+      } else if (p.action === '2') {
+        // Action 2: ใช้สกิล - ติด CD ตามกติกาห้อง ถ้าติด CD อยู่แล้วยืดเพิ่ม (ปกติ 3 เทิร์น)
+        p.actionCooldown = p.actionCooldown > 0 ? p.actionCooldown + settings.cooldownExtension : settings.skillCooldown;
+      } else if (p.action === '4') {
+        // Action 4: ถอยหนี - คะแนน 0 เก็บการ์ดคืนมือ เสียพลังใจ 1
+        actualScore = 0;
+        p.hand.push(p.playedCard);
+        this.changeHeart(p, -1, 'flee', outcomes);
+      }
+
+      outcomes.scores[playerKey] = actualScore;
+      if (actualScore > outcomes.winnerScore) {
+        outcomes.winnerScore = actualScore;
+        outcomes.winner = p.name;
+      }
+
+      p.totalScore = (p.totalScore || 0) + actualScore;
+      outcomes.actionResults.push({
+        name: p.name,
+        action: p.action,
+        score: actualScore,
+        baseScore: score
+      });
+    });
+  }
+
+  // ==================== PHASE 2.5: Team Scores ====================
+  static applyTeamScores(state, playersWithCards, outcomes) {
+    if (!TeamManager.isTeamMode(state)) return;
+    outcomes.teamScores = TeamManager.teamScores(state, playersWithCards, outcomes.scores);
+    const maxScore = Math.max(...Object.values(outcomes.teamScores));
+    const topTeams = Object.keys(outcomes.teamScores).filter(team => outcomes.teamScores[team] === maxScore);
+    outcomes.winnerTeam = topTeams.length === 1 ? topTeams[0] : null;
+  }
+
+  // ==================== PHASE 3: Heart Loss / Shield ====================
+  static applyHeartLoss(state, playersWithCards, outcomes) {
+    // เทียบคะแนนเป็นฝั่ง: โหมดปกติ 1 คน = 1 ฝั่ง, โหมดทีมทั้งทีมแพ้/ชนะด้วยกัน
+    const sideScores = TeamManager.isTeamMode(state) ? outcomes.teamScores : outcomes.scores;
+    const scores = Object.values(sideScores);
+    const maxScore = Math.max(...scores);
+
+    // ทุกฝั่งคะแนนเท่ากัน → ไม่มีใครเสีย
+    if (scores.every(score => score === maxScore)) return;
+
+    playersWithCards.forEach(p => {
+      const playerKey = getPlayerKey(p);
+      if (sideScores[TeamManager.sideOf(state, p)] >= maxScore) return;
+      // คนหนีเสียพลังใจไปแล้วตอนหนี
+      if (p.action === '4') return;
+      if (state.protectedPlayers[playerKey]) {
+        outcomes.heartChanges.push({ player: p.name, from: p.heart, to: p.heart, reason: 'shield' });
+        return;
+      }
+      this.changeHeart(p, -1, 'lose', outcomes);
+    });
+  }
+
+  // ==================== PHASE 4: Return Cards & Draws ====================
+  static collectCards(state, playersWithCards, outcomes) {
+    playersWithCards.forEach(p => {
+      const playerKey = getPlayerKey(p);
+
+      // ถอยหนี - เก็บการ์ดไว้ ไม่ส่งคืนกอง ไม่จั่วใหม่
+      if (p.action === '4') return;
+
+      outcomes.playedCards.push({
+        playerName: p.name,
+        card: { ...p.playedCard },
+        action: p.action
+      });
+      outcomes.returnedCards.push({ playerKey, card: p.playedCard });
+
+      if (p.action === '1') {
+        outcomes.draws.push({ playerKey, count: 1, reason: 'gacha' });
+      }
+    });
+  }
+
+  // ==================== PHASE 5: Event Effects at End of Turn ====================
+  static applyEventTurnEnd(state, outcomes) {
+    EventEngine.applyHeart(state.event, 'end', state.players, RoomSettings.of(state).startingHearts).forEach(hc => {
+      outcomes.heartChanges.push({ ...hc, reason: 'event' });
+    });
+
+    const count = EventEngine.drawCount(state.event, 'end');
+    if (count > 0) {
+      state.players
+        .filter(p => !p.isDead && p.heart > 0)
+        .forEach(p => outcomes.draws.push({ playerKey: getPlayerKey(p), count, reason: 'event' }));
+    }
+  }
+
+  // ==================== PHASE 6: Game Over ====================
+  /**
+   * ตรวจสอบสถานะเกม: ผู้ชนะ, ผู้แพ้ใหม่, การเสมอ
+   * ผู้เล่นที่มี divine card ค้างอยู่ยังนับว่ามีชีวิต (ฟื้นต้นเทิร์นหน้า)
+   * @param {object} state - state หลังคิดผล (ถูกแก้ isDead)
+   * @returns {object} { eliminated, gameOver, finalWinner, winningTeam, isDraw, drawPlayers }
+   */
+  static checkGameOver(state) {
+    const hasPendingDivine = (p) => !!(state.divineCardActive && state.divineCardActive[getPlayerKey(p)]);
+    const isAlive = (p) => (p.heart > 0 || hasPendingDivine(p)) && (p.hand.length > 0 || hasPendingDivine(p));
+
+    const alivePlayers = state.players.filter(isAlive);
+    const newlyDead = state.players.filter(p => !isAlive(p) && !p.isDead);
+    newlyDead.forEach(p => {
+      p.isDead = true;
+    });
+
+    const result = {
+      eliminated: newlyDead.map(p => p.name),
+      gameOver: false,
+      finalWinner: null,
+      winningTeam: null,
+      isDraw: false,
+      drawPlayers: []
+    };
+
+    // โหมดทีม: จบเมื่อเหลือทีมเดียว (สมาชิกที่แพ้ไปก่อนชนะด้วย)
+    if (alivePlayers.length > 0 && TeamManager.aliveSides(state, alivePlayers).length === 1) {
+      result.gameOver = true;
+      Object.assign(result, TeamManager.winnerOf(state, alivePlayers));
+    } else if (alivePlayers.length === 0) {
+      // แพ้พร้อมกันหลายคน = คนที่แพ้พร้อมกันเสมอกัน
+      result.gameOver = true;
+      result.isDraw = true;
+      result.drawPlayers = newlyDead.length > 1
+        ? newlyDead.map(p => p.name)
+        : state.players.map(p => p.name);
+    }
+
+    return result;
+  }
+
+  /**
+   * จัดอันดับผู้เล่นตอนจบเกมจากลำดับการแพ้ (แพ้ทีหลัง = อันดับดีกว่า, แพ้เทิร์นเดียวกัน = อันดับเท่ากัน)
+   * โหมดทีม: ทั้งทีมได้อันดับตามสมาชิกที่อยู่รอดนานที่สุด
+   * @param {array} players - ผู้เล่นทั้งหมดในเกม
+   * @param {array} eliminations - [{ playerKey, turn }] ตามลำดับที่แพ้
+   * @param {object} result - { winnerNameFinal, winningTeam, isDraw, drawPlayers }
+   * @param {number} finalTurn - เทิร์นที่เกมจบ
+   * @param {object} options - { teamMode }
+   * @returns {array} [{ playerKey, name, placement, turnsSurvived }] เรียงตามอันดับ
+   */
+  static placements(players, eliminations = [], result = {}, finalTurn = 0, options = {}) {
+    const eliminatedAt = {};
+    eliminations.forEach(e => {
+      eliminatedAt[e.playerKey] = e.turn;
+    });
+    const drawPlayers = result.isDraw ? (result.drawPlayers || []) : [];
+
+    const ranked = players.map(p => {
+      const playerKey = getPlayerKey(p);
+      const isSurvivor = options.teamMode && result.winningTeam
+        ? p.team === result.winningTeam
+        : p.name === result.winnerNameFinal || drawPlayers.includes(p.name);
+      const lastTurn = eliminatedAt[playerKey] ?? finalTurn;
+      return {
+        playerKey,
+        name: p.name,
+        // ผู้ชนะ/ผู้เสมอ อยู่ถึงเทิร์นสุดท้ายและอยู่เหนือคนที่แพ้เทิร์นสุดท้าย
+        survival: isSurvivor ? Infinity : lastTurn,
+        turnsSurvived: isSurvivor ? finalTurn : lastTurn
+      };
+    });
+
+    if (options.teamMode) {
+      const teamSurvival = {};
+      ranked.forEach((r, i) => {
+        const team = players[i].team;
+        if (team) teamSurvival[team] = Math.max(teamSurvival[team] ?? -Infinity, r.survival);
+      });
+      ranked.forEach((r, i) => {
+        const team = players[i].team;
+        if (team) r.survival = teamSurvival[team];
+      });
+    }
+
+    return ranked
+      .map(r => ({
+        playerKey: r.playerKey,
+        name: r.name,
+        placement: 1 + ranked.filter(o => o.survival > r.survival).length,
+        turnsSurvived: r.turnsSurvived
+      }))
+      .sort((a, b) => a.placement - b.placement);
+  }
+
+  /**
+   * เขียน state ที่ตัดสินแล้วกลับเข้าห้อง
+   * @param {object} room - room object
+   * @param {object} state - state จาก RulesEngine.resolve()
+   */
+  static commit(room, state) {
+    room.event = state.event;
+    room.protectedPlayers = { ...state.protectedPlayers };
+    room.skillBlockActive = { ...state.skillBlockActive };
+    room.divineCardActive = { ...state.divineCardActive };
+
+    room.players.forEach(p => {
+      const resolved = state.players.find(sp => getPlayerKey(sp) === getPlayerKey(p));
+      if (!resolved) return;
+      p.heart = resolved.heart;
+      p.hand = [...resolved.hand];
+      p.actionCooldown = resolved.actionCooldown;
+      p.totalScore = resolved.totalScore;
+      p.isDead = resolved.isDead;
+    });
+  }
+
+  static changeHeart(player, delta, reason, outcomes) {
+    const from = player.heart;
+    player.heart = Math.max(0, player.heart + delta);
+    outcomes.heartChanges.push({ player: player.name, from, to: player.heart, reason });
+  }
+
+  static cloneState(state) {
+    return {
+      ...state,
+      protectedPlayers: { ...(state.protectedPlayers || {}) },
+      skillBlockActive: { ...(state.skillBlockActive || {}) },
+      divineCardActive: { ...(state.divineCardActive || {}) },
+      players: state.players.map(p => ({ ...p, hand: [...p.hand] }))
+    };
+  }
+}
+
+module.exports = RulesEngine;
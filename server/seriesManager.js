@@ -0,0 +1,174 @@
+// server/seriesManager.js - ซีรีส์ Best-of-N ในห้องเดียว: นับชัยชนะต่อ playerId, นับถอยหลังเริ่มเกมถัดไป, ประกาศแชมป์ซีรีส์
+
+const BEST_OF = [1, 3, 5];
+
+// เวลานับถอยหลังก่อนเริ่มเกมถัดไปของซีรีส์ (ms) ปรับได้ด้วย SERIES_COUNTDOWN_MS
+const DEFAULT_COUNTDOWN_MS = 15000;
+const MIN_COUNTDOWN_MS = 1000;
+
+/**
+ * ซีรีส์ของห้อง (room.series):
+ * {
+ *   bestOf: 1 | 3 | 5,           // 1 = เกมเดียวแบบเดิม
+ *   games: 2,                    // เกมที่เล่นไปแล้วในซีรีส์นี้
+ *   players: { [playerId]: { name, seatId, wins } },   // เก็บชื่อไว้ด้วย คนที่ออกจากห้องไปแล้วยังอยู่ในตาราง
+ *   championKeys: [],            // playerId ของแชมป์ (โหมดทีม = ทั้งทีม)
+ *   nextGameAt: null             // เวลาที่เกมถัดไปจะเริ่มเอง (epoch ms)
+ * }
+ * ชนะ 1 เกม = ได้อันดับ 1 (เสมอไม่มีใครได้) ชนะครบ ceil(N/2) ก่อน = แชมป์
+ */
+class SeriesManager {
+  /**
+   * @param {object} hooks - { onCountdownEnd(room) } เรียกเมื่อครบเวลานับถอยหลัง
+   * @param {object} options - { countdownMs }
+   */
+  constructor(hooks = {}, options = {}) {
+    this.hooks = hooks;
+    const countdownMs = Number(options.countdownMs ?? process.env.SERIES_COUNTDOWN_MS);
+    this.countdownMs = Number.isFinite(countdownMs) && countdownMs > 0 ? Math.max(MIN_COUNTDOWN_MS, countdownMs) : DEFAULT_COUNTDOWN_MS;
+    this.timers = new Map();
+  }
+
+  static defaults(bestOf = 1) {
+    return { bestOf, games: 0, players: {}, championKeys: [], nextGameAt: null };
+  }
+
+  static of(room) {
+    return { ...this.defaults(), ...(room?.series || {}) };
+  }
+
+  static isActive(room) {
+    return this.of(room).bestOf > 1;
+  }
+
+  static winsNeeded(bestOf) {
+    return Math.ceil(bestOf / 2);
+  }
+
+  static isDecided(room) {
+    return this.of(room).championKeys.length > 0;
+  }
+
+  /**
+   * ตรวจค่าที่โฮสต์ส่งมา
+   * @param {number} bestOf
+   * @returns {string|null} ข้อความ error
+   */
+  static validate(bestOf) {
+    return BEST_OF.includes(Number(bestOf)) ? null : `ซีรีส์ต้องเป็น Best of ${BEST_OF.join(' / ')}`;
+  }
+
+  /**
+   * ตั้งซีรีส์ใหม่ (ล้างผลเดิม)
+   * @param {object} room - room object
+   * @param {number} bestOf
+   */
+  static configure(room, bestOf) {
+    room.series = this.defaults(Number(bestOf));
+  }
+
+  /**
+   * เตรียมเกมถัดไป: ซีรีส์ที่ได้แชมป์แล้ว → เริ่มซีรีส์ใหม่ (ใช้ Best-of เดิม)
+   * @param {object} room - room object
+   */
+  static prepareGame(room) {
+    if (!this.isActive(room)) return;
+    if (this.isDecided(room)) {
+      this.configure(room, this.of(room).bestOf);
+    }
+    room.series.nextGameAt = null;
+  }
+
+  /**
+   * บันทึกผลเกม (เรียกจาก finishMatch)
+   * @param {object} room - room object
+   * @param {Array} participants - ผู้เล่นทั้งหมดในเกม (รวมคนที่ออกไประหว่างเกม)
+   * @param {Array} placements - จาก RulesEngine.placements()
+   * @param {object} result - { isDraw }
+   * @returns {object|null} { winners, champion } (null = ไม่ได้เล่นเป็นซีรีส์)
+   */
+  static recordGame(room, participants, placements, result = {}) {
+    if (!this.isActive(room)) return null;
+    const series = this.of(room);
+
+    participants.forEach(p => {
+      const entry = series.players[p.playerId] || { name: p.name, seatId: p.seatId, wins: 0 };
+      series.players[p.playerId] = { ...entry, name: p.name, seatId: p.seatId };
+    });
+
+    const winners = result.isDraw ? [] : placements.filter(pl => pl.placement === 1).map(pl => pl.playerKey);
+    winners.forEach(key => {
+      if (series.players[key]) series.players[key].wins++;
+    });
+    series.games++;
+
+    const needed = this.winsNeeded(series.bestOf);
+    series.championKeys = Object.keys(series.players).filter(key => series.players[key].wins >= needed);
+    room.series = series;
+
+    return { winners, champion: series.championKeys.length > 0 };
+  }
+
+  /**
+   * ตารางซีรีส์สำหรับ lobby (อ้างถึงผู้เล่นด้วย seatId ไม่ส่ง playerId)
+   * @param {object} room - room object
+   * @returns {object}
+   */
+  static describe(room) {
+    const series = this.of(room);
+    const standings = Object.entries(series.players)
+      .map(([key, p]) => ({
+        seatId: p.seatId,
+        name: p.name,
+        wins: p.wins,
+        champion: series.championKeys.includes(key)
+      }))
+      .sort((a, b) => b.wins - a.wins);
+    return {
+      bestOf: series.bestOf,
+      winsNeeded: this.winsNeeded(series.bestOf),
+      games: series.games,
+      standings,
+      champion: standings.filter(s => s.champion).map(s => s.name).join(' & ') || null,
+      nextGameAt: series.nextGameAt,
+      serverNow: Date.now()
+    };
+  }
+
+  /**
+   * จบเกมแล้วกลับ lobby: ซีรีส์ยังไม่จบ → นับถอยหลังแล้วเริ่มเกมถัดไปเอง
+   * @param {object} room - room object
+   * @returns {number|null} nextGameAt
+   */
+  scheduleNextGame(room) {
+    this.cancel(room.code);
+    if (!SeriesManager.isActive(room) || SeriesManager.isDecided(room) || SeriesManager.of(room).games === 0) {
+      return null;
+    }
+
+    const nextGameAt = Date.now() + this.countdownMs;
+    room.series.nextGameAt = nextGameAt;
+    const timerId = setTimeout(() => {
+      this.timers.delete(room.code);
+      if (room.started || room.series?.nextGameAt !== nextGameAt) return;
+      room.series.nextGameAt = null;
+      if (typeof this.hooks.onCountdownEnd === 'function') {
+        this.hooks.onCountdownEnd(room);
+      }
+    }, this.countdownMs);
+    this.timers.set(room.code, timerId);
+    return nextGameAt;
+  }
+
+  cancel(code) {
+    const timerId = this.timers.get(code);
+    if (timerId) {
+      clearTimeout(timerId);
+      this.timers.delete(code);
+    }
+  }
+}
+
+SeriesManager.BEST_OF = BEST_OF;
+
+module.exports = SeriesManager;
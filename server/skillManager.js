@@ -1,178 +1,223 @@
-// server/skillManager.js - Skill effect handler system for all 13 skills
+// server/skillManager.js - ตัวรันเอฟเฟกต์สกิลแบบ data-driven (นิยามสกิลอยู่ใน data/skills.json)
+const fs = require('fs');
+const path = require('path');
+const RoomSettings = require('./roomSettings');
+const TeamManager = require('./teamManager');
 
 /**
- * Skill Effect Specifications:
- * 1. salt - No effect
- * 2. leek shield - No lose Willpower this turn
- * 3. never give_up - Restore 2 Willpower
- * 4. golden microphone - +5 Vocal
- * 5. feet of fire - +5 Dance
- * 6. makeup shop visit - +5 Visual
- * 7. mic power cut - All other players: -5 Vocal
- * 8. freeze spell - All other players: -5 Dance
- * 9. banana slip - All other players: -5 Visual
- * 10. fate control - Randomly change this turn's competition type
- * 11. hidden skill - Other players' skills have no effect
- * 12. gacha god - Draw 2 random cards
- * 13. divine card - If Willpower = 0 at start of next turn, revive +1 Willpower and draw 10 cards
+ * รูปแบบนิยามสกิลใน skills.json:
+ * {
+ *   "<ชื่อสกิลตามการ์ด>": {
+ *     "description": "คำอธิบาย",
+ *     "blockable": true,               // hidden skill ของคนอื่นบล็อกได้หรือไม่
+ *     "effects": [{
+ *       "target": "self" | "others" | "all",   // เป้าหมาย (เฉพาะผู้เล่นที่ลงการ์ดเทิร์นนี้ - โหมดทีม others = ทีมตรงข้าม)
+ *       "stats": { "vocal": 5 },               // เพิ่ม/ลดค่าพลังการ์ดของเป้าหมาย (เทิร์นนี้)
+ *       "heart": 2,                            // เพิ่ม/ลดพลังใจ (0 ถึงพลังใจเริ่มต้นของห้อง)
+ *       "draw": 2,                             // จั่วการ์ดหลังจบเทิร์น
+ *       "shield": true,                        // ไม่เสียพลังใจเมื่อแพ้
+ *       "blockSkills": true,                   // สกิลของผู้เล่นคนอื่นไม่มีผล
+ *       "rerollEvent": { "except": [effect] }, // สุ่มอีเวนต์ใหม่ ยกเว้นอีเวนต์ที่ระบุ
+ *       "revive": { "heart": 1, "draw": 10 }   // ฟื้นต้นเทิร์นหน้าถ้าพลังใจเหลือ 0
+ *     }]
+ *   }
+ * }
+ * เอฟเฟกต์มีผลเฉพาะเทิร์นที่ใช้สกิล ยกเว้น revive ที่ตรวจต้นเทิร์นถัดไป
  */
 
+const SKILL_TARGETS = ['self', 'others', 'all'];
+const SKILL_STATS = ['vocal', 'dance', 'visual'];
+const DEFAULT_REVIVE = { heart: 1, draw: 10 };
+
+const statLabel = (stat) => stat.charAt(0).toUpperCase() + stat.slice(1);
+
+let SKILLS = {};
+
+try {
+  SKILLS = JSON.parse(fs.readFileSync(path.join(__dirname, 'data', 'skills.json'), 'utf8'));
+} catch (err) {
+  console.error('โหลด skills.json ไม่ได้!', err);
+}
+
 class SkillManager {
+  /**
+   * นิยามสกิลจากชื่อ
+   * @param {string} skill - ชื่อสกิลบนการ์ด
+   * @returns {Object|null} definition
+   */
+  static getDefinition(skill) {
+    return SKILLS[skill] || null;
+  }
+
+  /**
+   * ตรวจสอบนิยามสกิล (ใช้ตอนโหลดไฟล์ และให้ดีไซเนอร์เช็กก่อนใช้งาน)
+   * @param {string} name - ชื่อสกิล
+   * @param {Object} definition - นิยามสกิล
+   * @returns {Array<string>} รายการข้อผิดพลาด (ว่าง = ถูกต้อง)
+   */
+  static validateDefinition(name, definition) {
+    const errors = [];
+    if (!definition || !Array.isArray(definition.effects)) {
+      return [`${name}: effects must be an array`];
+    }
+
+    definition.effects.forEach((effect, idx) => {
+      const where = `${name}.effects[${idx}]`;
+      if (!SKILL_TARGETS.includes(effect.target)) {
+        errors.push(`${where}: target must be one of ${SKILL_TARGETS.join(', ')}`);
+      }
+      Object.entries(effect.stats || {}).forEach(([stat, delta]) => {
+        if (!SKILL_STATS.includes(stat)) errors.push(`${where}: unknown stat "${stat}"`);
+        if (!Number.isFinite(delta)) errors.push(`${where}: stats.${stat} must be a number`);
+      });
+      if (effect.heart !== undefined && !Number.isInteger(effect.heart)) {
+        errors.push(`${where}: heart must be an integer`);
+      }
+      if (effect.draw !== undefined && (!Number.isInteger(effect.draw) || effect.draw < 0)) {
+        errors.push(`${where}: draw must be a non-negative integer`);
+      }
+      if ((effect.blockSkills || effect.rerollEvent || effect.revive) && effect.target !== 'self') {
+        errors.push(`${where}: blockSkills / rerollEvent / revive only support target "self"`);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * หาเป้าหมายของเอฟเฟกต์
+   * @param {string} target - self | others | all
+   * @param {Object} player - ผู้ใช้สกิล
+   * @param {Array} allPlayers - ผู้เล่นที่ลงการ์ดเทิร์นนี้
+   * @param {Object} gameState - ใช้ดูโหมดทีม (others ไม่โดนเพื่อนร่วมทีม)
+   * @returns {Array} players
+   */
+  static resolveTargets(target, player, allPlayers, gameState = null) {
+    const playerKey = player.playerId || player.id;
+    switch (target) {
+      case 'self':
+        return [player];
+      case 'others':
+        return allPlayers.filter(p => (p.playerId || p.id) !== playerKey && p.playedCard
+          && !TeamManager.areAllies(gameState, player, p));
+      case 'all':
+        return allPlayers.filter(p => p.playedCard);
+      default:
+        return [];
+    }
+  }
+
   /**
    * Process skill activation for a player
-   * @param {Object} skill - Card's skill name
+   * @param {string} skill - Card's skill name
    * @param {Object} player - Player object
    * @param {Object} card - Card object being played
-   * @param {Array} allPlayers - Array of all players in room
-   * @param {Object} gameState - Game state object (room reference)
-   * @param {Object} io - Socket.io instance for emitting events
-   * @param {Function} getNextEvent - Function to get next event
-   * @returns {Object} Result object with effects applied
+   * @param {Array} allPlayers - Array of players who played a card this turn
+   * @param {Object} gameState - Game state object (room snapshot)
+   * @param {Function} getNextEvent - Function to get next event (rerollEvent)
+   * @returns {Object} { skillName, playerName, effects, statModifiers, heartChanges, draws }
    */
-  static activateSkill(skill, player, card, allPlayers, gameState, io = null, getNextEvent = null) {
+  static activateSkill(skill, player, card, allPlayers, gameState, getNextEvent = null) {
     const result = {
       skillName: skill,
       playerName: player.name,
       effects: [],
-      statModifiers: {} // Track which players get stat bonuses/penalties
+      statModifiers: {}, // Track which players get stat bonuses/penalties
+      heartChanges: [],
+      draws: []
     };
     const playerKey = player.playerId || player.id;
+    const definition = this.getDefinition(skill);
 
-    switch (skill) {
-      case 'salt':
-        result.effects.push('No effect');
-        break;
-
-      case 'leek shield':
-        // Mark player to prevent heart loss this turn
-        result.effects.push('Protected from willpower loss this turn');
-        // Store in temporary protection map
-        gameState.protectedPlayers = gameState.protectedPlayers || {};
-        gameState.protectedPlayers[playerKey] = true;
-        break;
-
-      case 'never give up':
-        // Restore 2 willpower
-        const oldHeart = player.heart;
-        player.heart = Math.min(6, player.heart + 2);
-        const restored = player.heart - oldHeart;
-        result.effects.push(`Restored ${restored} willpower (${oldHeart} → ${player.heart})`);
-        break;
-
-      case 'golden microphone':
-        // +5 Vocal to player's card
-        result.statModifiers[playerKey] = { vocal: 5 };
-        result.effects.push('+5 Vocal bonus applied');
-        break;
-
-      case 'feet of fire':
-        // +5 Dance to player's card
-        result.statModifiers[playerKey] = { dance: 5 };
-        result.effects.push('+5 Dance bonus applied');
-        break;
-
-      case 'makeup shop visit':
-        // +5 Visual to player's card
-        result.statModifiers[playerKey] = { visual: 5 };
-        result.effects.push('+5 Visual bonus applied');
-        break;
-
-      case 'mic power cut':
-        // -5 Vocal to all OTHER players
-        allPlayers.forEach(p => {
-          const targetKey = p.playerId || p.id;
-          if (targetKey !== playerKey && p.playedCard) {
-            result.statModifiers[targetKey] = { vocal: -5 };
-            result.effects.push(`-5 Vocal debuff to ${p.name}`);
-          }
-        });
-        break;
-
-      case 'freeze spell':
-        // -5 Dance to all OTHER players
-        allPlayers.forEach(p => {
-          const targetKey = p.playerId || p.id;
-          if (targetKey !== playerKey && p.playedCard) {
-            result.statModifiers[targetKey] = { dance: -5 };
-            result.effects.push(`-5 Dance debuff to ${p.name}`);
-          }
-        });
-        break;
-
-      case 'banana slip':
-        // -5 Visual to all OTHER players
-        allPlayers.forEach(p => {
-          const targetKey = p.playerId || p.id;
-          if (targetKey !== playerKey && p.playedCard) {
-            result.statModifiers[targetKey] = { visual: -5 };
-            result.effects.push(`-5 Visual debuff to ${p.name}`);
-          }
-        });
-        break;
-
-      case 'fate control':
-        // ✅ Re-roll the event (ไม่รวมอีเวนต์พิเศษ)
+    if (!definition) {
+      result.effects.push(`Unknown skill: ${skill}`);
+      return result;
+    }
+    if (definition.effects.length === 0) {
+      result.effects.push('No effect');
+      return result;
+    }
+
+    definition.effects.forEach(effect => {
+      const targets = this.resolveTargets(effect.target, player, allPlayers, gameState);
+
+      targets.forEach(target => {
+        const targetKey = target.playerId || target.id;
+        const isSelf = targetKey === playerKey;
+
+        if (effect.stats) {
+          const mods = result.statModifiers[targetKey] || {};
+          Object.entries(effect.stats).forEach(([stat, delta]) => {
+            mods[stat] = (mods[stat] || 0) + delta;
+            const sign = delta > 0 ? '+' : '';
+            result.effects.push(isSelf
+              ? `${sign}${delta} ${statLabel(stat)} bonus applied`
+              : `${sign}${delta} ${statLabel(stat)} ${delta > 0 ? 'bonus' : 'debuff'} to ${target.name}`);
+          });
+          result.statModifiers[targetKey] = mods;
+        }
+
+        if (effect.heart) {
+          const from = target.heart;
+          target.heart = Math.max(0, Math.min(RoomSettings.of(gameState).startingHearts, target.heart + effect.heart));
+          result.heartChanges.push({ player: target.name, from, to: target.heart });
+          result.effects.push(effect.heart > 0
+            ? `Restored ${target.heart - from} willpower to ${target.name} (${from} → ${target.heart})`
+            : `${target.name} lost ${from - target.heart} willpower (${from} → ${target.heart})`);
+        }
+
+        if (effect.draw) {
+          result.draws.push({ playerKey: targetKey, count: effect.draw });
+          result.effects.push(`${target.name} drew ${effect.draw} random cards`);
+        }
+
+        if (effect.shield) {
+          gameState.protectedPlayers = gameState.protectedPlayers || {};
+          gameState.protectedPlayers[targetKey] = true;
+          result.effects.push(`${target.name} protected from willpower loss this turn`);
+        }
+      });
+
+      if (effect.blockSkills) {
+        gameState.skillBlockActive = gameState.skillBlockActive || {};
+        gameState.skillBlockActive[playerKey] = true;
+        result.effects.push(TeamManager.isTeamMode(gameState)
+          ? 'Opposing teams\' skills blocked this turn'
+          : 'Other players\' skills blocked this turn');
+      }
+
+      if (effect.revive) {
+        // ตรวจต้นเทิร์นหน้าใน checkDivineCardRevival()
+        gameState.divineCardActive = gameState.divineCardActive || {};
+        gameState.divineCardActive[playerKey] = { ...DEFAULT_REVIVE, ...effect.revive };
+        result.effects.push('Ready to revive on next turn if heart reaches 0');
+      }
+
+      if (effect.rerollEvent) {
+        const except = effect.rerollEvent.except || [];
         const currentEvent = gameState.event ? gameState.event.name : 'Unknown';
-        const specialEffects = ['reveal_cards', 'special_battle', 'draw_3']; // อีเวนต์พิเศษที่ไม่เปลี่ยน
-        
-        // ถ้าเป็นอีเวนต์พิเศษ ไม่เปลี่ยน
-        if (gameState.event && specialEffects.includes(gameState.event.effect)) {
+        if (gameState.event && except.includes(gameState.event.effect)) {
           result.effects.push(`Cannot change special event: ${currentEvent}`);
         } else if (getNextEvent) {
-          // สุ่มอีเวนต์ใหม่
-          const oldEvent = gameState.event;
           gameState.event = getNextEvent(gameState);
           result.effects.push(`Changed event from ${currentEvent} to ${gameState.event.name}`);
-          
-          // ส่งสลอตอีเวนต์ใหม่ไปให้ client
-          if (io && gameState.code) {
-            io.to(gameState.code).emit('fateControlEventChange', {
-              oldEvent: oldEvent,
-              newEvent: gameState.event,
-              player: player.name
-            });
-          }
         } else {
-          result.effects.push('Fate Control failed: No event system available');
+          result.effects.push('Event re-roll failed: No event system available');
         }
-        break;
-
-      case 'hidden skill':
-        // Block opponent skills this turn
-        gameState.skillBlockActive = gameState.skillBlockActive || {};
-        gameState.skillBlockActive[playerKey] = true;
-        result.effects.push('Other players\' skills blocked this turn');
-        break;
-
-      case 'gacha god':
-        // Draw 2 random cards (Gacha God skill)
-        // Note: This is handled in the calling function (index.js)
-        result.effects.push('Drew 2 random cards (Gacha God)');
-        break;
-
-      case 'divine card':
-        // Special mechanic: handled in nextTurn check
-        // Mark this player as having divine card active
-        gameState.divineCardActive = gameState.divineCardActive || {};
-        gameState.divineCardActive[playerKey] = true;
-        result.effects.push('Divine Card: Ready to revive on next turn if heart reaches 0');
-        break;
-
-      default:
-        result.effects.push(`Unknown skill: ${skill}`);
-    }
+      }
+    });
 
     return result;
   }
 
   /**
-   * ⚠️ DEPRECATED - Stat modifiers are now applied directly to card stats in index.js
-   * before calling calculateScore() for accurate recalculation
+   * ตรวจว่าสกิลนี้ถูก hidden skill ของคนอื่นบล็อกได้หรือไม่
+   * @param {string} skill - ชื่อสกิล
+   * @returns {boolean}
    */
-  static applyStatModifiers(baseScore, playerId, modifiers) {
-    // This method is kept for backward compatibility but should not be used
-    console.warn('[DEPRECATED] applyStatModifiers called - use direct stat modification instead');
-    return baseScore;
+  static isBlockable(skill) {
+    const definition = this.getDefinition(skill);
+    return !definition || definition.blockable !== false;
   }
 
   /**
@@ -184,9 +229,11 @@ class SkillManager {
   static isSkillBlocked(gameState, playerKey) {
     if (!gameState.skillBlockActive) return false;
     
-    // If the player using hidden skill is blocking, their own skills work
+    // If the player using hidden skill is blocking, their own skills work (and their teammates' in team mode)
+    const findPlayer = (key) => (gameState.players || []).find(p => (p.playerId || p.id) === key);
     for (const blockerId in gameState.skillBlockActive) {
-      if (blockerId !== playerKey && gameState.skillBlockActive[blockerId]) {
+      if (blockerId !== playerKey && gameState.skillBlockActive[blockerId]
+        && !TeamManager.areAllies(gameState, findPlayer(blockerId), findPlayer(playerKey))) {
         return true;
       }
     }
@@ -217,16 +264,18 @@ class SkillManager {
     // Consume the flag regardless of outcome (effect lasts 1 turn)
     delete gameState.divineCardActive[playerKey];
 
+    const revive = typeof hasPendingDivine === 'object' ? hasPendingDivine : DEFAULT_REVIVE;
+
     if (player.heart === 0) {
-      player.heart = 1;
-      if (deck && typeof deck.drawCards === 'function') {
-        const cards = deck.drawCards(10);
+      player.heart = Math.min(RoomSettings.of(gameState).startingHearts, revive.heart);
+      if (deck && typeof deck.drawCards === 'function' && revive.draw > 0) {
+        const cards = deck.drawCards(revive.draw);
         player.hand.push(...cards);
         result.drewCards = cards.length;
         result.cards = cards;
       }
       result.revived = true;
-      console.log(`✨ ${player.name} revived by Divine Card! Heart: 0 → 1, Drew ${result.drewCards} cards`);
+      console.log(`✨ ${player.name} revived by Divine Card! Heart: 0 → ${player.heart}, Drew ${result.drewCards} cards`);
     } else {
       result.expired = true;
       console.log(`⚠️ ${player.name}'s Divine Card expired (heart = ${player.heart})`);
@@ -246,4 +295,10 @@ class SkillManager {
   }
 }
 
+Object.entries(SKILLS).forEach(([name, definition]) => {
+  SkillManager.validateDefinition(name, definition).forEach(err => {
+    console.error(`[SkillManager] Invalid skill definition: ${err}`);
+  });
+});
+
 module.exports = SkillManager;
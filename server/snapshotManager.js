@@ -0,0 +1,265 @@
+// server/snapshotManager.js - เก็บ snapshot ห้องลงดิสก์เป็นระยะ แล้วกู้คืนห้องที่ค้างอยู่หลังเซิร์ฟเวอร์เริ่มใหม่
+const fs = require('fs');
+const path = require('path');
+const { CardDeck, createRng } = require('./utils');
+const EventPoolManager = require('./eventPoolManager');
+
+const SNAPSHOT_VERSION = 1;
+const DEFAULT_INTERVAL_MS = 10000;
+// snapshot ที่เก่ากว่านี้ไม่กู้คืน (ผู้เล่นคงไม่กลับมาแล้ว)
+const MAX_SNAPSHOT_AGE_MS = 30 * 60 * 1000;
+// ห้องที่กู้คืนแล้วไม่มีผู้เล่นกลับมาเลยภายในเวลานี้จะถูกลบ
+const REJOIN_WINDOW_MS = 5 * 60 * 1000;
+// รอผู้เล่นที่เหลือกลับมาก่อนเล่นต่อ (ถ้ากลับมาครบแล้วเล่นต่อเร็วขึ้น)
+const RESUME_WAIT_MS = 15000;
+const RESUME_READY_DELAY_MS = 2000;
+
+// เฟสที่เล่นต่อได้ปลอดภัย: ต้นเทิร์น (ก่อนสุ่มอีเวนต์) หรือเทิร์นที่ใช้อีเวนต์เดิมต่อ
+const RESUME_PHASES = ['eventSlot', 'newTurn'];
+
+// ฟิลด์ที่สร้างใหม่ตอนกู้คืน (object ที่มี function/timer หรือผูกกับ socket เดิม)
+const RUNTIME_FIELDS = ['rng', 'deck', 'eventPool', 'event', 'hostSocketId', 'phaseDeadline', 'playersToDraw', 'spectators', 'resumePhase', 'restoredAt'];
+
+const serializeDeck = (deck) => (deck ? { availableCards: deck.availableCards, usedCards: deck.usedCards } : null);
+const serializePlayer = (p) => ({ ...p, id: null, deck: serializeDeck(p.deck) });
+
+class SnapshotManager {
+  /**
+   * @param {object} options - { file: ไฟล์ snapshot, intervalMs: ความถี่ในการบันทึก }
+   */
+  constructor(options = {}) {
+    this.file = options.file || path.join(__dirname, 'data', 'rooms-snapshot.json');
+    this.intervalMs = options.intervalMs || DEFAULT_INTERVAL_MS;
+    this.checkpoints = new Map(); // room code → snapshot ต้นเทิร์นล่าสุดของห้องที่กำลังเล่น
+    this.resumeTimers = new Map();
+    this.interval = null;
+  }
+
+  /**
+   * แปลงห้องเป็น JSON (ไม่มี socket id / timer / rng function)
+   * @param {object} room - room object
+   * @param {string} resumePhase - เฟสที่จะเล่นต่อหลังกู้คืน (null = ห้องที่ยังไม่เริ่มเกม)
+   * @returns {object}
+   */
+  static serializeRoom(room, resumePhase = null) {
+    const data = {};
+    Object.keys(room).forEach(key => {
+      if (!RUNTIME_FIELDS.includes(key)) data[key] = room[key];
+    });
+
+    data.players = room.players.map(serializePlayer);
+    data.departedPlayers = (room.departedPlayers || []).map(serializePlayer);
+    data.rngState = room.rng && room.rng.getState ? room.rng.getState() : null;
+    data.deck = serializeDeck(room.deck);
+    data.eventPool = (room.eventPool || []).map(e => e.id);
+    data.eventId = room.event ? room.event.id : null;
+    data.resumePhase = resumePhase;
+
+    return JSON.parse(JSON.stringify(data));
+  }
+
+  /**
+   * สร้างห้องจาก snapshot
+   * @param {object} data - จาก serializeRoom()
+   * @param {Array} events - อีเวนต์ทั้งหมด (events.json ปัจจุบัน)
+   * @returns {object} room object
+   */
+  static restoreRoom(data, events) {
+    const { rngState, eventId, deck, ...fields } = data;
+    const rng = data.started && data.seed !== null && data.seed !== undefined
+      ? createRng(data.seed, rngState)
+      : undefined;
+
+    // อีเวนต์ที่ถูกลบออกจาก events.json หลัง snapshot จะถูกข้าม
+    const eventPool = (data.eventPool || []).map(id => events.find(e => e.id === id)).filter(Boolean);
+    const eventSettings = EventPoolManager.of(data);
+    // ลำดับตายตัวนับ usedEvents ต่อไปเรื่อยๆ (ไม่ผูกกับขนาดกอง)
+    const usedEventsCap = eventSettings.sequence.length > 0 ? Infinity : eventPool.length;
+
+    return {
+      ...fields,
+      // โหมดจัดเด็ค: กองการ์ดของผู้เล่นแต่ละคน
+      players: (fields.players || []).map(p => (p.deck ? { ...p, deck: CardDeck.restore(p.deck, rng) } : p)),
+      rng,
+      deck: deck ? CardDeck.restore(deck, rng) : new CardDeck(),
+      eventPool: eventPool.length > 0 ? eventPool : EventPoolManager.buildPool(events, eventSettings, rng),
+      usedEvents: Math.min(data.usedEvents || 0, usedEventsCap),
+      event: events.find(e => e.id === eventId) || null,
+      hostSocketId: null,
+      phaseDeadline: null,
+      playersToDraw: [],
+      spectators: [],
+      resumePhase: RESUME_PHASES.includes(data.resumePhase) ? data.resumePhase : null,
+      restoredAt: Date.now()
+    };
+  }
+
+  /**
+   * จำสถานะห้องที่จุดปลอดภัย (ต้นเทิร์น) ไว้บันทึกรอบถัดไป
+   * ห้องที่กำลังเล่นจะถูกบันทึกจาก checkpoint เท่านั้น ไม่ใช่สถานะกลางเทิร์น
+   * @param {object} room - room object
+   * @param {string} resumePhase - 'eventSlot' | 'newTurn'
+   * @param {object} replay - การบันทึก replay ที่ยังไม่จบ (ไม่บังคับ)
+   */
+  checkpoint(room, resumePhase, replay = null) {
+    const data = SnapshotManager.serializeRoom(room, resumePhase);
+    data.replay = replay;
+    this.checkpoints.set(room.code, data);
+  }
+
+  clearCheckpoint(code) {
+    this.checkpoints.delete(code);
+    this.cancelResume(code);
+  }
+
+  /**
+   * รวม snapshot ของทุกห้อง: ห้องใน lobby ใช้สถานะปัจจุบัน ห้องที่กำลังเล่นใช้ checkpoint ล่าสุด
+   * @param {Map} rooms - room code → room
+   * @returns {object}
+   */
+  collect(rooms) {
+    for (const code of this.checkpoints.keys()) {
+      if (!rooms.has(code)) this.checkpoints.delete(code);
+    }
+
+    const snapshots = [];
+    for (const [code, room] of rooms.entries()) {
+      if (!room.started) {
+        snapshots.push(SnapshotManager.serializeRoom(room));
+      } else if (this.checkpoints.has(code)) {
+        snapshots.push(this.checkpoints.get(code));
+      }
+    }
+    return { version: SNAPSHOT_VERSION, savedAt: Date.now(), rooms: snapshots };
+  }
+
+  /**
+   * บันทึกทุกห้องลงไฟล์ (เขียนไฟล์ชั่วคราวก่อนแล้ว rename กันไฟล์เสียครึ่งทาง)
+   * @param {Map} rooms - room code → room
+   * @returns {Promise<void>}
+   */
+  async save(rooms) {
+    const tmpFile = `${this.file}.tmp`;
+    try {
+      await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+      await fs.promises.writeFile(tmpFile, JSON.stringify(this.collect(rooms)));
+      await fs.promises.rename(tmpFile, this.file);
+    } catch (err) {
+      console.error('[SnapshotManager] Failed to save snapshot:', err.message);
+    }
+  }
+
+  // ใช้ตอนปิดเซิร์ฟเวอร์ (ต้องเขียนให้เสร็จก่อน process จบ)
+  saveSync(rooms) {
+    const tmpFile = `${this.file}.tmp`;
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      fs.writeFileSync(tmpFile, JSON.stringify(this.collect(rooms)));
+      fs.renameSync(tmpFile, this.file);
+    } catch (err) {
+      console.error('[SnapshotManager] Failed to save snapshot:', err.message);
+    }
+  }
+
+  /**
+   * บันทึกเป็นระยะ และลบห้องที่กู้คืนมาแล้วไม่มีใครกลับมา
+   * @param {Map} rooms - room code → room
+   * @param {Function} onExpire - (code) เรียกเมื่อห้องที่กู้คืนหมดเวลารอ
+   */
+  start(rooms, onExpire = () => {}) {
+    this.stop();
+    this.interval = setInterval(() => {
+      for (const [code, room] of rooms.entries()) {
+        const abandoned = room.restoredAt
+          && Date.now() - room.restoredAt > REJOIN_WINDOW_MS
+          && room.players.every(p => p.isBot || !p.id);
+        if (abandoned) {
+          console.log(`[SnapshotManager] Restored room ${code} abandoned, removing`);
+          this.clearCheckpoint(code);
+          onExpire(code);
+        }
+      }
+      this.save(rooms);
+    }, this.intervalMs);
+    this.interval.unref();
+  }
+
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  /**
+   * อ่าน snapshot แล้วสร้างห้องกลับเข้า rooms
+   * @param {Map} rooms - room code → room (ของ RoomManager)
+   * @param {Array} events - อีเวนต์ทั้งหมด
+   * @returns {Array} ห้องที่กู้คืน
+   */
+  restore(rooms, events) {
+    let snapshot;
+    try {
+      snapshot = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        console.error('[SnapshotManager] Failed to read snapshot:', err.message);
+      }
+      return [];
+    }
+
+    if (snapshot.version !== SNAPSHOT_VERSION || Date.now() - snapshot.savedAt > MAX_SNAPSHOT_AGE_MS) {
+      console.log('[SnapshotManager] Snapshot is outdated, starting with no rooms');
+      return [];
+    }
+
+    const restored = [];
+    (snapshot.rooms || []).forEach(data => {
+      try {
+        const { replay, ...roomData } = data;
+        const room = SnapshotManager.restoreRoom(roomData, events);
+        rooms.set(room.code, room);
+        // ห้องที่ยังไม่มีใครกลับมาต้องอยู่รอดการรีสตาร์ทรอบถัดไปด้วย
+        if (room.started) this.checkpoints.set(room.code, data);
+        restored.push({ room, replay });
+        console.log(`[SnapshotManager] Restored room ${room.code} (${room.started ? `turn ${room.turn}, resume at ${room.resumePhase}` : 'lobby'})`);
+      } catch (err) {
+        console.error(`[SnapshotManager] Failed to restore room ${data.code}:`, err.message);
+      }
+    });
+    return restored;
+  }
+
+  /**
+   * นัดเล่นต่อห้องที่กู้คืนมา: ผู้เล่นกลับมาครบ → เล่นต่อเร็ว, ยังไม่ครบ → รอสักพักแล้วเล่นต่อ
+   * @param {object} room - room object
+   * @param {Function} resume - (resumePhase) เริ่มเฟสที่ค้างไว้
+   */
+  scheduleResume(room, resume) {
+    if (!room.resumePhase) return;
+
+    const allBack = room.players.every(p => p.isBot || p.id);
+    if (!allBack && this.resumeTimers.has(room.code)) return;
+    this.cancelResume(room.code);
+
+    const timerId = setTimeout(() => {
+      this.resumeTimers.delete(room.code);
+      const resumePhase = room.resumePhase;
+      if (!resumePhase) return;
+      room.resumePhase = null;
+      console.log(`[SnapshotManager] Resuming room ${room.code} at ${resumePhase} (turn ${room.turn})`);
+      resume(resumePhase);
+    }, allBack ? RESUME_READY_DELAY_MS : RESUME_WAIT_MS);
+    this.resumeTimers.set(room.code, timerId);
+  }
+
+  cancelResume(code) {
+    const timerId = this.resumeTimers.get(code);
+    if (timerId) {
+      clearTimeout(timerId);
+      this.resumeTimers.delete(code);
+    }
+  }
+}
+
+module.exports = SnapshotManager;
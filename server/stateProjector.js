@@ -0,0 +1,162 @@
+// server/stateProjector.js - กรองข้อมูลห้องตามผู้รับ (แต่ละ socket เห็นเฉพาะสิ่งที่ผู้เล่นคนนั้นควรเห็น)
+const EventEngine = require('./eventEngine');
+const RoomManager = require('./roomManager');
+
+class StateProjector {
+  /**
+   * ข้อมูลผู้เล่นที่ทุกคนเห็นได้ (ไม่มี socket id / playerId / การ์ดบนมือ)
+   * @param {object} player - player object
+   * @returns {object}
+   */
+  static publicPlayer(player) {
+    return {
+      seatId: player.seatId,
+      name: player.name,
+      heart: player.heart,
+      handCount: (player.hand || []).length,
+      team: player.team || null,
+      skillCooldown: player.skillCooldown,
+      // ✅ หลุดอยู่ระหว่างเวลารอ / บอทเล่นแทนหลังหมดเวลารอ
+      reconnecting: !!player.isDisconnected && !player.autoPilot,
+      autoPilot: !!player.autoPilot
+    };
+  }
+
+  static publicPlayers(room) {
+    return room.players.map(p => this.publicPlayer(p));
+  }
+
+  /**
+   * การ์ดที่ลงบนโต๊ะในมุมมองของผู้รับ: เห็นการ์ดของตัวเอง และการ์ดคนอื่นเฉพาะเมื่ออีเวนต์หงายการ์ด
+   * การ์ดที่ยังคว่ำส่งไปแค่ { hidden: true } ให้ client วาดหลังการ์ด
+   * @param {object} room - room object
+   * @param {object|null} viewer - ผู้เล่นที่รับข้อมูล (null = ผู้ชม)
+   * @returns {object} { [playerName]: card | { hidden: true } }
+   */
+  static playedCardsFor(room, viewer) {
+    const revealAll = EventEngine.revealsCards(room.event);
+    const playedCards = {};
+    room.players.forEach(p => {
+      if (!p.playedCard) return;
+      playedCards[p.name] = revealAll || p === viewer ? p.playedCard : { hidden: true };
+    });
+    return playedCards;
+  }
+
+  /**
+   * รายชื่อใน lobby ของผู้รับแต่ละคน
+   * playerId ใช้ rejoin แทนตัวผู้เล่นได้ จึงส่งให้เจ้าของเท่านั้น (คนอื่นอ้างถึงที่นั่งด้วย seatId)
+   * @param {object} room - room object
+   * @param {object|null} viewer - ผู้เล่นที่รับข้อมูล (null = ผู้ชม)
+   * @returns {object} { players, isHost }
+   */
+  static lobbyFor(room, viewer) {
+    return {
+      players: room.players.map(p => ({
+        seatId: p.seatId,
+        playerId: p === viewer ? p.playerId : null,
+        name: p.name,
+        ready: p.ready,
+        isBot: !!p.isBot,
+        difficulty: p.isBot ? p.difficulty || 'normal' : null,
+        personality: p.isBot ? p.personality || null : null,
+        avatarCardId: p.avatarCardId || null,
+        team: p.team || null,
+        isHost: !room.tournament && p.playerId === room.hostPlayerId,
+        reconnecting: !!p.isDisconnected,
+        chatMuted: !!p.chatMuted,
+        // โหมดจัดเด็ค: ส่งเด็คแล้วหรือยัง (บอทใช้เด็คสุ่ม)
+        hasDeck: !!p.deckList || !!p.isBot
+      })),
+      isHost: !room.tournament && !!viewer && viewer.playerId === room.hostPlayerId
+    };
+  }
+
+  /**
+   * ข้อมูลระหว่างเกม (initialHandDraw / gameStarted / spectateJoined / turnResult)
+   * ตัด seed ออกเสมอ: seed สร้างกองการ์ดและมือของทุกคนซ้ำได้ ส่งได้เฉพาะผลตอนจบเกม (gameOver())
+   * @param {object} payload
+   * @returns {object}
+   */
+  static inGame(payload) {
+    const { seed, fixedSeed, ...visible } = payload;
+    return visible;
+  }
+
+  /**
+   * ผลตอนจบเกม: แนบ seed ของเกมที่จบแล้ว (ใช้เล่นซ้ำ/แจ้งบั๊ก)
+   * @param {object} room - room object
+   * @param {object} payload
+   * @returns {object}
+   */
+  static gameOver(room, payload) {
+    return { ...this.inGame(payload), seed: room.seed ?? null };
+  }
+
+  /**
+   * ผลเทิร์น: มี seed เฉพาะเทิร์นที่จบเกม
+   * @param {object} room - room object
+   * @param {object} payload - ต้องมี gameOver
+   * @returns {object}
+   */
+  static turnResult(room, payload) {
+    return payload.gameOver ? this.gameOver(room, payload) : this.inGame(payload);
+  }
+
+  /**
+   * มือเริ่มต้นของผู้เล่นตอนเริ่มเกม (initialHandDraw)
+   * @param {object} room - room object
+   * @param {object} player - ผู้รับ
+   * @returns {object}
+   */
+  static initialHandDraw(room, player) {
+    return this.inGame({ turn: room.turn, cards: player.hand, players: this.publicPlayers(room) });
+  }
+
+  /**
+   * gameStarted: ผู้เล่นได้มือของตัวเอง ผู้ชมได้มุมมองสาธารณะ
+   * @param {object} room - room object
+   * @param {object|null} viewer - ผู้เล่นที่รับข้อมูล (null = ผู้ชม)
+   * @param {object} extra - ข้อมูลเพิ่มตอนกลับเข้าเกม เช่น { restored: true } / { reconnected: true, event, ... }
+   * @returns {object}
+   */
+  static gameStarted(room, viewer, extra = {}) {
+    const own = viewer ? { hand: viewer.hand } : { spectating: true };
+    return this.inGame({ turn: room.turn, players: this.publicPlayers(room), ...own, ...extra });
+  }
+
+  /**
+   * สถานะห้องสำหรับผู้ชมที่เพิ่งเข้ามา (spectateJoined)
+   * @param {object} room - room object
+   * @returns {object}
+   */
+  static spectateJoined(room) {
+    return this.inGame({
+      code: room.code,
+      started: room.started,
+      turn: room.turn,
+      phase: room.phase,
+      event: room.started ? room.event : null,
+      competition: room.started ? room.competition : null,
+      players: this.publicPlayers(room),
+      spectatorCount: room.spectators.length
+    });
+  }
+
+  /**
+   * ส่ง event ให้ผู้เล่นแต่ละคนด้วยข้อมูลตามมุมมองของตัวเอง และผู้ชมได้มุมมองสาธารณะ
+   * @param {object} io - socket.io server
+   * @param {object} room - room object
+   * @param {string} event - ชื่อ event
+   * @param {Function} build - (viewer | null) → payload
+   */
+  static emitPerViewer(io, room, event, build) {
+    room.players.forEach(p => {
+      if (p.isBot || !p.id) return;
+      io.to(p.id).emit(event, build(p));
+    });
+    io.to(RoomManager.spectatorChannel(room.code)).emit(event, build(null));
+  }
+}
+
+module.exports = StateProjector;
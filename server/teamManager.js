@@ -0,0 +1,160 @@
+// server/teamManager.js - โหมดทีม (2v2 / 2v2v1): ทีมของผู้เล่น, คะแนนทีม, ใครเป็นพวกเดียวกัน, ทีมที่รอด
+const TEAM_MODES = ['ffa', 'team'];
+const TEAM_SCORING = ['sum', 'best'];
+const TEAM_IDS = ['A', 'B', 'C'];
+const DEFAULT_TEAM_SETTINGS = { mode: 'ffa', scoring: 'sum' };
+
+const getPlayerKey = (player) => player?.playerId || player?.id;
+
+/**
+ * การตั้งค่าทีมของห้อง (room.teamSettings):
+ * {
+ *   mode: 'ffa' | 'team',     // ffa = ทุกคนแข่งกันเอง (เดิม)
+ *   scoring: 'sum' | 'best'   // คะแนนทีมต่อเทิร์น: รวมคะแนนสมาชิก / ใช้คะแนนสูงสุดของทีม
+ * }
+ * ทีมของแต่ละคนเก็บใน player.team ('A' | 'B' | 'C') - โฮสต์จัดใน lobby
+ */
+class TeamManager {
+  static defaults() {
+    return { ...DEFAULT_TEAM_SETTINGS };
+  }
+
+  /**
+   * การตั้งค่าทีมของห้อง (หรือ state จาก RulesEngine.snapshot)
+   * @param {object} room - room object / state
+   * @returns {object} { mode, scoring }
+   */
+  static of(room) {
+    return { ...DEFAULT_TEAM_SETTINGS, ...(room?.teamSettings || {}) };
+  }
+
+  static isTeamMode(room) {
+    return this.of(room).mode === 'team';
+  }
+
+  /**
+   * ตรวจค่าที่โฮสต์ส่งมา (ส่งมาเฉพาะบางช่องได้)
+   * @param {object} input - { mode, scoring }
+   * @returns {object} { teamSettings } (เฉพาะช่องที่ส่งมา) หรือ { error }
+   */
+  static validate(input = {}) {
+    const teamSettings = {};
+    if (input.mode !== undefined) {
+      if (!TEAM_MODES.includes(input.mode)) return { error: 'โหมดทีมไม่ถูกต้อง' };
+      teamSettings.mode = input.mode;
+    }
+    if (input.scoring !== undefined) {
+      if (!TEAM_SCORING.includes(input.scoring)) return { error: 'วิธีคิดคะแนนทีมไม่ถูกต้อง' };
+      teamSettings.scoring = input.scoring;
+    }
+    return { teamSettings };
+  }
+
+  /**
+   * ฝั่งของผู้เล่น: โหมดทีม = ทีม, โหมดปกติ = ตัวเอง
+   * @param {object} room - room object / state
+   * @param {object} player
+   * @returns {string}
+   */
+  static sideOf(room, player) {
+    return this.isTeamMode(room) && player.team ? player.team : getPlayerKey(player);
+  }
+
+  /**
+   * อยู่ทีมเดียวกันหรือไม่ (โหมดปกติไม่มีใครเป็นพวกเดียวกัน)
+   */
+  static areAllies(room, a, b) {
+    if (!this.isTeamMode(room) || !a || !b) return false;
+    return !!a.team && a.team === b.team && getPlayerKey(a) !== getPlayerKey(b);
+  }
+
+  /**
+   * ทีมที่ควรใส่ผู้เล่นใหม่ (ทีมที่คนน้อยที่สุดใน 2 ทีมแรก - ทีม C ให้โฮสต์จัดเองสำหรับ 2v2v1)
+   * @param {object} room - room object
+   * @returns {string}
+   */
+  static nextTeam(room) {
+    const counts = TEAM_IDS.slice(0, 2).map(team => ({
+      team,
+      count: room.players.filter(p => p.team === team).length
+    }));
+    return counts.sort((a, b) => a.count - b.count)[0].team;
+  }
+
+  /**
+   * จัดทีมให้ผู้เล่นที่ยังไม่มีทีม (ตอนเปิดโหมดทีม)
+   * @param {object} room - room object
+   */
+  static assignMissing(room) {
+    room.players.forEach(p => {
+      if (!TEAM_IDS.includes(p.team)) p.team = this.nextTeam(room);
+    });
+  }
+
+  /**
+   * ตรวจก่อนเริ่มเกมโหมดทีม: ทุกคนต้องมีทีม และต้องมีอย่างน้อย 2 ทีม
+   * @param {object} room - room object
+   * @returns {string|null} ข้อความ error
+   */
+  static validateTeams(room) {
+    if (!this.isTeamMode(room)) return null;
+    const missing = room.players.find(p => !TEAM_IDS.includes(p.team));
+    if (missing) return `${missing.name} ยังไม่มีทีม`;
+    if (new Set(room.players.map(p => p.team)).size < 2) return 'โหมดทีมต้องมีอย่างน้อย 2 ทีม';
+    return null;
+  }
+
+  /**
+   * คะแนนทีมในเทิร์นนี้ (เฉพาะทีมที่มีคนลงการ์ด)
+   * @param {object} state - state จาก RulesEngine
+   * @param {Array} playersWithCards - ผู้เล่นที่ลงการ์ด
+   * @param {object} scores - { [playerKey]: score }
+   * @returns {object} { [team]: score }
+   */
+  static teamScores(state, playersWithCards, scores) {
+    const { scoring } = this.of(state);
+    const teamScores = {};
+    playersWithCards.forEach(p => {
+      const score = scores[getPlayerKey(p)] || 0;
+      const team = this.sideOf(state, p);
+      if (teamScores[team] === undefined) {
+        teamScores[team] = score;
+      } else {
+        teamScores[team] = scoring === 'best' ? Math.max(teamScores[team], score) : teamScores[team] + score;
+      }
+    });
+    return teamScores;
+  }
+
+  /**
+   * ฝั่งที่ยังรอด (ไม่ซ้ำ)
+   * @param {object} room - room object / state
+   * @param {Array} alivePlayers
+   * @returns {Array<string>}
+   */
+  static aliveSides(room, alivePlayers) {
+    return [...new Set(alivePlayers.map(p => this.sideOf(room, p)))];
+  }
+
+  /**
+   * ชื่อที่ใช้ประกาศผู้ชนะของฝั่งนี้ (โหมดทีม = ชื่อสมาชิกทั้งทีม รวมคนที่แพ้ไปก่อน)
+   * @param {object} room - room object / state
+   * @param {Array} alivePlayers - ผู้เล่นที่ยังรอด (ฝั่งเดียวกันทั้งหมด)
+   * @returns {object} { finalWinner, winningTeam }
+   */
+  static winnerOf(room, alivePlayers) {
+    if (alivePlayers.length === 0) return { finalWinner: null, winningTeam: null };
+    if (!this.isTeamMode(room)) {
+      return { finalWinner: alivePlayers[0]?.name || null, winningTeam: null };
+    }
+    const team = alivePlayers[0]?.team || null;
+    const members = room.players.filter(p => p.team === team).map(p => p.name);
+    return { finalWinner: members.join(' & '), winningTeam: team };
+  }
+}
+
+TeamManager.TEAM_MODES = TEAM_MODES;
+TeamManager.TEAM_SCORING = TEAM_SCORING;
+TeamManager.TEAM_IDS = TEAM_IDS;
+
+module.exports = TeamManager;
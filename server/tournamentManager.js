@@ -0,0 +1,501 @@
+// server/tournamentManager.js - ทัวร์นาเมนต์หลายห้อง: ลงทะเบียน, จัดสายห้องละ 4-5 คน, เลื่อนรอบอัตโนมัติจากผลแต่ละห้อง
+const { v4: uuidv4 } = require('uuid');
+const RoomSettings = require('./roomSettings');
+
+const GROUP_SIZES = [4, 5];
+const DEFAULT_GROUP_SIZE = 5;
+const DEFAULT_ADVANCE = 2;
+const MAX_ADVANCE = 3;
+const MIN_ENTRANTS = 2;
+const MAX_ENTRANTS = 64;
+const MAX_TOURNAMENTS = 20;
+
+// เวลารอผู้เล่นเข้าห้อง (ms) ปรับได้ด้วย TOURNAMENT_CHECKIN_MS - ครบเวลาแล้วคนที่ไม่มาถือว่าสละสิทธิ์ ที่เหลือเริ่มเลย
+const DEFAULT_CHECKIN_MS = 180000;
+const MIN_CHECKIN_MS = 1000;
+
+const createId = () => uuidv4().slice(0, 6).toUpperCase();
+
+/**
+ * ทัวร์นาเมนต์ (เก็บในหน่วยความจำ):
+ * {
+ *   id, name, status: 'registration' | 'running' | 'finished',
+ *   groupSize: 4 | 5,           // คนต่อห้องสูงสุด
+ *   advance: 2,                 // จำนวนคนที่ผ่านเข้ารอบต่อห้อง (ห้องเล็กผ่านได้ไม่เกิน จำนวนคน - 1)
+ *   preset: 'classic',          // กติกาห้องจาก roomPresets.json
+ *   entrants: [{ entrantId, key, name, accountId, rating }],   // key = ความลับของผู้สมัคร ใช้รับที่นั่ง
+ *   rounds: [{ number, groups: [{ index, entrantIds, roomCode, seats: { [entrantId]: playerId },
+ *             status: 'waiting' | 'playing' | 'finished', checkInDeadline, standings, advanced }] }],
+ *   championId
+ * }
+ * ห้องของแต่ละสายสร้างผ่าน RoomManager.createRoom และมี room.tournament = { id, round, group }
+ */
+class TournamentManager {
+  /**
+   * @param {RoomManager} roomManager
+   * @param {object} hooks - { onUpdate(tournament), onRoomChanged(code), startRoom(code), ratingOf(accountId) }
+   * @param {object} options - { checkInMs }
+   */
+  constructor(roomManager, hooks = {}, options = {}) {
+    this.roomManager = roomManager;
+    this.hooks = hooks;
+    const checkInMs = Number(options.checkInMs ?? process.env.TOURNAMENT_CHECKIN_MS);
+    this.checkInMs = Number.isFinite(checkInMs) && checkInMs > 0 ? Math.max(MIN_CHECKIN_MS, checkInMs) : DEFAULT_CHECKIN_MS;
+    this.tournaments = new Map();
+    this.timers = new Map();
+  }
+
+  /**
+   * สร้างทัวร์นาเมนต์ (เปิดรับสมัคร)
+   * @param {object} input - { name, groupSize, advance, preset }
+   * @returns {object} { tournament, organizerKey } หรือ { error }
+   */
+  create(input = {}) {
+    const name = String(input.name || '').trim();
+    if (!name || name.length > 30) return { error: 'ชื่อทัวร์นาเมนต์ต้องมี 1-30 ตัวอักษร' };
+
+    const groupSize = input.groupSize === undefined ? DEFAULT_GROUP_SIZE : Number(input.groupSize);
+    if (!GROUP_SIZES.includes(groupSize)) return { error: `จำนวนคนต่อห้องต้องเป็น ${GROUP_SIZES.join(' หรือ ')}` };
+
+    const advance = input.advance === undefined ? DEFAULT_ADVANCE : Number(input.advance);
+    if (!Number.isInteger(advance) || advance < 1 || advance > Math.min(MAX_ADVANCE, groupSize - 1)) {
+      return { error: `จำนวนคนที่ผ่านเข้ารอบต้องเป็น 1-${Math.min(MAX_ADVANCE, groupSize - 1)}` };
+    }
+
+    const preset = input.preset || 'classic';
+    if (!RoomSettings.applyPreset(preset)) return { error: 'ไม่พบ preset นี้' };
+
+    if (this.tournaments.size >= MAX_TOURNAMENTS && !this.pruneFinished()) {
+      return { error: 'มีทัวร์นาเมนต์เปิดอยู่เต็มแล้ว' };
+    }
+
+    let id = createId();
+    while (this.tournaments.has(id)) id = createId();
+    const organizerKey = uuidv4();
+    const tournament = {
+      id,
+      name,
+      status: 'registration',
+      groupSize,
+      advance,
+      preset,
+      organizerKey,
+      entrants: [],
+      rounds: [],
+      championId: null,
+      createdAt: new Date().toISOString()
+    };
+    this.tournaments.set(id, tournament);
+    console.log(`[Tournament] ${id} "${name}" created (groups of ${groupSize}, top ${advance} advance)`);
+    return { tournament, organizerKey };
+  }
+
+  // ช่อง socket.io ของหน้าสายทัวร์นาเมนต์
+  static channel(id) {
+    return `tournament:${id}`;
+  }
+
+  get(id) {
+    return this.tournaments.get(String(id || '').trim().toUpperCase()) || null;
+  }
+
+  // ลบทัวร์นาเมนต์ที่จบแล้วที่เก่าที่สุด (เพื่อเปิดที่ให้ทัวร์นาเมนต์ใหม่)
+  pruneFinished() {
+    const finished = [...this.tournaments.values()].find(t => t.status === 'finished');
+    if (!finished) return false;
+    this.tournaments.delete(finished.id);
+    return true;
+  }
+
+  /**
+   * สมัครเข้าแข่ง (เฉพาะช่วงเปิดรับสมัคร)
+   * @param {string} id - id ทัวร์นาเมนต์
+   * @param {string} name - ชื่อในเกม (ไม่เกิน 10 ตัวอักษร ห้ามซ้ำในทัวร์นาเมนต์)
+   * @param {string} accountId - โปรไฟล์ถาวร (ไม่บังคับ ใช้จัดสายตามเรตติ้ง)
+   * @returns {object} { tournament, entrant } หรือ { error }
+   */
+  register(id, name, accountId = null) {
+    const tournament = this.get(id);
+    if (!tournament) return { error: 'ไม่พบทัวร์นาเมนต์นี้' };
+    if (tournament.status !== 'registration') return { error: 'ปิดรับสมัครแล้ว' };
+
+    const trimmed = String(name || '').trim();
+    if (!trimmed) return { error: '⚠️ กรุณาใส่ชื่อด้วย!' };
+    if (trimmed.length > 10) return { error: '⚠️ ชื่อต้องไม่เกิน 10 ตัวอักษร!' };
+    if (tournament.entrants.some(e => e.name === trimmed)) return { error: 'มีคนใช้ชื่อนี้ในทัวร์นาเมนต์แล้ว' };
+    if (tournament.entrants.length >= MAX_ENTRANTS) return { error: `ผู้สมัครครบ ${MAX_ENTRANTS} คนแล้ว` };
+
+    const entrant = {
+      entrantId: uuidv4().slice(0, 8),
+      key: uuidv4(),
+      name: trimmed,
+      accountId,
+      rating: null,
+      socketId: null
+    };
+    tournament.entrants.push(entrant);
+    console.log(`[Tournament] ${entrant.name} registered for ${tournament.id} (${tournament.entrants.length} entrants)`);
+    this.notify(tournament);
+    return { tournament, entrant };
+  }
+
+  /**
+   * หาผู้สมัครจาก key (ความลับที่ได้ตอนสมัคร)
+   * @returns {object|null}
+   */
+  findEntrant(tournament, entrantId, key) {
+    const entrant = tournament.entrants.find(e => e.entrantId === entrantId);
+    return entrant && key && entrant.key === key ? entrant : null;
+  }
+
+  /**
+   * ปิดรับสมัครและเริ่มรอบแรก (ผู้จัดเท่านั้น)
+   * @param {string} id - id ทัวร์นาเมนต์
+   * @param {string} organizerKey - ได้ตอนสร้างทัวร์นาเมนต์
+   * @returns {object} { tournament } หรือ { error }
+   */
+  start(id, organizerKey) {
+    const tournament = this.get(id);
+    if (!tournament) return { error: 'ไม่พบทัวร์นาเมนต์นี้' };
+    if (!organizerKey || tournament.organizerKey !== organizerKey) return { error: 'เฉพาะผู้จัดเท่านั้นที่เริ่มทัวร์นาเมนต์ได้' };
+    if (tournament.status !== 'registration') return { error: 'ทัวร์นาเมนต์เริ่มไปแล้ว' };
+    if (tournament.entrants.length < MIN_ENTRANTS) return { error: `ต้องมีผู้สมัครอย่างน้อย ${MIN_ENTRANTS} คน` };
+
+    // ✅ จัดลำดับมือวาง: เรตติ้งสูงก่อน (ไม่มีโปรไฟล์อยู่ท้าย) เท่ากันใช้ลำดับการสมัคร
+    tournament.entrants.forEach(e => {
+      const rating = e.accountId && typeof this.hooks.ratingOf === 'function' ? this.hooks.ratingOf(e.accountId) : null;
+      e.rating = Number.isFinite(rating) ? Math.round(rating) : null;
+    });
+    const seeded = tournament.entrants
+      .map((e, order) => ({ e, order }))
+      .sort((a, b) => (b.e.rating ?? -Infinity) - (a.e.rating ?? -Infinity) || a.order - b.order)
+      .map(({ e }) => e.entrantId);
+
+    tournament.status = 'running';
+    console.log(`[Tournament] ${tournament.id} started with ${seeded.length} entrants`);
+    this.startRound(tournament, seeded);
+    return { tournament };
+  }
+
+  /**
+   * แบ่งผู้เล่นเป็นสาย (จำนวนคนต่อสายต่างกันไม่เกิน 1) แบบงู: มือวาง 1 กับ 2 ไม่อยู่สายเดียวกัน
+   * @param {Array<string>} entrantIds - เรียงตามมือวาง
+   * @param {number} groupSize - คนต่อสายสูงสุด
+   * @returns {Array<Array<string>>}
+   */
+  static seedGroups(entrantIds, groupSize) {
+    const groupCount = Math.ceil(entrantIds.length / groupSize);
+    const groups = Array.from({ length: groupCount }, () => []);
+    entrantIds.forEach((id, i) => {
+      const lap = Math.floor(i / groupCount);
+      const pos = i % groupCount;
+      groups[lap % 2 === 0 ? pos : groupCount - 1 - pos].push(id);
+    });
+    return groups;
+  }
+
+  startRound(tournament, entrantIds) {
+    const round = {
+      number: tournament.rounds.length + 1,
+      groups: TournamentManager.seedGroups(entrantIds, tournament.groupSize).map((ids, index) => ({
+        index,
+        entrantIds: ids,
+        roomCode: null,
+        seats: {},
+        status: 'waiting',
+        checkInDeadline: null,
+        standings: [],
+        advanced: []
+      }))
+    };
+    tournament.rounds.push(round);
+    console.log(`[Tournament] ${tournament.id} round ${round.number}: ${round.groups.map(g => g.entrantIds.length).join('/')} players per room`);
+
+    // สายละอย่างน้อย 2 คนเสมอ (รอบที่เหลือคนเดียวจบทัวร์นาเมนต์ไปก่อนแล้ว)
+    round.groups.forEach(group => this.openGroupRoom(tournament, round, group));
+    this.notify(tournament);
+  }
+
+  /**
+   * สร้างห้องของสาย: จองที่นั่งให้ผู้เล่นทุกคนไว้ก่อน ผู้เล่นรับที่นั่งด้วย rejoinRoom + playerId ที่ได้จากหน้าทัวร์นาเมนต์
+   */
+  openGroupRoom(tournament, round, group) {
+    const [first, ...rest] = group.entrantIds.map(id => tournament.entrants.find(e => e.entrantId === id));
+    const { code, playerId } = this.roomManager.createRoom(first.name, first.accountId);
+    const room = this.roomManager.getRoom(code);
+    room.settings = RoomSettings.applyPreset(tournament.preset, { maxPlayers: group.entrantIds.length });
+
+    group.seats[first.entrantId] = playerId;
+    rest.forEach(entrant => {
+      const { player } = this.roomManager.joinRoom(code, entrant.name, null, entrant.accountId);
+      group.seats[entrant.entrantId] = player.playerId;
+    });
+
+    room.tournament = { id: tournament.id, round: round.number, group: group.index };
+    group.roomCode = code;
+    group.checkInDeadline = Date.now() + this.checkInMs;
+
+    const timerKey = this.timerKey(tournament, round, group);
+    this.timers.set(timerKey, setTimeout(() => {
+      this.timers.delete(timerKey);
+      this.expireCheckIn(tournament, round, group);
+    }, this.checkInMs));
+  }
+
+  timerKey(tournament, round, group) {
+    return `${tournament.id}:${round.number}:${group.index}`;
+  }
+
+  /**
+   * ครบเวลาเข้าห้อง: ที่นั่งที่ไม่มีใครมารับถือว่าสละสิทธิ์ คนที่อยู่ในห้องเริ่มแข่งเลย
+   */
+  expireCheckIn(tournament, round, group) {
+    const room = this.roomManager.getRoom(group.roomCode);
+    if (group.status !== 'waiting') return;
+    if (!room || room.started) return;
+
+    // ยังไม่เคยเข้าห้องเลย (คนที่เข้าแล้วหลุด ระบบ reconnect จัดการเอง)
+    room.players
+      .filter(p => !p.id && !p.isDisconnected)
+      .forEach(p => {
+        console.log(`[Tournament] ${p.name} did not check in to room ${room.code}, forfeited`);
+        this.roomManager.removePlayer(room.code, p.playerId);
+      });
+    // ไม่มีใครเข้าห้องเลย: ห้องถูกปิดไปแล้ว และสายถูกปิดผ่าน handleRoomClosed
+    if (group.status === 'finished') return;
+
+    const remaining = this.roomManager.getRoom(group.roomCode);
+    if (!remaining || remaining.players.length < 2) {
+      this.finishGroup(tournament, round, group, []);
+      return;
+    }
+
+    remaining.players.forEach(p => {
+      p.ready = true;
+    });
+    this.callHook('onRoomChanged', remaining.code);
+    this.callHook('startRoom', remaining.code);
+  }
+
+  /**
+   * ข้อมูลทัวร์นาเมนต์ของห้อง (null = ห้องปกติ)
+   * @param {object} room - room object
+   * @returns {object|null} { tournament, round, group }
+   */
+  groupOf(room) {
+    if (!room || !room.tournament) return null;
+    const tournament = this.tournaments.get(room.tournament.id);
+    const round = tournament && tournament.rounds.find(r => r.number === room.tournament.round);
+    const group = round && round.groups.find(g => g.index === room.tournament.group);
+    return group && group.roomCode === room.code ? { tournament, round, group } : null;
+  }
+
+  /**
+   * ห้องทัวร์นาเมนต์แข่งได้ครั้งเดียว (ห้องปกติเริ่มได้เสมอ)
+   * @param {object} room - room object
+   * @returns {string|null} ข้อความ error
+   */
+  canStart(room) {
+    if (!room || !room.tournament) return null;
+    const entry = this.groupOf(room);
+    if (!entry || entry.group.status !== 'waiting') return 'ห้องทัวร์นาเมนต์นี้แข่งจบแล้ว';
+    return null;
+  }
+
+  markStarted(room) {
+    const entry = this.groupOf(room);
+    if (!entry) return;
+    entry.group.status = 'playing';
+    this.clearTimer(entry.tournament, entry.round, entry.group);
+    this.notify(entry.tournament);
+  }
+
+  /**
+   * ผลการแข่งของห้อง (เรียกจาก finishMatch)
+   * @param {object} room - room object
+   * @param {Array} standings - [{ playerKey, placement, totalScore }]
+   */
+  recordResult(room, standings) {
+    const entry = this.groupOf(room);
+    if (!entry || entry.group.status === 'finished') return;
+    this.finishGroup(entry.tournament, entry.round, entry.group, standings);
+  }
+
+  /**
+   * ห้องถูกปิดก่อนแข่งจบ (ไม่เหลือผู้เล่น) → สายนี้ไม่มีใครผ่าน
+   * @param {string} code - โค้ดห้อง
+   */
+  handleRoomClosed(code) {
+    for (const tournament of this.tournaments.values()) {
+      const round = tournament.rounds[tournament.rounds.length - 1];
+      const group = round && round.groups.find(g => g.roomCode === code && g.status !== 'finished');
+      if (group) {
+        console.log(`[Tournament] Room ${code} closed before finishing, no one advances from it`);
+        this.finishGroup(tournament, round, group, []);
+        return;
+      }
+    }
+  }
+
+  /**
+   * ปิดสาย: เรียงอันดับ (ตกรอบทีหลังอยู่สูงกว่า, เสมอกันดูคะแนนรวม, คนที่สละสิทธิ์อยู่ท้าย) แล้วเลือกคนที่ผ่าน
+   */
+  finishGroup(tournament, round, group, standings) {
+    this.clearTimer(tournament, round, group);
+    group.status = 'finished';
+
+    const byPlayerId = {};
+    standings.forEach(s => {
+      byPlayerId[s.playerKey] = s;
+    });
+    const ranked = group.entrantIds.map(entrantId => {
+      const result = byPlayerId[group.seats[entrantId]];
+      return {
+        entrantId,
+        placement: result ? result.placement : null,
+        totalScore: result ? result.totalScore || 0 : 0,
+        forfeited: !result
+      };
+    });
+    ranked.sort((a, b) => (a.placement ?? Infinity) - (b.placement ?? Infinity) || b.totalScore - a.totalScore);
+    group.standings = ranked.map((r, i) => ({ ...r, rank: i + 1 }));
+
+    const advanceCount = Math.min(tournament.advance, group.entrantIds.length - 1);
+    group.advanced = group.standings
+      .filter(s => !s.forfeited)
+      .slice(0, advanceCount)
+      .map(s => s.entrantId);
+    console.log(`[Tournament] ${tournament.id} round ${round.number} room ${group.index + 1} finished, advanced: ${group.advanced.length}`);
+
+    this.notify(tournament);
+    this.checkRoundComplete(tournament, round);
+  }
+
+  /**
+   * ทุกสายในรอบจบแล้ว → รอบถัดไป หรือประกาศแชมป์ (รอบที่มีห้องเดียว = รอบชิง)
+   */
+  checkRoundComplete(tournament, round) {
+    if (tournament.status !== 'running') return;
+    if (tournament.rounds[tournament.rounds.length - 1] !== round) return;
+    if (!round.groups.every(g => g.status === 'finished')) return;
+
+    // ผู้ผ่านเข้ารอบเรียงตามอันดับในสายก่อน แล้วตามลำดับสาย (ใช้เป็นมือวางรอบถัดไป)
+    const advanced = [];
+    const maxRank = Math.max(0, ...round.groups.map(g => g.advanced.length));
+    for (let rank = 0; rank < maxRank; rank++) {
+      round.groups.forEach(g => {
+        if (g.advanced[rank]) advanced.push(g.advanced[rank]);
+      });
+    }
+
+    if (round.groups.length === 1 || advanced.length <= 1) {
+      const finalGroup = round.groups.length === 1 ? round.groups[0] : null;
+      tournament.championId = finalGroup
+        ? finalGroup.standings.find(s => !s.forfeited)?.entrantId || null
+        : advanced[0] || null;
+      tournament.status = 'finished';
+      const champion = tournament.entrants.find(e => e.entrantId === tournament.championId);
+      console.log(`[Tournament] 🏆 ${tournament.id} finished, champion: ${champion ? champion.name : 'none'}`);
+      this.notify(tournament);
+      return;
+    }
+
+    this.startRound(tournament, advanced);
+  }
+
+  clearTimer(tournament, round, group) {
+    const key = this.timerKey(tournament, round, group);
+    const timerId = this.timers.get(key);
+    if (timerId) {
+      clearTimeout(timerId);
+      this.timers.delete(key);
+    }
+  }
+
+  notify(tournament) {
+    this.callHook('onUpdate', tournament);
+  }
+
+  callHook(name, ...args) {
+    if (typeof this.hooks[name] === 'function') {
+      this.hooks[name](...args);
+    }
+  }
+
+  /**
+   * ที่นั่งปัจจุบันของผู้สมัคร (ห้องที่รอเข้า/กำลังแข่ง)
+   * @param {object} tournament
+   * @param {string} entrantId
+   * @returns {object|null} { code, playerId, round, status }
+   */
+  seatOf(tournament, entrantId) {
+    const round = tournament.rounds[tournament.rounds.length - 1];
+    const group = round && round.groups.find(g => g.entrantIds.includes(entrantId));
+    if (!group || !group.roomCode || group.status === 'finished') return null;
+    return { code: group.roomCode, playerId: group.seats[entrantId], round: round.number, status: group.status };
+  }
+
+  /**
+   * ข้อมูลสาธารณะสำหรับหน้าสาย (ไม่มี key / playerId)
+   * @param {object} tournament
+   * @returns {object}
+   */
+  describe(tournament) {
+    const nameOf = (entrantId) => tournament.entrants.find(e => e.entrantId === entrantId)?.name || '?';
+    return {
+      id: tournament.id,
+      name: tournament.name,
+      status: tournament.status,
+      groupSize: tournament.groupSize,
+      advance: tournament.advance,
+      preset: tournament.preset,
+      createdAt: tournament.createdAt,
+      entrants: tournament.entrants.map(e => ({ entrantId: e.entrantId, name: e.name, rating: e.rating })),
+      rounds: tournament.rounds.map(round => ({
+        number: round.number,
+        groups: round.groups.map(group => ({
+          index: group.index,
+          roomCode: group.roomCode,
+          status: group.status,
+          checkInDeadline: group.status === 'waiting' ? group.checkInDeadline : null,
+          players: (group.standings.length > 0 ? group.standings.map(s => s.entrantId) : group.entrantIds).map(entrantId => {
+            const standing = group.standings.find(s => s.entrantId === entrantId);
+            return {
+              entrantId,
+              name: nameOf(entrantId),
+              rank: standing ? standing.rank : null,
+              placement: standing ? standing.placement : null,
+              totalScore: standing ? standing.totalScore : null,
+              forfeited: !!standing?.forfeited,
+              advanced: group.advanced.includes(entrantId)
+            };
+          })
+        }))
+      })),
+      champion: tournament.championId ? nameOf(tournament.championId) : null
+    };
+  }
+
+  /**
+   * รายการทัวร์นาเมนต์ล่าสุด (ใหม่ก่อน)
+   * @returns {Array}
+   */
+  list() {
+    return [...this.tournaments.values()]
+      .reverse()
+      .map(t => ({
+        id: t.id,
+        name: t.name,
+        status: t.status,
+        entrantCount: t.entrants.length,
+        round: t.rounds.length,
+        champion: t.championId ? t.entrants.find(e => e.entrantId === t.championId)?.name || null : null,
+        createdAt: t.createdAt
+      }));
+  }
+}
+
+TournamentManager.GROUP_SIZES = GROUP_SIZES;
+TournamentManager.MAX_ADVANCE = MAX_ADVANCE;
+
+module.exports = TournamentManager;
@@ -1,6 +1,7 @@
 // server/utils.js
 const fs = require('fs');
 const path = require('path');
+const EventEngine = require('./eventEngine');
 
 let CARDS = [];
 let EVENTS = [];
@@ -12,164 +13,131 @@ try {
   console.error('โหลด cards.json หรือ events.json ไม่ได้!', err);
 }
 
-const shuffle = (arr) => [...arr].sort(() => Math.random() - 0.5);
+EVENTS.forEach(event => {
+  EventEngine.validate(event).forEach(err => console.error(`[EventEngine] Invalid event rules: ${err}`));
+});
 
-// ==================== EVENT EFFECTS ====================
-// Convert event object to event effects for score calculation
-const getEventModifiers = (event, card) => {
-  if (!event || event.effect === 'none') return {};
-  
-  const modifiers = {};
-  
-  // Stat penalties - ลบค่าพลังทุกอย่างลงอย่างละ 2 หน่วย
-  if (event.effect === 'stat_minus_2') {
-    return { statMinus: 2 };
-  }
-  
-  // Type-based buffs - Type love/hope/happy เพิ่มคะแนนตามที่กำหนดใน event
-  if (event.effect === 'type_buff') {
-    if (card.type === event.type) {
-      modifiers.typeBonus = event.scoreBonus || 5;
-    }
-  }
-  
-  // Rarity buffs - Limit/Fes เพิ่มคะแนนตามที่กำหนดใน event
-  if (event.effect === 'rarity_buff') {
-    if (event.rarity && event.rarity.includes(card.rarity)) {
-      modifiers.rarityBonus = event.scoreBonus || 10;
-    }
-  }
-  
-  // Group buffs - สมาชิก VS/LN/MMJ/VBS/WxS/Niigo เพิ่มคะแนนตามที่กำหนดใน event
-  if (event.effect === 'group_buff') {
-    if (card.group === event.group) {
-      modifiers.groupBonus = event.scoreBonus || 5;
-    }
+// ==================== SEEDED RNG ====================
+// แปลง seed (ตัวเลขหรือข้อความ) เป็น uint32 ด้วย FNV-1a
+const hashSeed = (input) => {
+  const str = String(input);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
   }
+  return hash >>> 0;
+};
 
-  // SapphireR: Kohane เพิ่มคะแนนตามที่กำหนดใน event
-  if (event.effect === 'sapphire_r') {
-    if ((card.characterBase || card.character) === 'Kohane') {
-      modifiers.characterBonus = event.scoreBonus || 30;
-    }
-  }
-  
-  // max_stat_zero - ค่าพลังที่เยอะที่สุดของการ์ดนั้น จะถูกลบไป (ค่า 0)
-  if (event.effect === 'max_stat_zero') {
-    modifiers.maxStatZero = true;
-  }
-  
-  // draw_3 - ผู้เล่นสุ่มกาชาคนละ 3 ใบ (handled in resolveTurn)
-  if (event.effect === 'draw_3') {
-    modifiers.drawCards = 3;
-  }
-  
-  // heal_1 - ผู้เล่นฟื้นฟูพลังใจ 1 หน่วย (handled in resolveTurn)
-  if (event.effect === 'heal_1') {
-    modifiers.healWillpower = 1;
-  }
-  
-  // special_battle - ไม่สุ่มการแข่งขัน แข่งรูปแบบพิเศษ ค่าพลังที่+กัน ไม่มีตัวคูณ
-  if (event.effect === 'special_battle') {
-    modifiers.specialBattle = true;
-  }
-  
-  // reveal_cards - หงายการ์ดในเทิร์นนั้น (handled in resolveTurn/emit)
-  if (event.effect === 'reveal_cards') {
-    modifiers.revealCards = true;
-  }
-  
-  // shrimp_curse - ค่าพลังใจของผู้เล่น -1 หากจบเทิร์น ได้คืน แต่ถ้าหากพลังใจตกรอบทันที
-  if (event.effect === 'shrimp_curse') {
-    modifiers.shrimpCurse = true;
+const normalizeSeed = (seed) => {
+  if (typeof seed === 'number' && Number.isFinite(seed)) return Math.floor(seed) >>> 0;
+  if (typeof seed === 'string' && /^\d+$/.test(seed.trim())) return Number(seed.trim()) >>> 0;
+  return hashSeed(seed);
+};
+
+const generateSeed = () => Math.floor(Math.random() * 0x100000000) >>> 0;
+
+// seed ย่อยที่ไม่ขึ้นกับลำดับเวลา เช่น seed ของบอทแต่ละตัวในแต่ละเทิร์น
+const deriveSeed = (seed, ...parts) => hashSeed([normalizeSeed(seed), ...parts].join(':'));
+
+/**
+ * สร้างตัวสุ่มแบบกำหนด seed ได้ (mulberry32) - seed เดียวกันได้ลำดับเดียวกันเสมอ
+ * @param {number|string} seed
+ * @param {number} savedState - สถานะจาก rng.getState() (ใช้ต่อจากจุดเดิมหลังกู้ห้องจาก snapshot)
+ * @returns {Function} rng() → [0, 1) พร้อม rng.seed และ rng.getState()
+ */
+const createRng = (seed = generateSeed(), savedState = null) => {
+  let state = Number.isInteger(savedState) ? savedState >>> 0 : normalizeSeed(seed);
+  const rng = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  rng.seed = normalizeSeed(seed);
+  rng.getState = () => state;
+  return rng;
+};
+
+// Fisher–Yates (ไม่ลำเอียงแบบ sort(() => Math.random() - 0.5))
+const shuffle = (arr, rng = Math.random) => {
+  const result = [...arr];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
   }
-  
-  return modifiers;
+  return result;
 };
 
+// ==================== EVENT EFFECTS ====================
+// ใช้ rules ของอีเวนต์ (EventEngine) กับค่าพลังและคะแนน
 // คำนวณค่าพลังตามประเภทการแข่งขัน (รับ event object ด้วย)
-const calculateScore = (card, type, event) => {
+// options.silent = ไม่พิมพ์ log (ใช้ตอนจำลองเทิร์นจำนวนมาก เช่น บอทระดับยาก)
+const calculateScore = (card, type, event, options = {}) => {
   if (!card) return 0;
-  let v = card.vocal || 0;
-  let d = card.dance || 0;
-  let vi = card.visual || 0;
-  
-  // Apply event modifiers
-  const modifiers = getEventModifiers(event, card);
-  
-  // Apply stat penalties first
-  if (modifiers.statMinus) {
-    v = Math.max(1, v - modifiers.statMinus);
-    d = Math.max(1, d - modifiers.statMinus);
-    vi = Math.max(1, vi - modifiers.statMinus);
-  }
-  
-  // max_stat_zero - ค่าพลังที่เยอะที่สุด = 0
-  if (modifiers.maxStatZero) {
-    const maxStat = Math.max(v, d, vi);
-    if (v === maxStat) v = 0;
-    if (d === maxStat) d = 0;
-    if (vi === maxStat) vi = 0;
-  }
-  
+  const log = options.silent ? () => {} : console.log;
+
+  // Apply event stat transforms (stat_minus, zeroMax, swap, ...)
+  const { vocal: v, dance: d, visual: vi } = EventEngine.transformStats(event, card);
+
   let baseScore = 0;
-  
-  // special_battle - ไม่มีตัวคูณ แค่บวกค่า 3 ตัว
-  if (modifiers.specialBattle) {
+
+  // scoring "sum" - ไม่มีตัวคูณ แค่บวกค่า 3 ตัว (เช่น รายการปริศนา)
+  if (EventEngine.getScoring(event) === 'sum') {
     baseScore = v + d + vi;
-    console.log(`  ✨ [SCORE] special_battle: ${v} + ${d} + ${vi} = ${baseScore}`);
+    log(`  ✨ [SCORE] sum scoring: ${v} + ${d} + ${vi} = ${baseScore}`);
   } else {
     // Normal score calculation with multipliers
     if (type === 'vocal') {
       baseScore = Math.round((v * 2 + d * 1.5 + vi * 1) * 10) / 10; // Keep 1 decimal place
-      console.log(`  🎤 [SCORE] Vocal Battle: (${v}*2) + (${d}*1.5) + (${vi}*1) = ${baseScore}`);
+      log(`  🎤 [SCORE] Vocal Battle: (${v}*2) + (${d}*1.5) + (${vi}*1) = ${baseScore}`);
     } else if (type === 'dance') {
       baseScore = Math.round((d * 2 + vi * 1.5 + v * 1) * 10) / 10;
-      console.log(`  💃 [SCORE] Dance Battle: (${d}*2) + (${vi}*1.5) + (${v}*1) = ${baseScore}`);
+      log(`  💃 [SCORE] Dance Battle: (${d}*2) + (${vi}*1.5) + (${v}*1) = ${baseScore}`);
     } else if (type === 'visual') {
       baseScore = Math.round((vi * 2 + v * 1.5 + d * 1) * 10) / 10;
-      console.log(`  ✨ [SCORE] Visual Battle: (${vi}*2) + (${v}*1.5) + (${d}*1) = ${baseScore}`);
+      log(`  ✨ [SCORE] Visual Battle: (${vi}*2) + (${v}*1.5) + (${d}*1) = ${baseScore}`);
     }
   }
-  
+
   // ==================== Apply Score Bonuses (after calculation) ====================
-  let scoreBonus = 0;
-  
-  // Type buffs: +5 คะแนน
-  if (modifiers.typeBonus) {
-    scoreBonus += modifiers.typeBonus;
-  }
-  
-  // Rarity buffs: +10 คะแนน
-  if (modifiers.rarityBonus) {
-    scoreBonus += modifiers.rarityBonus;
-  }
-  
-  // Group buffs: +5 คะแนน
-  if (modifiers.groupBonus) {
-    scoreBonus += modifiers.groupBonus;
+  // group / type / rarity / character bonuses
+  const scoreBonus = EventEngine.scoreBonus(event, card);
+  if (scoreBonus !== 0) {
+    log(`  💰 [BONUS] event ${event.name}: +${scoreBonus}`);
   }
-  
-  // Character bonus (SapphireR for Kohane): +30 คะแนน
-  if (modifiers.characterBonus) {
-    scoreBonus += modifiers.characterBonus;
-  }
-  
-  if (scoreBonus > 0) {
-    console.log(`  💰 [BONUS] event modifiers: +${scoreBonus} (type:${modifiers.typeBonus || 0}, rarity:${modifiers.rarityBonus || 0}, group:${modifiers.groupBonus || 0}, character:${modifiers.characterBonus || 0})`);
-  }
-  
+
   return baseScore + scoreBonus;
 };
 
 // ==================== DECK MANAGEMENT ====================
 // สร้างกองการ์ดใหม่ (เก็บ ID ที่ใช้ไป เพื่อ recycle)
 class CardDeck {
-  constructor() {
-    this.availableCards = shuffle([...CARDS]); // ✅ สับการ์ดเมื่อสร้าง deck ใหม่
+  /**
+   * @param {Function} rng - ตัวสุ่มของห้อง (createRng) ให้สับกองซ้ำได้จาก seed
+   * @param {Array} cards - การ์ดในกอง (ค่าเริ่มต้น: การ์ดทั้งหมด / โหมดจัดเด็ค: เด็คของผู้เล่น)
+   */
+  constructor(rng = Math.random, cards = CARDS) {
+    this.rng = rng;
+    this.availableCards = shuffle([...cards], this.rng); // ✅ สับการ์ดเมื่อสร้าง deck ใหม่
     this.usedCards = [];
   }
 
+  /**
+   * สร้าง deck จากสถานะที่บันทึกไว้ (ไม่สับใหม่ ให้ลำดับการ์ดและ rng ต่อจากเดิม)
+   * @param {object} saved - { availableCards, usedCards }
+   * @param {Function} rng - ตัวสุ่มของห้อง
+   * @returns {CardDeck}
+   */
+  static restore(saved, rng = Math.random) {
+    const deck = Object.create(CardDeck.prototype);
+    deck.rng = rng;
+    deck.availableCards = [...(saved.availableCards || [])];
+    deck.usedCards = [...(saved.usedCards || [])];
+    return deck;
+  }
+
   /**
    * ดึงการ์ดจากกองที่ยังไม่ใช้ (1 ใบต่อ ID)
    * ถ้าการ์ดหมดแล้ว ให้ recycle การ์ดที่ใช้ไปแล้ว
@@ -188,12 +156,14 @@ class CardDeck {
   }
 
   /**
-   * ดึงการ์ด n ใบ
+   * ดึงการ์ด n ใบ (เด็คของผู้เล่นอาจหมดทั้งกองเมื่อการ์ดอยู่บนมือทั้งหมด → ได้น้อยกว่า n)
    */
   drawCards(n = 1) {
     const cards = [];
     for (let i = 0; i < n; i++) {
-      cards.push(this.drawCard());
+      const card = this.drawCard();
+      if (!card) break;
+      cards.push(card);
     }
     return cards;
   }
@@ -216,7 +186,7 @@ class CardDeck {
    * สับการ์ดในกอง
    */
   shuffle() {
-    this.availableCards = shuffle(this.availableCards);
+    this.availableCards = shuffle(this.availableCards, this.rng);
   }
 
   /**
@@ -231,6 +201,9 @@ class CardDeck {
   }
 }
 
+// การ์ดทั้งหมดในเกม (สำเนา - ใช้หาการ์ดที่ยังไม่เห็น)
+const getAllCards = () => [...CARDS];
+
 // สุ่มการ์ดจากกองปกติ (ใช้ CardDeck แทน)
 const drawCards = (n = 1) => {
   const deck = new CardDeck();
@@ -252,7 +225,7 @@ const drawReviveGacha = () => {
 };
 
 // สุ่มอีเวนต์แบบสุ่ม
-const getRandomEvent = () => EVENTS[Math.floor(Math.random() * EVENTS.length)];
+const getRandomEvent = (rng = Math.random) => EVENTS[Math.floor(rng() * EVENTS.length)];
 
 // สุ่มอีเวนต์ตามลำดับเทิร์น (ซ้ำทุก 19 เทิร์น)
 const getEventByTurn = (turn) => {
@@ -261,9 +234,9 @@ const getEventByTurn = (turn) => {
 };
 
 // สุ่มการแข่งขัน
-const getRandomCompetition = () => {
+const getRandomCompetition = (rng = Math.random) => {
   const types = ['vocal', 'dance', 'visual'];
-  return types[Math.floor(Math.random() * types.length)];
+  return types[Math.floor(rng() * types.length)];
 };
 
 // ใช้ได้ Action 1: สุ่มกาชาเนิร์ฟ 1 ใบ
@@ -279,7 +252,11 @@ module.exports = {
   getRandomEvent,
   getEventByTurn,
   getRandomCompetition,
-  getEventModifiers,
   calculateScore,
-  shuffle
+  getAllCards,
+  shuffle,
+  createRng,
+  deriveSeed,
+  generateSeed,
+  normalizeSeed
 };
@@ -0,0 +1,161 @@
+// test/rulesEngine.test.js - ตัดสินผลเทิร์นผ่าน RulesEngine.resolve(snapshot, decisions) (รันด้วย npm test)
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const RulesEngine = require('../server/rulesEngine');
+
+// การ์ดทดสอบ (ไม่มีสกิล) - Vocal Battle: strong = 20*2 + 10*1.5 + 10 = 65, weak = 45
+const strong = { id: 'T01', name: 'Strong', vocal: 20, dance: 10, visual: 10, skill: null };
+const weak = { id: 'T02', name: 'Weak', vocal: 10, dance: 10, visual: 10, skill: null };
+const spare = { id: 'T03', name: 'Spare', vocal: 5, dance: 5, visual: 5, skill: null };
+
+const makeRoom = (players, overrides = {}) => ({
+  code: 'TEST01',
+  turn: 1,
+  event: null,
+  competition: 'vocal',
+  settings: { startingHearts: 3 },
+  protectedPlayers: {},
+  skillBlockActive: {},
+  divineCardActive: {},
+  players: players.map(p => ({ hand: [{ ...spare }], heart: 3, actionCooldown: 0, totalScore: 0, ...p, playerId: `p-${p.name}` })),
+  ...overrides
+});
+
+const play = (card, action = '3') => ({ card: { ...card }, action });
+
+const resolve = (room, decisions, options = {}) => RulesEngine.resolve(RulesEngine.snapshot(room), decisions, { silent: true, ...options });
+
+const playerOf = (state, name) => state.players.find(p => p.name === name);
+
+describe('RulesEngine.resolve', () => {
+  describe('attack vs defend', () => {
+    it('higher score wins the turn and the lower side loses one heart', () => {
+      const room = makeRoom([{ name: 'A' }, { name: 'B' }]);
+      const { state, outcomes } = resolve(room, { 'p-A': play(strong), 'p-B': play(weak) });
+
+      assert.equal(outcomes.winner, 'A');
+      assert.equal(outcomes.winnerScore, 65);
+      assert.deepEqual(outcomes.scores, { 'p-A': 65, 'p-B': 45 });
+      assert.equal(playerOf(state, 'A').heart, 3);
+      assert.equal(playerOf(state, 'B').heart, 2);
+      assert.deepEqual(outcomes.heartChanges, [{ player: 'B', from: 3, to: 2, reason: 'lose' }]);
+      assert.equal(playerOf(state, 'A').totalScore, 65);
+    });
+
+    it('shielded loser keeps its heart', () => {
+      const room = makeRoom([{ name: 'A' }, { name: 'B' }], { protectedPlayers: { 'p-B': true } });
+      const { state, outcomes } = resolve(room, { 'p-A': play(strong), 'p-B': play(weak) });
+
+      assert.equal(playerOf(state, 'B').heart, 3);
+      assert.deepEqual(outcomes.heartChanges, [{ player: 'B', from: 3, to: 3, reason: 'shield' }]);
+    });
+
+    it('fleeing scores 0, keeps the card and loses exactly one heart', () => {
+      const room = makeRoom([{ name: 'A' }, { name: 'B' }]);
+      const { state, outcomes } = resolve(room, { 'p-A': play(weak), 'p-B': play(strong, '4') });
+
+      assert.equal(outcomes.winner, 'A');
+      assert.equal(outcomes.scores['p-B'], 0);
+      assert.equal(playerOf(state, 'B').heart, 2);
+      assert.deepEqual(outcomes.heartChanges, [{ player: 'B', from: 3, to: 2, reason: 'flee' }]);
+      assert.ok(playerOf(state, 'B').hand.some(c => c.id === strong.id));
+      assert.deepEqual(outcomes.returnedCards.map(r => r.playerKey), ['p-A']);
+    });
+
+    it('a shielded player who flees still pays the flee heart and keeps the card', () => {
+      const room = makeRoom([{ name: 'A' }, { name: 'B' }], { protectedPlayers: { 'p-B': true } });
+      const { state, outcomes } = resolve(room, { 'p-A': play(weak), 'p-B': play(strong, '4') });
+
+      // ลีคชิลด์กันแค่การแพ้เทิร์น ไม่กันพลังใจที่เสียจากการหนี และไม่หักซ้ำ
+      assert.equal(playerOf(state, 'B').heart, 2);
+      assert.deepEqual(outcomes.heartChanges, [{ player: 'B', from: 3, to: 2, reason: 'flee' }]);
+      assert.ok(playerOf(state, 'B').hand.some(c => c.id === strong.id));
+      assert.equal(outcomes.returnedCards.some(r => r.playerKey === 'p-B'), false);
+    });
+
+    it('equal scores cost nobody a heart', () => {
+      const room = makeRoom([{ name: 'A' }, { name: 'B' }]);
+      const { state, outcomes } = resolve(room, { 'p-A': play(weak), 'p-B': play(weak) });
+
+      assert.deepEqual(outcomes.heartChanges, []);
+      assert.equal(playerOf(state, 'A').heart, 3);
+      assert.equal(playerOf(state, 'B').heart, 3);
+    });
+
+    it('a turn where everyone skips is not contested', () => {
+      const room = makeRoom([{ name: 'A' }, { name: 'B' }]);
+      const { state, outcomes } = resolve(room, { 'p-A': { card: null }, 'p-B': { card: null } });
+
+      assert.equal(outcomes.contested, false);
+      assert.equal(outcomes.gameOver, false);
+      assert.deepEqual(state.players.map(p => p.heart), [3, 3]);
+    });
+  });
+
+  describe('heart floor', () => {
+    it('end-of-turn event damage does not push hearts below 0', () => {
+      const room = makeRoom([{ name: 'A' }, { name: 'B', heart: 1 }], { event: { id: 99, name: 'Curse', rules: { heart: { end: -1 } } } });
+      const { state, outcomes } = resolve(room, { 'p-A': play(strong), 'p-B': play(weak) });
+
+      assert.equal(playerOf(state, 'A').heart, 2);
+      assert.equal(playerOf(state, 'B').heart, 0);
+      assert.ok(outcomes.heartChanges.some(hc => hc.player === 'B' && hc.reason === 'event' && hc.from === 0 && hc.to === 0));
+    });
+
+    it('losing at 0 hearts (divine card pending) stays at 0', () => {
+      const room = makeRoom([{ name: 'A' }, { name: 'B', heart: 0 }], { divineCardActive: { 'p-B': true } });
+      const { state, outcomes } = resolve(room, { 'p-A': play(strong), 'p-B': play(weak) });
+
+      assert.equal(playerOf(state, 'B').heart, 0);
+      assert.deepEqual(outcomes.heartChanges, [{ player: 'B', from: 0, to: 0, reason: 'lose' }]);
+      // divine card ค้างอยู่ → ยังไม่ตกรอบ
+      assert.deepEqual(outcomes.eliminated, []);
+      assert.equal(outcomes.gameOver, false);
+    });
+  });
+
+  describe('dead players', () => {
+    it('a loser on its last heart is eliminated and the survivor wins', () => {
+      const room = makeRoom([{ name: 'A' }, { name: 'B', heart: 1 }]);
+      const { state, outcomes } = resolve(room, { 'p-A': play(strong), 'p-B': play(weak) });
+
+      assert.deepEqual(outcomes.eliminated, ['B']);
+      assert.equal(playerOf(state, 'B').isDead, true);
+      assert.equal(outcomes.gameOver, true);
+      assert.equal(outcomes.finalWinner, 'A');
+      assert.equal(outcomes.isDraw, false);
+    });
+
+    it('players already out are not eliminated again and take no part in the turn', () => {
+      const room = makeRoom([{ name: 'A' }, { name: 'B' }, { name: 'C', heart: 0, isDead: true }]);
+      const { state, outcomes } = resolve(room, { 'p-A': play(strong), 'p-B': play(weak) });
+
+      assert.deepEqual(outcomes.eliminated, []);
+      assert.equal(outcomes.gameOver, false);
+      assert.equal(outcomes.actionResults.some(r => r.name === 'C'), false);
+      assert.equal(playerOf(state, 'C').heart, 0);
+    });
+  });
+
+  describe('draws', () => {
+    it('everyone eliminated in the same turn ends the game as a draw between them', () => {
+      const room = makeRoom(
+        [{ name: 'A', heart: 1 }, { name: 'B', heart: 1 }, { name: 'C', heart: 0, isDead: true }],
+        { event: { id: 99, name: 'Curse', rules: { heart: { end: -1 } } } }
+      );
+      const { outcomes } = resolve(room, { 'p-A': play(weak), 'p-B': play(weak) });
+
+      assert.equal(outcomes.gameOver, true);
+      assert.equal(outcomes.isDraw, true);
+      assert.equal(outcomes.finalWinner, null);
+      assert.deepEqual(outcomes.drawPlayers, ['A', 'B']);
+    });
+  });
+
+  it('does not modify the snapshot it was given', () => {
+    const snapshot = RulesEngine.snapshot(makeRoom([{ name: 'A' }, { name: 'B' }]));
+    const before = structuredClone(snapshot);
+    RulesEngine.resolve(snapshot, { 'p-A': play(strong), 'p-B': play(weak, '4') }, { silent: true });
+    assert.deepEqual(snapshot, before);
+  });
+});
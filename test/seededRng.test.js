@@ -0,0 +1,57 @@
+// test/seededRng.test.js - seed เดียวกันต้องได้เกมเดียวกัน (กอง มือเริ่มต้น อีเวนต์ การแข่ง) (รันด้วย npm test)
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const RoomManager = require('../server/roomManager');
+const GameStateManager = require('../server/gameManager');
+const { createRng, shuffle, normalizeSeed } = require('../server/utils');
+
+const EVENTS = JSON.parse(fs.readFileSync(path.join(__dirname, '../server/data/events.json'), 'utf8'));
+
+const sequence = (rng, count) => Array.from({ length: count }, () => rng());
+
+// เริ่มเกมในห้องใหม่ด้วย seed ที่กำหนด แล้วเก็บสิ่งที่ seed ต้องกำหนดได้
+const playOpening = (seed) => {
+  const roomManager = new RoomManager(EVENTS);
+  const { code } = roomManager.createRoom('Host');
+  roomManager.joinRoom(code, 'Guest');
+  const room = roomManager.getRoom(code);
+  room.fixedSeed = seed;
+  GameStateManager.startGame(room);
+  GameStateManager.prepareEventAndCompetition(room);
+  return {
+    seed: room.seed,
+    hands: room.players.map(p => p.hand.map(c => c.id)),
+    event: room.event.id,
+    competition: room.competition
+  };
+};
+
+describe('seeded RNG', () => {
+  it('the same seed gives the same sequence, a different seed does not', () => {
+    assert.deepEqual(sequence(createRng(42), 10), sequence(createRng(42), 10));
+    assert.notDeepEqual(sequence(createRng(42), 10), sequence(createRng(43), 10));
+  });
+
+  it('numeric strings and numbers are the same seed', () => {
+    assert.equal(normalizeSeed('12345'), 12345);
+    assert.deepEqual(sequence(createRng('12345'), 5), sequence(createRng(12345), 5));
+  });
+
+  it('shuffle returns a permutation and leaves the input alone', () => {
+    const input = Array.from({ length: 20 }, (_, i) => i);
+    const shuffled = shuffle(input, createRng(7));
+
+    assert.deepEqual([...shuffled].sort((a, b) => a - b), input);
+    assert.deepEqual(input, Array.from({ length: 20 }, (_, i) => i));
+    assert.deepEqual(shuffle(input, createRng(7)), shuffled);
+  });
+
+  it('a game started from the same seed deals the same hands, event and competition', () => {
+    const first = playOpening(2024);
+    assert.equal(first.seed, 2024);
+    assert.deepEqual(playOpening(2024), first);
+    assert.notDeepEqual(playOpening(2025).hands, first.hands);
+  });
+});
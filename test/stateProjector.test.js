@@ -0,0 +1,94 @@
+// test/stateProjector.test.js - ข้อมูลที่ส่งให้ client ระหว่างเกมต้องไม่มี seed (รันด้วย npm test)
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const RoomManager = require('../server/roomManager');
+const GameStateManager = require('../server/gameManager');
+const RulesEngine = require('../server/rulesEngine');
+const StateProjector = require('../server/stateProjector');
+
+const EVENTS = JSON.parse(fs.readFileSync(path.join(__dirname, '../server/data/events.json'), 'utf8'));
+
+// ห้องที่เริ่มเกมจริงด้วย seed ที่โฮสต์กำหนด + ผู้ชม 1 คน
+const startedRoom = () => {
+  const roomManager = new RoomManager(EVENTS);
+  const { code } = roomManager.createRoom('Host');
+  roomManager.joinRoom(code, 'Guest');
+  roomManager.addSpectator(code, 'spectator-socket', 'Viewer');
+  const room = roomManager.getRoom(code);
+  room.fixedSeed = 12345;
+  GameStateManager.startGame(room);
+  return room;
+};
+
+// หา key seed / fixedSeed ทุกชั้นของ payload
+const seedKeys = (value, trail = '') => {
+  if (!value || typeof value !== 'object') return [];
+  return Object.entries(value).flatMap(([key, child]) => [
+    ...(['seed', 'fixedSeed'].includes(key) ? [`${trail}${key}`] : []),
+    ...seedKeys(child, `${trail}${key}.`)
+  ]);
+};
+
+// เล่น 1 เทิร์นด้วย RulesEngine: ทุกคนลงการ์ดใบแรกแล้วแข่ง
+const playTurn = (room) => {
+  const decisions = {};
+  room.players.forEach(p => {
+    decisions[p.playerId] = { card: p.hand[0], action: '3' };
+  });
+  return RulesEngine.resolve(RulesEngine.snapshot(room), decisions, { silent: true });
+};
+
+describe('StateProjector in-game payloads', () => {
+  const room = startedRoom();
+  const [host] = room.players;
+
+  it('the started room really has a seed to leak', () => {
+    assert.equal(room.started, true);
+    assert.equal(room.seed, 12345);
+  });
+
+  it('initialHandDraw / gameStarted / spectateJoined carry no seed', () => {
+    const payloads = {
+      initialHandDraw: StateProjector.initialHandDraw(room, host),
+      gameStarted: StateProjector.gameStarted(room, host),
+      'gameStarted (restored)': StateProjector.gameStarted(room, host, { restored: true }),
+      'gameStarted (reconnected)': StateProjector.gameStarted(room, host, { event: room.event, competition: room.competition, reconnected: true }),
+      'gameStarted (spectator)': StateProjector.gameStarted(room, null),
+      spectateJoined: StateProjector.spectateJoined(room)
+    };
+    Object.entries(payloads).forEach(([event, payload]) => {
+      assert.deepEqual(seedKeys(payload), [], event);
+    });
+    assert.deepEqual(payloads.initialHandDraw.cards, host.hand);
+    assert.equal(payloads['gameStarted (spectator)'].hand, undefined);
+  });
+
+  it('turnResult carries the seed only on the turn that ends the game', () => {
+    const { outcomes } = playTurn(room);
+    assert.equal(outcomes.gameOver, false);
+
+    const payload = {
+      actionResults: outcomes.actionResults,
+      winnerName: outcomes.winner,
+      winnerScore: outcomes.winnerScore,
+      revealedCards: outcomes.revealedCards,
+      players: StateProjector.publicPlayers(room)
+    };
+    assert.deepEqual(seedKeys(StateProjector.turnResult(room, { ...payload, gameOver: false })), []);
+    assert.equal(StateProjector.turnResult(room, { ...payload, gameOver: true }).seed, 12345);
+  });
+
+  it('gameOver carries the seed of the finished game', () => {
+    const payload = StateProjector.gameOver(room, { reason: 'event', players: StateProjector.publicPlayers(room) });
+    assert.deepEqual(seedKeys(payload), ['seed']);
+    assert.equal(payload.seed, 12345);
+  });
+
+  it('lobby and table views never include the seed', () => {
+    assert.deepEqual(seedKeys(StateProjector.lobbyFor(room, host)), []);
+    assert.deepEqual(seedKeys(StateProjector.lobbyFor(room, null)), []);
+    assert.deepEqual(seedKeys(StateProjector.playedCardsFor(room, null)), []);
+  });
+});
@@ -0,0 +1,594 @@
+#!/usr/bin/env node
+// tools/simulate.js - จำลองเกมระหว่างบอทแบบไม่มี Socket.io / ดีเลย์ ใช้กติกาเดียวกับเซิร์ฟเวอร์ (RulesEngine + EventEngine + BotManager)
+// ใช้ดูสมดุลของการ์ด สกิล กลุ่ม และอีเวนต์
+//
+//   node tools/simulate.js --games 10000 --players 4 --bots hard,normal
+//   node tools/simulate.js --games 500 --bots hard:turtle,normal:gacha --format csv --out sim.csv
+//
+// --bots: ระดับบอทคั่นด้วย , (ต่อท้าย :บุคลิก ได้) วนใส่ที่นั่งตามลำดับ และหมุนที่นั่งทุกเกมให้แต่ละแบบได้ทุกตำแหน่ง
+const fs = require('fs');
+const path = require('path');
+const { CardDeck, getRandomCompetition, deriveSeed, generateSeed, normalizeSeed } = require('../server/utils');
+const SkillManager = require('../server/skillManager');
+const EventEngine = require('../server/eventEngine');
+const GameStateManager = require('../server/gameManager');
+const BotManager = require('../server/botManager');
+const RulesEngine = require('../server/rulesEngine');
+const DeckManager = require('../server/deckManager');
+const RoomSettings = require('../server/roomSettings');
+const EventPoolManager = require('../server/eventPoolManager');
+const TeamManager = require('../server/teamManager');
+
+const DEFAULTS = {
+  games: 1000,
+  players: 4,
+  bots: 'normal',
+  seed: null,
+  format: 'json',
+  out: null,
+  maxTurns: 300,
+  deckMode: DeckManager.DEFAULT_DECK_MODE,
+  preset: 'classic',
+  disableEvents: '',
+  eventWeights: '',
+  teams: '',
+  teamScoring: 'sum',
+  verbose: false
+};
+const MIN_PLAYERS = 2;
+const MAX_PLAYERS = 5;
+const FORMATS = ['json', 'csv'];
+
+const USAGE = `Usage: node tools/simulate.js [options]
+
+  --games <n>        จำนวนเกม (default ${DEFAULTS.games})
+  --players <n>      ผู้เล่นต่อเกม ${MIN_PLAYERS}-${MAX_PLAYERS} (default ${DEFAULTS.players})
+  --bots <list>      เช่น hard,normal หรือ hard:turtle,easy (default ${DEFAULTS.bots})
+  --seed <seed>      seed ตั้งต้น (แต่ละเกมใช้ seed ย่อยจากค่านี้ - รันซ้ำได้ผลเดิม)
+  --format json|csv  รูปแบบผลลัพธ์ (default ${DEFAULTS.format})
+  --out <file>       เขียนผลลงไฟล์แทน stdout
+  --max-turns <n>    เกมที่ยาวเกินนี้นับเป็นเสมอ (default ${DEFAULTS.maxTurns})
+  --deck-mode <mode> shared = กองกลาง, custom = บอทแต่ละตัวใช้เด็คสุ่มตามกติกาจัดเด็ค (default ${DEFAULTS.deckMode})
+  --preset <id>      กติกาห้องจาก server/data/roomPresets.json เช่น quick, marathon (default ${DEFAULTS.preset})
+  --disable-events <ids>  ปิดอีเวนต์ เช่น 16,3
+  --event-weights <list>  น้ำหนักอีเวนต์ เช่น 16:0.3,2:2 (ไม่ระบุ = 1)
+  --teams <list>     โหมดทีม: ทีมของแต่ละที่นั่ง เช่น A,B,A,B หรือ A,A,B,B,C (ไม่ระบุ = ต่างคนต่างเล่น)
+  --team-scoring sum|best  คะแนนทีม: รวมทั้งทีม / คะแนนสูงสุดในทีม (default ${DEFAULTS.teamScoring})
+  --verbose          แสดง log ของเซิร์ฟเวอร์ระหว่างจำลอง
+`;
+
+let EVENTS = [];
+try {
+  EVENTS = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'server', 'data', 'events.json'), 'utf8'));
+} catch (err) {
+  console.error('Failed to load events.json:', err);
+  process.exit(1);
+}
+
+const getPlayerKey = (player) => player?.playerId || player?.id;
+
+// ==================== Arguments ====================
+const parseArgs = (argv) => {
+  const options = { ...DEFAULTS };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--help' || arg === '-h') {
+      options.help = true;
+      continue;
+    }
+    if (arg === '--verbose') {
+      options.verbose = true;
+      continue;
+    }
+    const match = arg.match(/^--([a-z-]+)(?:=(.*))?$/);
+    if (!match) throw new Error(`Unknown argument: ${arg}`);
+    const key = match[1].replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+    if (!(key in DEFAULTS)) throw new Error(`Unknown option: --${match[1]}`);
+    const value = match[2] !== undefined ? match[2] : argv[++i];
+    if (value === undefined) throw new Error(`Missing value for --${match[1]}`);
+    options[key] = value;
+  }
+
+  ['games', 'players', 'maxTurns'].forEach(key => {
+    options[key] = Number(options[key]);
+    if (!Number.isInteger(options[key]) || options[key] < 1) {
+      throw new Error(`--${key.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)} must be a positive integer`);
+    }
+  });
+  if (options.players < MIN_PLAYERS || options.players > MAX_PLAYERS) {
+    throw new Error(`--players must be between ${MIN_PLAYERS} and ${MAX_PLAYERS}`);
+  }
+  if (!FORMATS.includes(options.format)) {
+    throw new Error(`--format must be one of: ${FORMATS.join(', ')}`);
+  }
+  if (!DeckManager.DECK_MODES.includes(options.deckMode)) {
+    throw new Error(`--deck-mode must be one of: ${DeckManager.DECK_MODES.join(', ')}`);
+  }
+  options.settings = RoomSettings.applyPreset(options.preset, { maxPlayers: MAX_PLAYERS });
+  if (!options.settings) {
+    throw new Error(`--preset must be one of: ${RoomSettings.listPresets().map(p => p.id).join(', ')}`);
+  }
+  options.eventSettings = parseEventSettings(options.disableEvents, options.eventWeights);
+  options.teams = parseTeams(options.teams, options.players);
+  const { teamSettings, error: teamError } = TeamManager.validate({
+    mode: options.teams ? 'team' : 'ffa',
+    scoring: options.teamScoring
+  });
+  if (teamError) throw new Error(`--team-scoring must be one of: ${TeamManager.TEAM_SCORING.join(', ')}`);
+  options.teamSettings = teamSettings;
+  options.seed = options.seed === null ? generateSeed() : normalizeSeed(options.seed);
+  options.bots = parseBots(options.bots);
+  return options;
+};
+
+/**
+ * แปลง --bots เป็นรายการแบบบอท
+ * @param {string} spec - เช่น "hard,normal:gacha"
+ * @returns {Array} [{ difficulty, personality, label }]
+ */
+const parseBots = (spec) => {
+  const bots = String(spec).split(',').map(s => s.trim()).filter(Boolean).map(entry => {
+    const [difficulty, personality = BotManager.DEFAULT_PERSONALITY] = entry.split(':');
+    if (!BotManager.DIFFICULTIES.includes(difficulty)) {
+      throw new Error(`Unknown bot difficulty "${difficulty}" (${BotManager.DIFFICULTIES.join(', ')})`);
+    }
+    if (!BotManager.getPersonality(personality)) {
+      const ids = BotManager.listPersonalities().map(p => p.id);
+      throw new Error(`Unknown bot personality "${personality}" (${ids.join(', ')})`);
+    }
+    return { difficulty, personality, label: `${difficulty}:${personality}` };
+  });
+  if (bots.length === 0) throw new Error('--bots must list at least one bot');
+  return bots;
+};
+
+/**
+ * แปลง --disable-events / --event-weights เป็นการตั้งค่ากองอีเวนต์
+ * @param {string} disableSpec - เช่น "16,3"
+ * @param {string} weightSpec - เช่น "16:0.3,2:2"
+ * @returns {object} eventSettings
+ */
+const parseEventSettings = (disableSpec, weightSpec) => {
+  const disabled = String(disableSpec).split(',').map(s => s.trim()).filter(Boolean);
+  const weights = {};
+  String(weightSpec).split(',').map(s => s.trim()).filter(Boolean).forEach(entry => {
+    const [id, weight] = entry.split(':');
+    if (weight === undefined) throw new Error(`--event-weights entry "${entry}" must be <id>:<weight>`);
+    weights[id] = weight;
+  });
+  const { eventSettings, error } = EventPoolManager.validate({ disabled, weights }, EVENTS);
+  if (error) throw new Error(`Invalid event settings: ${error}`);
+  return eventSettings;
+};
+
+/**
+ * แปลง --teams เป็นทีมของแต่ละที่นั่ง
+ * @param {string} spec - เช่น "A,B,A,B"
+ * @param {number} players - จำนวนผู้เล่น
+ * @returns {Array<string>|null} null = ไม่ใช้โหมดทีม
+ */
+const parseTeams = (spec, players) => {
+  const teams = String(spec).split(',').map(s => s.trim().toUpperCase()).filter(Boolean);
+  if (teams.length === 0) return null;
+  if (teams.length !== players) throw new Error(`--teams must list one team per player (${players})`);
+  const unknown = teams.find(team => !TeamManager.TEAM_IDS.includes(team));
+  if (unknown) throw new Error(`Unknown team "${unknown}" (${TeamManager.TEAM_IDS.join(', ')})`);
+  if (new Set(teams).size < 2) throw new Error('--teams must use at least 2 teams');
+  return teams;
+};
+
+// ==================== Game Loop ====================
+/**
+ * สร้างห้องจำลอง (ฟิลด์เดียวกับ RoomManager.createRoom / addBot)
+ * @param {number} index - ลำดับเกม
+ * @param {object} options - ผลจาก parseArgs()
+ * @returns {object} room object
+ */
+const createRoom = (index, options) => {
+  const code = `SIM${index}`;
+  const players = [];
+  for (let seat = 0; seat < options.players; seat++) {
+    // หมุนที่นั่งทุกเกม: ลำดับที่นั่งไม่เอียงไปทางบอทแบบใดแบบหนึ่ง
+    const spec = options.bots[(seat + index) % options.bots.length];
+    const personality = BotManager.getPersonality(spec.personality);
+    players.push({
+      playerId: `bot_${index}_${seat + 1}`,
+      seatId: `seat_${seat + 1}`,
+      id: null,
+      name: `${personality.name} ${seat + 1}`,
+      heart: options.settings.startingHearts,
+      team: options.teams ? options.teams[seat] : null,
+      hand: [],
+      ready: true,
+      skillCooldown: 0,
+      actionCooldown: 0,
+      playedCard: null,
+      action: null,
+      hasDecided: false,
+      isDead: false,
+      isBot: true,
+      botSlot: seat + 1,
+      difficulty: spec.difficulty,
+      personality: spec.personality,
+      simLabel: spec.label
+    });
+  }
+
+  return {
+    code,
+    players,
+    started: false,
+    turn: 0,
+    phase: 'lobby',
+    event: null,
+    competition: null,
+    temporaryHeartLoss: {},
+    deck: new CardDeck(),
+    protectedPlayers: {},
+    skillBlockActive: {},
+    divineCardActive: {},
+    eventSettings: options.eventSettings,
+    eventPool: EventPoolManager.buildPool(EVENTS, options.eventSettings),
+    usedEvents: 0,
+    playedCards: {},
+    lastTurnActionResults: [],
+    playersToDraw: [],
+    fixedSeed: deriveSeed(options.seed, 'sim', index),
+    deckMode: options.deckMode,
+    settings: { ...options.settings },
+    teamSettings: { ...options.teamSettings },
+    seed: null
+  };
+};
+
+/**
+ * เล่น 1 เกมจนจบตามลำดับเฟสเดียวกับ server/index.js
+ * (startEventSlot → startCompetitionSlot → startMikudayoDrawPhase → startNewTurn → processAfterPlayDecisions → resolveTurn)
+ * @param {object} room - จาก createRoom()
+ * @param {BotManager} botManager
+ * @param {number} maxTurns
+ * @returns {object} { winner, winningTeam, isDraw, reason, turns, plays: { [playerKey]: cards }, turnLog: [{ event, winner, contestants }] }
+ */
+const playGame = (room, botManager, maxTurns) => {
+  GameStateManager.startGame(room);
+  const record = { winner: null, winningTeam: null, isDraw: false, reason: null, turns: 0, plays: {}, turnLog: [] };
+  room.players.forEach(p => {
+    record.plays[getPlayerKey(p)] = [];
+  });
+
+  const finish = (winnerName, reason, isDraw = false, winningTeam = null) => {
+    record.winner = isDraw ? null : room.players.find(p => p.name === winnerName) || null;
+    record.winningTeam = isDraw ? null : winningTeam;
+    record.isDraw = isDraw || (!record.winner && !record.winningTeam);
+    record.reason = reason;
+    record.turns = room.turn;
+    room.started = false;
+    room.phase = 'lobby';
+    return record;
+  };
+
+  let newSlot = true;
+  while (room.turn <= maxTurns) {
+    // ==================== สุ่มอีเวนต์ / การแข่ง / จั่วตอนเริ่มเทิร์น ====================
+    if (newSlot) {
+      room.event = GameStateManager.getNextEvent(room);
+      room.competition = EventEngine.getCompetitionOverride(room.event) || getRandomCompetition(room.rng);
+      const drawCount = EventEngine.drawCount(room.event, 'start');
+      if (drawCount > 0) {
+        room.players.forEach(p => {
+          if (p.heart > 0 && p.hand.length > 0) p.hand.push(...GameStateManager.deckFor(room, p).drawCards(drawCount));
+        });
+      }
+    }
+
+    // ==================== ต้นเทิร์น ====================
+    if (room.divineCardActive && Object.keys(room.divineCardActive).length > 0) {
+      room.players.forEach(p => {
+        const revival = SkillManager.checkDivineCardRevival(p, room, GameStateManager.deckFor(room, p));
+        if (revival.revived) {
+          p.isDead = false;
+          room.eliminations = room.eliminations.filter(e => e.playerKey !== getPlayerKey(p));
+        }
+      });
+    }
+
+    room.phase = 'playCard';
+    GameStateManager.resetPlayerStatesForNewTurn(room);
+    EventEngine.applyHeart(room.event, 'start', room.players, RoomSettings.of(room).startingHearts);
+    if (EventEngine.heartDelta(room.event, 'start') < 0) {
+      const alivePlayers = room.players.filter(p => p.heart > 0 && p.hand.length > 0);
+      if (alivePlayers.length === 0) return finish(null, 'event', true);
+      if (TeamManager.aliveSides(room, alivePlayers).length === 1) {
+        const { finalWinner, winningTeam } = TeamManager.winnerOf(room, alivePlayers);
+        return finish(finalWinner, 'event', false, winningTeam);
+      }
+    }
+    GameStateManager.autoSkipDeadPlayers(room);
+
+    // ==================== เฟสเลือกการ์ด ====================
+    botManager.clearBotState(room.code);
+    botManager.getActiveBots(room).filter(bot => !bot.hasDecided).forEach(bot => {
+      const decision = botManager.chooseCard(bot, room);
+      const card = decision && !decision.skip && decision.card
+        ? GameStateManager.takeFromHand(bot, decision.card.id) || GameStateManager.takeFromHand(bot, bot.hand[0]?.id)
+        : null;
+      bot.playedCard = card || null;
+      bot.hasDecided = true;
+    });
+
+    const playersWhoSkipped = room.players.filter(p => p.hasDecided && p.playedCard === null);
+    const alivePlayers = room.players.filter(p => p.heart > 0 && p.hand.length > 0);
+    if (TeamManager.aliveSides(room, alivePlayers).length <= 1) {
+      const { finalWinner, winningTeam } = TeamManager.winnerOf(room, alivePlayers);
+      return finish(finalWinner, 'lastStanding', false, winningTeam);
+    }
+
+    const playersWhoPlayed = alivePlayers.filter(p => p.playedCard !== null);
+    if (playersWhoPlayed.length > 0) {
+      if (playersWhoPlayed.length === 1 && playersWhoSkipped.length > 0) {
+        playersWhoSkipped.forEach(p => {
+          if (p.heart > 0 && p.hand.length > 0) p.heart = Math.max(0, p.heart - 1);
+        });
+      }
+
+      // ==================== เฟส action ====================
+      room.phase = 'action';
+      const activeBots = botManager.getActiveBots(room);
+      room.players.filter(p => p.playedCard && !p.action).forEach(p => {
+        // บอทที่ลงการ์ดใบสุดท้ายไม่ถูกนัดเลือก action → หมดเวลาแล้วแข่งตรง ๆ เหมือนบนเซิร์ฟเวอร์
+        p.action = activeBots.includes(p) ? botManager.decideAction(p, room) : '3';
+      });
+    }
+
+    // ==================== ตัดสินผล ====================
+    room.phase = 'resolve';
+    const decisions = RulesEngine.decisionsFromRoom(room);
+    Object.entries(decisions).forEach(([key, decision]) => {
+      if (decision.card) record.plays[key].push(decision.card);
+    });
+    const { state, outcomes } = RulesEngine.resolve(
+      RulesEngine.snapshot(room),
+      decisions,
+      { drawEvent: () => GameStateManager.getNextEvent(room), silent: true }
+    );
+    RulesEngine.commit(room, state);
+    room.players.forEach(p => {
+      if (p.playedCard !== null) {
+        p.playedCard = null;
+        p.hasDecided = false;
+      }
+    });
+
+    if (!outcomes.contested) {
+      room.turn++;
+      newSlot = false;
+      continue;
+    }
+
+    record.turnLog.push({
+      event: room.event,
+      winner: outcomes.winner,
+      contestants: Object.keys(decisions).filter(key => decisions[key].card)
+    });
+    outcomes.eliminated.forEach(name => {
+      const player = room.players.find(p => p.name === name);
+      if (player) room.eliminations.push({ playerKey: getPlayerKey(player), turn: room.turn });
+    });
+    GameStateManager.returnCards(room, outcomes.returnedCards);
+
+    if (outcomes.gameOver) {
+      return finish(outcomes.finalWinner, 'resolve', outcomes.isDraw, outcomes.winningTeam);
+    }
+
+    outcomes.draws.forEach(({ playerKey, count }) => {
+      const player = room.players.find(p => getPlayerKey(p) === playerKey);
+      if (player) player.hand.push(...GameStateManager.deckFor(room, player).drawCards(count));
+    });
+    room.turn++;
+    newSlot = true;
+  }
+
+  room.turn = maxTurns;
+  return finish(null, 'turnLimit', true);
+};
+
+// ==================== Statistics ====================
+const rate = (wins, total) => (total > 0 ? Math.round((wins / total) * 10000) / 10000 : 0);
+
+class SimStats {
+  constructor(options) {
+    this.options = options;
+    this.games = 0;
+    this.draws = 0;
+    this.turnLimit = 0;
+    this.totalTurns = 0;
+    this.minTurns = Infinity;
+    this.maxTurns = 0;
+    this.bots = {};
+    this.cards = {};
+    this.skills = {};
+    this.groups = {};
+    this.events = {};
+  }
+
+  // นับ 1 ครั้งต่อผู้เล่นต่อเกม (การ์ดที่ลงหลายรอบในเกมเดียวกันนับ plays เพิ่ม แต่ไม่นับ games ซ้ำ)
+  tally(table, key, name, won, plays = 1) {
+    if (!table[key]) table[key] = { name, plays: 0, games: 0, wins: 0 };
+    table[key].plays += plays;
+    table[key].games++;
+    if (won) table[key].wins++;
+  }
+
+  add(room, record) {
+    this.games++;
+    if (record.isDraw) this.draws++;
+    if (record.reason === 'turnLimit') this.turnLimit++;
+    this.totalTurns += record.turns;
+    this.minTurns = Math.min(this.minTurns, record.turns);
+    this.maxTurns = Math.max(this.maxTurns, record.turns);
+
+    room.players.forEach(p => {
+      const won = record.winningTeam ? p.team === record.winningTeam : record.winner === p;
+      this.tally(this.bots, p.simLabel, p.simLabel, won);
+
+      const played = record.plays[getPlayerKey(p)];
+      const count = (values) => values.reduce((map, v) => map.set(v, (map.get(v) || 0) + 1), new Map());
+      count(played.map(c => c.id)).forEach((plays, id) => {
+        const card = played.find(c => c.id === id);
+        this.tally(this.cards, id, `${card.character} (${card.variant})`, won, plays);
+      });
+      count(played.map(c => c.skill).filter(Boolean)).forEach((plays, skill) => {
+        this.tally(this.skills, skill, skill, won, plays);
+      });
+      count(played.map(c => c.group).filter(Boolean)).forEach((plays, group) => {
+        this.tally(this.groups, group, group, won, plays);
+      });
+    });
+
+    // อีเวนต์: อัตราชนะเทิร์นของบอทแต่ละแบบในเทิร์นที่ใช้อีเวนต์นั้น
+    const seenEvents = new Set();
+    record.turnLog.forEach(turn => {
+      const id = turn.event.id;
+      if (!this.events[id]) this.events[id] = { name: turn.event.name, turns: 0, games: 0, decidedGames: 0, bots: {} };
+      const stats = this.events[id];
+      stats.turns++;
+      if (!seenEvents.has(id)) {
+        stats.games++;
+        seenEvents.add(id);
+      }
+      turn.contestants.forEach(key => {
+        const player = room.players.find(p => getPlayerKey(p) === key);
+        if (!stats.bots[player.simLabel]) stats.bots[player.simLabel] = { turns: 0, wins: 0 };
+        stats.bots[player.simLabel].turns++;
+        if (turn.winner === player.name) stats.bots[player.simLabel].wins++;
+      });
+    });
+    const lastTurn = record.turnLog[record.turnLog.length - 1];
+    if (lastTurn && record.reason === 'resolve') this.events[lastTurn.event.id].decidedGames++;
+  }
+
+  static table(table) {
+    return Object.keys(table).sort().map(key => ({
+      key,
+      name: table[key].name,
+      plays: table[key].plays,
+      games: table[key].games,
+      wins: table[key].wins,
+      winRate: rate(table[key].wins, table[key].games)
+    }));
+  }
+
+  toJSON() {
+    return {
+      config: {
+        games: this.options.games,
+        players: this.options.players,
+        bots: this.options.bots.map(b => b.label),
+        seed: this.options.seed,
+        deckMode: this.options.deckMode,
+        preset: this.options.preset,
+        eventSettings: this.options.eventSettings,
+        teams: this.options.teams,
+        teamScoring: this.options.teams ? this.options.teamSettings.scoring : null,
+        maxTurns: this.options.maxTurns
+      },
+      summary: {
+        games: this.games,
+        draws: this.draws,
+        drawRate: rate(this.draws, this.games),
+        turnLimit: this.turnLimit,
+        avgTurns: this.games > 0 ? Math.round((this.totalTurns / this.games) * 100) / 100 : 0,
+        minTurns: this.games > 0 ? this.minTurns : 0,
+        maxTurns: this.maxTurns
+      },
+      bots: SimStats.table(this.bots),
+      cards: SimStats.table(this.cards),
+      skills: SimStats.table(this.skills),
+      groups: SimStats.table(this.groups),
+      events: Object.keys(this.events).sort((a, b) => a - b).map(id => {
+        const e = this.events[id];
+        return {
+          key: id,
+          name: e.name,
+          turns: e.turns,
+          games: e.games,
+          decidedGames: e.decidedGames,
+          bots: Object.keys(e.bots).sort().map(label => ({
+            bot: label,
+            turns: e.bots[label].turns,
+            wins: e.bots[label].wins,
+            winRate: rate(e.bots[label].wins, e.bots[label].turns)
+          }))
+        };
+      })
+    };
+  }
+
+  // CSV แถวละสถิติ: category,key,name,plays,games,wins,winRate (อีเวนต์: games = เทิร์นที่ลงแข่ง, wins = เทิร์นที่ชนะ)
+  toCSV() {
+    const report = this.toJSON();
+    const escape = (value) => {
+      const text = value === null || value === undefined ? '' : String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const rows = [['category', 'key', 'name', 'plays', 'games', 'wins', 'winRate']];
+    Object.entries(report.summary).forEach(([key, value]) => rows.push(['summary', key, '', '', value, '', '']));
+    ['bots', 'cards', 'skills', 'groups'].forEach(category => {
+      report[category].forEach(r => rows.push([category, r.key, r.name, r.plays, r.games, r.wins, r.winRate]));
+    });
+    report.events.forEach(e => {
+      rows.push(['events', e.key, e.name, e.turns, e.games, e.decidedGames, '']);
+      e.bots.forEach(b => rows.push(['eventBots', `${e.key}:${b.bot}`, e.name, '', b.turns, b.wins, b.winRate]));
+    });
+    return `${rows.map(row => row.map(escape).join(',')).join('\n')}\n`;
+  }
+}
+
+// ==================== Main ====================
+const main = () => {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error(err.message);
+    console.error(USAGE);
+    process.exit(1);
+  }
+  if (options.help) {
+    process.stdout.write(USAGE);
+    return;
+  }
+
+  // log ของ engine ทุกเทิร์นทำให้ช้ามาก - ปิดไว้ระหว่างจำลอง (error ยังแสดง)
+  const log = console.log;
+  if (!options.verbose) console.log = () => {};
+
+  const botManager = new BotManager(null);
+  const stats = new SimStats(options);
+  const startedAt = Date.now();
+  const progressEvery = Math.max(1, Math.floor(options.games / 20));
+
+  for (let i = 0; i < options.games; i++) {
+    const room = createRoom(i, options);
+    stats.add(room, playGame(room, botManager, options.maxTurns));
+    if ((i + 1) % progressEvery === 0 || i + 1 === options.games) {
+      process.stderr.write(`\r🎲 ${i + 1}/${options.games} games (${((Date.now() - startedAt) / 1000).toFixed(1)}s)`);
+    }
+  }
+  process.stderr.write('\n');
+  console.log = log;
+
+  const output = options.format === 'csv' ? stats.toCSV() : `${JSON.stringify(stats.toJSON(), null, 2)}\n`;
+  if (options.out) {
+    fs.writeFileSync(options.out, output);
+    console.error(`📄 Results written to ${options.out}`);
+  } else {
+    process.stdout.write(output);
+  }
+};
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { parseArgs, createRoom, playGame, SimStats };